@@ -0,0 +1,206 @@
+// sw.js — offline support: the app shell, map tiles and the "download area" pre-cache
+//
+// The build writes /sw-precache.json (see vite.config.js) listing every bundled
+// file, Places.json included since App imports it, and stamps BUILD below with a
+// hash of that list. Each build gets its own shell cache, so activating a new
+// worker drops the hashed assets of old builds. Local edits live in
+// localStorage/IndexedDB, which work offline on their own.
+//
+// Tiles live in two caches: TILE_CACHE holds areas the user downloaded and is
+// only emptied on request; VIEWED_TILE_CACHE holds tiles seen while browsing and
+// is capped at MAX_VIEWED_TILES, oldest first, so panning around for weeks
+// can't eat the storage quota the saved places share.
+//
+// Pages talk to this worker through src/lib/offline.js.
+
+const BUILD = "dev"; // replaced with the build hash by vite.config.js
+const SHELL_CACHE = `shell-${BUILD}`;
+const TILE_CACHE = "tiles-v1";
+const VIEWED_TILE_CACHE = "tiles-viewed-v1";
+const SHELL = ["/", "/index.html", "/manifest.webmanifest", "/icon.svg"];
+
+// Every basemap in src/lib/basemaps.js
+const TILE_HOSTS = [
+  "tile.openstreetmap.org",
+  "tiles.stadiamaps.com",
+  "basemaps.cartocdn.com",
+  "tile.opentopomap.org",
+  "server.arcgisonline.com",
+];
+// Parallel tile fetches during a download
+const CONCURRENCY = 4;
+// ~20 KB each, so about 40 MB of viewed tiles
+const MAX_VIEWED_TILES = 2000;
+// Trimming lists every key, so only do it every so many new tiles
+const TRIM_EVERY = 50;
+
+const cancelled = new Set();
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.addAll(SHELL);
+      try {
+        const res = await fetch("/sw-precache.json", { cache: "no-store" });
+        if (res.ok) await cache.addAll(await res.json());
+      } catch {
+        // Dev server: no manifest, assets get cached as they load
+      }
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      const keep = [SHELL_CACHE, TILE_CACHE, VIEWED_TILE_CACHE];
+      for (const key of await caches.keys()) {
+        if (!keep.includes(key)) await caches.delete(key);
+      }
+      await self.clients.claim();
+    })()
+  );
+});
+
+function isTile(url) {
+  return TILE_HOSTS.some((h) => url.hostname === h || url.hostname.endsWith(`.${h}`));
+}
+
+// Tiles come from <img> tags (no-cors); refetch with CORS so the cached copy
+// isn't an opaque response padded to megabytes of quota
+async function fetchTile(url) {
+  try {
+    return await fetch(url, { mode: "cors", credentials: "omit" });
+  } catch {
+    return fetch(url);
+  }
+}
+
+let viewedSinceTrim = 0;
+
+// Cache entries keep insertion order, so the first keys are the oldest
+async function trimViewed(cache) {
+  const keys = await cache.keys();
+  const extra = keys.length - MAX_VIEWED_TILES;
+  for (let i = 0; i < extra; i++) await cache.delete(keys[i]);
+}
+
+async function tileFirst(request) {
+  const url = request.url;
+  const hit =
+    (await caches.match(url, { cacheName: TILE_CACHE })) ||
+    (await caches.match(url, { cacheName: VIEWED_TILE_CACHE }));
+  if (hit) return hit;
+  const res = await fetchTile(url);
+  if (res.ok && res.type !== "opaque") {
+    const viewed = await caches.open(VIEWED_TILE_CACHE);
+    await viewed.put(url, res.clone());
+    if (++viewedSinceTrim >= TRIM_EVERY) {
+      viewedSinceTrim = 0;
+      trimViewed(viewed).catch(() => {});
+    }
+  }
+  return res;
+}
+
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) cache.put(request, res.clone());
+    return res;
+  } catch {
+    return (await cache.match(request)) || (await cache.match("/index.html")) || Response.error();
+  }
+}
+
+async function staleWhileRevalidate(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const hit = await cache.match(request);
+  const refresh = fetch(request)
+    .then((res) => {
+      if (res.ok) cache.put(request, res.clone());
+      return res;
+    })
+    .catch(() => null);
+  return hit || (await refresh) || Response.error();
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+
+  if (isTile(url)) event.respondWith(tileFirst(request));
+  else if (request.mode === "navigate") event.respondWith(networkFirst(request));
+  else if (url.origin === self.location.origin) event.respondWith(staleWhileRevalidate(request));
+});
+
+// -------------------- messages --------------------
+
+async function cacheTiles({ id, urls }, port) {
+  const cache = await caches.open(TILE_CACHE);
+  const viewed = await caches.open(VIEWED_TILE_CACHE);
+  const total = urls.length;
+  let next = 0;
+  let done = 0;
+  let failed = 0;
+
+  async function worker() {
+    while (next < total && !cancelled.has(id)) {
+      const url = urls[next++];
+      try {
+        if (!(await cache.match(url))) {
+          // Already seen while browsing: move it over instead of fetching again
+          const seen = await viewed.match(url);
+          const res = seen || (await fetchTile(url));
+          if (!res.ok || res.type === "opaque") throw new Error(String(res.status));
+          await cache.put(url, res);
+          if (seen) await viewed.delete(url);
+        }
+        done += 1;
+      } catch {
+        failed += 1;
+      }
+      if ((done + failed) % 20 === 0) port.postMessage({ type: "progress", done, failed, total });
+    }
+  }
+
+  await Promise.all(Array.from({ length: CONCURRENCY }, worker));
+  const wasCancelled = cancelled.delete(id);
+  port.postMessage({ type: "done", done, failed, total, cancelled: wasCancelled });
+}
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  const port = event.ports[0];
+  if (!port) return;
+
+  const reply = (work) =>
+    event.waitUntil(work.catch((err) => port.postMessage({ type: "error", message: err?.message })));
+
+  if (msg.type === "cache-tiles") reply(cacheTiles(msg, port));
+  else if (msg.type === "cancel-tiles") {
+    cancelled.add(msg.id);
+    port.postMessage({ type: "done" });
+  } else if (msg.type === "clear-tiles") {
+    reply(
+      Promise.all([caches.delete(TILE_CACHE), caches.delete(VIEWED_TILE_CACHE)]).then(() =>
+        port.postMessage({ type: "done" })
+      )
+    );
+  } else if (msg.type === "count-tiles") {
+    const size = (name) =>
+      caches
+        .open(name)
+        .then((c) => c.keys())
+        .then((keys) => keys.length);
+    reply(
+      Promise.all([size(TILE_CACHE), size(VIEWED_TILE_CACHE)]).then(([downloaded, viewed]) =>
+        port.postMessage({ type: "done", count: downloaded + viewed, downloaded, viewed })
+      )
+    );
+  }
+});
@@ -0,0 +1,34 @@
+// Times the map's per-keystroke marker pipeline (see lib/markerPipeline.mjs) on
+// a synthetic dataset and fails when it goes over budget. npm test runs the
+// same check at the default size. Usage: npm run bench -- [count]
+
+import {
+  PIPELINE_BUDGET_MS,
+  createPipeline,
+  median,
+  slowestKeystroke,
+  timeKeystrokes,
+} from "./lib/markerPipeline.mjs";
+
+const COUNT = Number(process.argv[2]) || 5000;
+const RUNS = 25;
+
+// -------------------- main --------------------
+
+const pipeline = createPipeline(COUNT);
+const results = timeKeystrokes(pipeline, { runs: RUNS });
+
+const times = results.flatMap((r) => r.times);
+const slowest = slowestKeystroke(results);
+console.log(`${COUNT} places, ${times.length} keystrokes (data pipeline only, no React/Leaflet rendering)`);
+console.log(
+  `median ${median(times).toFixed(2)} ms | slowest keystroke "${slowest.q}" ${slowest.med.toFixed(2)} ms | worst ${Math.max(...times).toFixed(2)} ms | budget ${PIPELINE_BUDGET_MS} ms`
+);
+for (const { q, med } of results) console.log(`  ${JSON.stringify(q).padEnd(10)} ${med.toFixed(2)} ms`);
+console.log(`search index: ${pipeline.index.postings.size} tokens, built in ${pipeline.indexMs.toFixed(2)} ms`);
+console.log(`icon cache: ${pipeline.icons.size} icons for ${COUNT} markers`);
+
+if (slowest.med > PIPELINE_BUDGET_MS) {
+  console.error(`Over budget: "${slowest.q}" takes ${slowest.med.toFixed(2)} ms (median) > ${PIPELINE_BUDGET_MS} ms`);
+  process.exit(1);
+}
@@ -0,0 +1,132 @@
+// markerPipeline.mjs — the map's per-keystroke marker pipeline on a synthetic
+// dataset, shared by scripts/benchMarkers.mjs and its test.
+//
+// What's timed is the data work a keystroke triggers: search + filter, sort,
+// picking visible markers and icon lookups. React reconciliation and Leaflet's
+// DOM updates are not measured here (see PIPELINE_BUDGET_MS).
+
+import { performance } from "node:perf_hooks";
+
+import { filterPlaces, sortPlaces } from "../../src/lib/filters.js";
+import { buildSearchIndex } from "../../src/lib/searchIndex.js";
+import { createIconCache, visibleMarkers } from "../../src/lib/markers.js";
+
+// Median per keystroke: one 60fps frame. This bounds the data work only; a
+// frame that also renders needs less, so treat a close call as a warning.
+export const PIPELINE_BUDGET_MS = 16;
+export const KEYSTROKES = ["s", "sp", "spi", "spin", "spina", "spinac", "spinach", ""];
+
+// Deterministic PRNG so runs are comparable
+function mulberry32(seed) {
+  return function next() {
+    seed |= 0;
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const CUISINES = ["Italian", "Thai", "Mexican", "Korean", "Japanese", "Vietnamese", "Pizza", "Burgers", "Bakery", "Seafood"];
+const TAGS = ["date-night", "late-night", "cheap-eats", "patio", "brunch", "loud", "quiet", "group-friendly"];
+const HOODS = ["Capitol Hill", "Ballard", "Fremont", "Downtown", "Queen Anne", "U District", "Green Lake"];
+const CITIES = ["Seattle", "Bellevue", "Kirkland", "Redmond", "Lynnwood", "Everett"];
+const WORDS = ["spinach", "walrus", "carpenter", "noodle", "taco", "ember", "pearl", "harbor", "saffron", "lantern"];
+const SYLLABLES = ["ka", "to", "ri", "men", "sa", "lo", "pe", "qui", "zu", "bor", "an", "tel", "vi", "ro", "dag", "sp", "in"];
+const LEXICON_SIZE = 8000; // with the ids and fixed lists, ~10k distinct tokens at 5000 places
+
+function pick(rand, arr) {
+  return arr[Math.floor(rand() * arr.length)];
+}
+
+// Made-up words, so the fuzzy scan has a real vocabulary to get through
+function makeLexicon(rand) {
+  const words = [...WORDS];
+  for (let i = 0; i < LEXICON_SIZE; i++) {
+    const len = 2 + Math.floor(rand() * 3);
+    words.push(Array.from({ length: len }, () => pick(rand, SYLLABLES)).join(""));
+  }
+  return words;
+}
+
+export function makeSyntheticPlaces(n, seed = 42) {
+  const rand = mulberry32(seed);
+  const lexicon = makeLexicon(rand);
+  const list = [];
+  for (let i = 0; i < n; i++) {
+    const rated = rand() > 0.1;
+    list.push({
+      id: `synthetic-${i}`,
+      name: `${pick(rand, lexicon)} ${pick(rand, lexicon)} ${i}`,
+      address: `${100 + i} Example Ave`,
+      lat: 47.45 + rand() * 0.57,
+      lon: -122.48 + rand() * 0.48,
+      city: pick(rand, CITIES),
+      neighborhood: pick(rand, HOODS),
+      cuisine: [pick(rand, CUISINES)],
+      tags: [pick(rand, TAGS), pick(rand, TAGS)],
+      visitedAt: `2025-${String(1 + Math.floor(rand() * 12)).padStart(2, "0")}-15`,
+      price: 1 + Math.floor(rand() * 4),
+      rating: rated ? Math.round((1 + rand() * 9) * 10) / 10 : null,
+      wouldReturn: rand() > 0.4,
+      notes: `${pick(rand, lexicon)} and ${pick(rand, lexicon)}`,
+      dishes: [],
+    });
+  }
+  return list;
+}
+
+// Stand-in for makeRatingIcon: same string work, no Leaflet/DOM
+function fakeIcon(rating, selected, price) {
+  return { html: `<div class="beli-marker${selected ? " selected" : ""}" data-r="${rating}" data-p="${price}"></div>` };
+}
+
+export function median(xs) {
+  const s = [...xs].sort((a, b) => a - b);
+  return s[Math.floor(s.length / 2)];
+}
+
+// { places, index, icons, indexMs, keystroke(q) → marker count }
+export function createPipeline(count) {
+  const places = makeSyntheticPlaces(count);
+  const icons = createIconCache(fakeIcon);
+
+  const t0 = performance.now();
+  const index = buildSearchIndex(places);
+  const indexMs = performance.now() - t0;
+
+  function keystroke(q) {
+    const filtered = filterPlaces(places, { q, locationQ: "", prices: [], minRating: 0, index });
+    const sorted = sortPlaces(filtered, "top", null);
+    const markers = visibleMarkers(places, sorted);
+    for (const p of markers) icons.get(p.rating, p.id === "synthetic-0", p.price);
+    return markers.length;
+  }
+
+  return { places, index, icons, indexMs, keystroke };
+}
+
+// Times every keystroke `runs` times after a warm-up; → [{ q, med, times }]
+// Each keystroke in the app is a term the index hasn't seen yet, so every timed
+// one starts with an empty term cache; otherwise only cache hits are measured
+// and the fuzzy postings scan never is.
+export function timeKeystrokes(pipeline, { runs = 25, keystrokes = KEYSTROKES } = {}) {
+  for (const q of keystrokes) pipeline.keystroke(q); // warm up the JIT
+
+  const byKey = new Map(keystrokes.map((q) => [q, []]));
+  for (let run = 0; run < runs; run++) {
+    for (const q of keystrokes) {
+      pipeline.index.cache.clear();
+      const t0 = performance.now();
+      pipeline.keystroke(q);
+      byKey.get(q).push(performance.now() - t0);
+    }
+  }
+  return [...byKey].map(([q, times]) => ({ q, med: median(times), times }));
+}
+
+// The budget holds per keystroke: a slow first letter shouldn't hide behind
+// fast later ones in an overall median
+export function slowestKeystroke(results) {
+  return results.reduce((a, b) => (b.med > a.med ? b : a));
+}
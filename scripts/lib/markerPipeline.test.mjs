@@ -0,0 +1,25 @@
+import { describe, expect, it } from "vitest";
+
+import { PIPELINE_BUDGET_MS, createPipeline, slowestKeystroke, timeKeystrokes } from "./markerPipeline.mjs";
+
+describe("marker pipeline at 5,000 places", () => {
+  const pipeline = createPipeline(5000);
+
+  it("stays within the per-keystroke budget", () => {
+    const slowest = slowestKeystroke(timeKeystrokes(pipeline));
+    expect(slowest.med, `"${slowest.q}"`).toBeLessThanOrEqual(PIPELINE_BUDGET_MS);
+  });
+
+  it("shows every place for an empty query", () => {
+    expect(pipeline.keystroke("")).toBe(5000);
+  });
+
+  it("reuses icons instead of building one per marker", () => {
+    pipeline.keystroke("");
+    const size = pipeline.icons.size;
+    expect(size).toBeLessThan(500);
+    pipeline.keystroke("spin");
+    pipeline.keystroke("");
+    expect(pipeline.icons.size).toBe(size);
+  });
+});
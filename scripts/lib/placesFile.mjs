@@ -0,0 +1,94 @@
+// placesFile.mjs — node-side read/write for the places dataset.
+// Writes are atomic (temp file + rename) so a crash mid-write can't truncate the file.
+
+import fs from "fs";
+import path from "path";
+
+import { PLACES_FILE, appendPlace } from "../../src/lib/places.js";
+import { formatIssue, hasErrors, validatePlaces } from "../../src/lib/placeSchema.js";
+
+// Old CLI versions wrote here; on case-sensitive filesystems the app never saw it.
+const LEGACY_FILE = "src/data/places.json";
+
+export function placesPath(root = process.cwd()) {
+  return path.resolve(root, PLACES_FILE);
+}
+
+function readArray(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  const raw = fs.readFileSync(filePath, "utf8").trim();
+  if (!raw) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch {
+    throw new Error(`Could not parse JSON in ${filePath}. Fix it or clear the file.`);
+  }
+  if (!Array.isArray(parsed)) throw new Error(`Expected an array of places in ${filePath}.`);
+  return parsed;
+}
+
+function sameFile(a, b) {
+  try {
+    const sa = fs.statSync(a);
+    const sb = fs.statSync(b);
+    return sa.dev === sb.dev && sa.ino === sb.ino;
+  } catch {
+    return false;
+  }
+}
+
+// Records come back exactly as stored, so a write only changes what the caller
+// changed. (The app fills in `visits` for older records in memory; see visits.js.)
+export function readPlaces(filePath = placesPath()) {
+  return readArray(filePath);
+}
+
+export function writePlaces(list, filePath = placesPath()) {
+  const issues = validatePlaces(list);
+  if (hasErrors(issues)) {
+    const lines = issues.filter((x) => x.severity === "error").map(formatIssue);
+    throw new Error(`Refusing to write invalid places:\n${lines.join("\n")}`);
+  }
+
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = path.join(
+    path.dirname(filePath),
+    `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`
+  );
+
+  const fd = fs.openSync(tmp, "w");
+  try {
+    fs.writeFileSync(fd, JSON.stringify(list, null, 2) + "\n");
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tmp, filePath);
+  } catch (err) {
+    fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+}
+
+// Fold spots from the legacy lowercase file into the canonical one, then remove it.
+// Returns how many spots were recovered.
+export function migrateLegacyFile(root = process.cwd()) {
+  const canonical = placesPath(root);
+  const legacy = path.resolve(root, LEGACY_FILE);
+  if (!fs.existsSync(legacy) || sameFile(legacy, canonical)) return 0;
+
+  let list = readArray(canonical);
+  let recovered = 0;
+  for (const p of readArray(legacy)) {
+    const res = appendPlace(list, p);
+    list = res.list;
+    if (res.added) recovered++;
+  }
+
+  if (recovered > 0) writePlaces(list, canonical);
+  fs.rmSync(legacy);
+  return recovered;
+}
@@ -0,0 +1,29 @@
+import path from "path";
+
+import { formatIssue, hasErrors, validatePlaces } from "../src/lib/placeSchema.js";
+import { placesPath, readPlaces } from "./lib/placesFile.mjs";
+
+// -------------------- main --------------------
+
+const dataPath = process.argv[2] ? path.resolve(process.argv[2]) : placesPath();
+
+let list;
+try {
+  list = readPlaces(dataPath);
+} catch (err) {
+  console.error(`Could not read ${dataPath}: ${err.message}`);
+  process.exit(1);
+}
+
+const issues = validatePlaces(list);
+const errors = issues.filter((x) => x.severity === "error");
+const warnings = issues.filter((x) => x.severity === "warning");
+
+for (const x of issues) console.log(formatIssue(x));
+
+console.log(
+  `${path.relative(process.cwd(), dataPath)}: ${Array.isArray(list) ? list.length : 0} places, ` +
+  `${errors.length} error(s), ${warnings.length} warning(s)`
+);
+
+if (hasErrors(issues)) process.exit(1);
@@ -1,6 +1,6 @@
 // App.jsx
-import { useEffect, useMemo, useRef, useState } from "react";
-import { MapContainer, TileLayer, Marker, Popup, useMap, CircleMarker } from "react-leaflet";
+import { memo, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents, CircleMarker } from "react-leaflet";
 import MarkerClusterGroup from "react-leaflet-cluster";
 import L from "leaflet";
 
@@ -9,6 +9,75 @@ import "leaflet.markercluster/dist/MarkerCluster.css";
 import "leaflet.markercluster/dist/MarkerCluster.Default.css";
 
 import placesData from "./data/Places.json";
+import regionsData from "./data/regions.json";
+import AddPlaceDrawer, { DraftPin } from "./components/AddPlaceDrawer.jsx";
+import EditPlaceDrawer from "./components/EditPlaceDrawer.jsx";
+import ExportPanel from "./components/ExportPanel.jsx";
+import ImportDialog from "./components/ImportDialog.jsx";
+import PendingChanges from "./components/PendingChanges.jsx";
+import BasemapSwitcher from "./components/BasemapSwitcher.jsx";
+import CrawlPanel, { CrawlRoute } from "./components/CrawlPanel.jsx";
+import DrawControl from "./components/DrawControl.jsx";
+import { VisitLogForm, VisitTimeline } from "./components/VisitTimeline.jsx";
+import { DishForm, WhatToOrder } from "./components/DishList.jsx";
+import Highlight, { HighlightProvider } from "./components/Highlight.jsx";
+import NearMeControls, { NearMeRings } from "./components/NearMe.jsx";
+import HeatmapLayer, { HeatmapControls } from "./components/HeatmapLayer.jsx";
+import OfflinePanel, { OfflineBadge } from "./components/OfflinePanel.jsx";
+import QueryErrors from "./components/QueryErrors.jsx";
+import UserLocation, { TrackingToggles } from "./components/UserLocation.jsx";
+import {
+  MAX_CRAWL_STOPS,
+  crawlDistance,
+  crawlGpx,
+  crawlLegs,
+  crawlMapsLink,
+  mapsQuery,
+  moveStop,
+  optimizeCrawl,
+} from "./lib/crawl.js";
+import { BASEMAPS, DEFAULT_BASEMAP, resolveBasemap } from "./lib/basemaps.js";
+import { bestDishes } from "./lib/dishes.js";
+import { serializePlaces } from "./lib/exportFormats.js";
+import { filterPlaces, sortPlaces } from "./lib/filters.js";
+import { distancesFrom, hasCoords } from "./lib/geo.js";
+import { GEO_OPTIONS, createLocationTracker, movedMiles, pickGeolocation, toLocation } from "./lib/location.js";
+import { DEFAULT_HEATMAP, heatPoints, normalizeHeatmap } from "./lib/heatmap.js";
+import { createIconCache, visibleMarkers } from "./lib/markers.js";
+import { createGeoapifyGeocoder, createStaticGeocoder, todayISO } from "./lib/geocoder.js";
+import { findNearDuplicate, mergePlaces } from "./lib/places.js";
+import {
+  applyChanges,
+  emptyJournal,
+  makeEntry,
+  normalizeJournal,
+  pendingChanges,
+  recordEntry,
+  redoStep,
+  undoStep,
+  withEdit,
+} from "./lib/journal.js";
+import { draftErrors, draftPatch, isDraftDirty, toDraft } from "./lib/placeDraft.js";
+import { validatePlace } from "./lib/placeSchema.js";
+import { highlightTerms, parseQuery, scoreQuery } from "./lib/query.js";
+import {
+  ALL_REGION,
+  activeChild,
+  allChildKey,
+  childRegions,
+  loadRegions,
+  placeInRegion,
+  regionKeys,
+  regionView,
+  topLevelRegions,
+} from "./lib/regions.js";
+import { buildSearchIndex } from "./lib/searchIndex.js";
+import { createStore } from "./lib/storage.js";
+import { describeShape, shapeContains } from "./lib/shapes.js";
+import { WORLD, deriveMetros, metroAt, worldView } from "./lib/metros.js";
+import { formatTrip, travelMode } from "./lib/travel.js";
+import { RADIUS_RANGE, decodeUrlState, encodeUrlState, isNavigation } from "./lib/urlState.js";
+import { RATING_MODES, patchLatestVisit, withVisitSummary } from "./lib/visits.js";
 import Steak from "./assets/Steak.PNG";
 import CaseStudyImage from "./assets/Case.png";
 
@@ -24,13 +93,11 @@ L.Icon.Default.mergeOptions({
   shadowUrl: markerShadow,
 });
 
-const yorkieUserIcon = L.icon({
-  iconUrl: Steak,
-  iconSize: [32, 32],
-  iconAnchor: [14, 24],
-  popupAnchor: [0, -20],
-  className: "yorkie-user-icon",
-});
+// navigator.geolocation, or a scripted fake for demos and CI (see location.js)
+const geolocation = pickGeolocation(import.meta.env.VITE_FAKE_GEOLOCATION);
+
+// "Nearest" re-sorts (and Near Me re-filters) once you've moved this far
+const RESORT_MILES = 0.03;
 
 // ── Continuous rating → color (red→orange→yellow→green) ──
 function lerpColor(a, b, t) {
@@ -51,21 +118,30 @@ const COLOR_STOPS = [
   { at: 1,    hex: 0x3FA85A },  // rich green   (10)
 ];
 
-function ratingToHex(rating) {
+// Same ramp, lifted so pins don't sink into dark and satellite tiles
+const COLOR_STOPS_DARK = [
+  { at: 0,    hex: 0xFFB45C },  // orange       (1)
+  { at: 0.61, hex: 0xFFD866 },  // gold         (6.5)
+  { at: 0.72, hex: 0x9BE58F },  // soft green   (7.5)
+  { at: 1,    hex: 0x6BD982 },  // rich green   (10)
+];
+
+function ratingToHex(rating, stops = COLOR_STOPS) {
   const r = Number(rating);
   if (!Number.isFinite(r) || r <= 0) return null;
   const t = Math.max(0, Math.min(1, (r - 1) / 9)); // 1–10 → 0–1
-  for (let i = 0; i < COLOR_STOPS.length - 1; i++) {
-    const a = COLOR_STOPS[i], b = COLOR_STOPS[i + 1];
+  for (let i = 0; i < stops.length - 1; i++) {
+    const a = stops[i], b = stops[i + 1];
     if (t >= a.at && t <= b.at) {
       const local = (t - a.at) / (b.at - a.at);
       return lerpColor(a.hex, b.hex, local);
     }
   }
-  return lerpColor(COLOR_STOPS.at(-2).hex, COLOR_STOPS.at(-1).hex, 1);
+  return lerpColor(stops.at(-2).hex, stops.at(-1).hex, 1);
 }
 
 const UNRATED_COLOR = "#94a3b8";
+const UNRATED_COLOR_DARK = "#CBD5E1";
 
 // Keep a categorical bucket name for popup badges / legend
 function ratingColor(rating) {
@@ -93,8 +169,10 @@ function priceFontWeight(price) {
   return 500;
 }
 
-// Decide text color for contrast: dark text on light fills, white on dark fills
-function markerTextColor(rating) {
+// Decide text color for contrast: dark text on light fills, white on dark fills.
+// The dark-tile palette is all light fills, so it always gets dark text.
+function markerTextColor(rating, dark = false) {
+  if (dark) return "#14201F";
   const r = Number(rating);
   if (!Number.isFinite(r) || r <= 0) return "#fff";
   const t = Math.max(0, Math.min(1, (r - 1) / 9)); // 1–10 → 0–1
@@ -102,16 +180,16 @@ function markerTextColor(rating) {
   return (t > 0.25 && t < 0.7) ? "#2c1a0e" : "#fff";
 }
 
-function makeRatingIcon(rating, isSelected, price, name) {
-  const bg = ratingToHex(rating) || UNRATED_COLOR;
+// The spot name goes on the Marker's `title` option, so one icon can be shared
+// by every pin with the same rating/selection/price (see ratingIcons below).
+function makeRatingIcon(rating, isSelected, price, dark = false) {
+  const bg = dark
+    ? ratingToHex(rating, COLOR_STOPS_DARK) || UNRATED_COLOR_DARK
+    : ratingToHex(rating) || UNRATED_COLOR;
   const label = ratingLabel(rating);
   const fw = priceFontWeight(price);
-  const txtColor = markerTextColor(rating);
-  const cls = isSelected ? "beli-marker selected" : "beli-marker";
-
-  const title = name
-    ? `${name}, rating ${label}${price ? `, price ${"$".repeat(Number(price))}` : ""}`
-    : `Rating ${label}`;
+  const txtColor = markerTextColor(rating, dark);
+  const cls = `beli-marker${isSelected ? " selected" : ""}${dark ? " on-dark" : ""}`;
 
   const isNew = label === "New";
 
@@ -124,8 +202,6 @@ function makeRatingIcon(rating, isSelected, price, name) {
       <div
         class="${cls}"
         style="--pin-bg:${bg};--pin-fg:${txtColor};--pin-fw:${fw}"
-        aria-label="${title}"
-        title="${title}"
       >
         <div class="beli-marker__nub"></div>
         <div class="beli-marker__body ${isNew ? "is-new" : ""}">
@@ -136,104 +212,79 @@ function makeRatingIcon(rating, isSelected, price, name) {
   });
 }
 
-// Cluster icon factory — color by average rating (continuous)
-function createClusterIcon(cluster) {
-  const markers = cluster.getAllChildMarkers();
-  const count = markers.length;
+const ratingIcons = createIconCache(makeRatingIcon);
+const ratingIconsDark = createIconCache((rating, selected, price) => makeRatingIcon(rating, selected, price, true));
 
+function markerTitle(p) {
+  const label = ratingLabel(p.rating);
+  return `${p.name}, rating ${label}${p.price ? `, price ${"$".repeat(Number(p.price))}` : ""}`;
+}
+
+// Cluster members → count, average rating, price mix (index 0 = no price)
+function clusterSummary(markers) {
   let sum = 0;
   let rated = 0;
+  const prices = [0, 0, 0, 0, 0];
   for (const m of markers) {
     const r = m.options._rating;
     if (Number.isFinite(r) && r > 0) { sum += r; rated++; }
+    const p = Number(m.options._price);
+    prices[p >= 1 && p <= 4 ? p : 0]++;
   }
-  const avg = rated > 0 ? sum / rated : 0;
-  const bg = ratingToHex(avg) || UNRATED_COLOR;
+  return { count: markers.length, avg: rated > 0 ? sum / rated : 0, prices };
+}
+
+// Cluster icon factory — color by average rating (continuous)
+function createClusterIcon(cluster, dark = false) {
+  const { count, avg } = clusterSummary(cluster.getAllChildMarkers());
+  const bg = dark
+    ? ratingToHex(avg, COLOR_STOPS_DARK) || UNRATED_COLOR_DARK
+    : ratingToHex(avg) || UNRATED_COLOR;
 
   const size = count < 10 ? 36 : count < 30 ? 42 : 48;
-  const txtColor = avg > 0 ? markerTextColor(avg) : "#fff";
+  const txtColor = dark || avg > 0 ? markerTextColor(avg, dark) : "#fff";
   return L.divIcon({
-    html: `<div class="cluster-badge" style="width:${size}px;height:${size}px;background:${bg};color:${txtColor}">${count}</div>`,
+    html: `<div class="cluster-badge${dark ? " on-dark" : ""}" style="width:${size}px;height:${size}px;background:${bg};color:${txtColor}">${count}</div>`,
     className: "",
     iconSize: [size, size],
   });
 }
 
-// Bounds
-const AREA_BOUNDS = L.latLngBounds([47.45, -122.48], [48.02, -122.0]);
-
-// ── Region filter chips (two-tier) ──
-const REGIONS = [
-  { key: "all", label: "All Spots" },
-  { key: "seattle", label: "Seattle" },
-  { key: "bellevue", label: "Bellevue" },
-  { key: "lynnwood", label: "Lynnwood" },
-  { key: "redmond", label: "Redmond" },
-  { key: "kirkland", label: "Kirkland" },
-  { key: "south-end", label: "South End" },
-  { key: "edmonds", label: "Edmonds" },
-  { key: "shoreline", label: "Shoreline" },
-  { key: "ballard", label: "Ballard" },
-  { key: "everett", label: "Everett" },
-];
-
-const SEATTLE_HOODS = [
-  { key: "all-seattle", label: "All Seattle" },
-  { key: "u-district", label: "U District" },
-  { key: "fremont", label: "Fremont" },
-  { key: "capitol-hill", label: "Capitol Hill" },
-  { key: "downtown", label: "Downtown" },
-  { key: "slu", label: "South Lake Union" },
-  { key: "queen-anne", label: "Queen Anne" },
-  { key: "west-seattle", label: "West Seattle" },
-  { key: "green-lake", label: "Green Lake" },
-  { key: "roosevelt", label: "Roosevelt" },
-  { key: "eastlake", label: "Eastlake" },
-];
+function createClusterIconDark(cluster) {
+  return createClusterIcon(cluster, true);
+}
 
-function regionMatchesPlace(place, regionKey, subRegionKey) {
-  const city = (place.city || "").toLowerCase();
-  const hood = (place.neighborhood || "").toLowerCase();
-  const addr = (place.address || "").toLowerCase();
-
-  // Top-level region filter
-  if (regionKey === "all") return true;
-
-  if (regionKey === "seattle") {
-    const isSeattle = city === "seattle" || (!city && addr.includes("seattle"));
-    if (!isSeattle) return false;
-    // Sub-region filter
-    if (!subRegionKey || subRegionKey === "all-seattle") return true;
-    switch (subRegionKey) {
-      case "u-district":      return hood === "university district" || hood === "u district";
-      case "fremont":         return hood === "fremont";
-      case "capitol-hill":    return hood === "capitol hill";
-      case "downtown":        return hood === "downtown";
-      case "slu":             return hood === "south lake union";
-      case "queen-anne":      return hood === "queen anne";
-      case "west-seattle":    return hood === "west seattle";
-      case "green-lake":      return hood === "green lake";
-      case "roosevelt":       return hood === "roosevelt";
-      case "eastlake":        return hood === "eastlake";
-      default: return true;
-    }
-  }
+// Geocoder for the "Add spot" drawer — live Geoapify when a key is set, local stand-in otherwise
+const GEOAPIFY_KEY = import.meta.env.VITE_GEOAPIFY_KEY;
+// Comma list of country codes to search in ("any" for everywhere)
+const GEOCODER_COUNTRIES = import.meta.env.VITE_GEOCODER_COUNTRIES ?? "us";
+const geocoder = GEOAPIFY_KEY
+  ? createGeoapifyGeocoder({ apiKey: GEOAPIFY_KEY, countryCode: GEOCODER_COUNTRIES })
+  : createStaticGeocoder();
+
+// Cluster hover summary
+function showClusterSummary(e) {
+  const { count, avg, prices } = clusterSummary(e.layer.getAllChildMarkers());
+  const mix = prices
+    .map((n, level) => (level > 0 && n > 0 ? `${"$".repeat(level)}×${n}` : null))
+    .filter(Boolean)
+    .join(" ");
+  const html =
+    `<strong>${count} spots</strong>` +
+    (avg > 0 ? ` • avg ${avg.toFixed(1)}★` : "") +
+    (mix ? `<br/>${mix}` : "");
+  e.layer.bindTooltip(html, { direction: "top", offset: [0, -14], className: "cluster-tooltip", opacity: 1 }).openTooltip();
+}
 
-  switch (regionKey) {
-    case "bellevue":    return city === "bellevue";
-    case "lynnwood":    return city === "lynnwood";
-    case "redmond":     return city === "redmond";
-    case "kirkland":    return city === "kirkland";
-    case "south-end":   return ["tacoma", "renton", "tukwila", "kent", "federal way", "auburn"].includes(city);
-    case "edmonds":     return city === "edmonds";
-    case "shoreline":   return city === "shoreline";
-    case "ballard":     return hood === "ballard" && (city === "seattle" || (!city && addr.includes("seattle")));
-    case "everett":     return city === "everett";
-    default: return false;
-  }
+function hideClusterSummary(e) {
+  e.layer.unbindTooltip();
 }
 
+// ── Regions: chips, fly-to views and membership all come from the GeoJSON config ──
+const REGION_CONFIG = loadRegions(regionsData);
+
 const SORTS = [
+  { value: "relevance", label: "Best match" },
   { value: "top", label: "Top rated" },
   { value: "lowest", label: "Lowest rated" },
   { value: "recent", label: "Newest added" },
@@ -247,71 +298,163 @@ function priceLabel(p) {
   return "$".repeat(Math.max(1, Math.min(4, Number.isFinite(n) ? n : 1)));
 }
 
-function haversineMiles(lat1, lon1, lat2, lon2) {
-  const R = 3958.8; // miles
-  const toRad = (d) => (d * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) ** 2 +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLon / 2) ** 2;
-  return 2 * R * Math.asin(Math.sqrt(a));
-}
-
 function mapsLink(place) {
-  const q = encodeURIComponent(`${place.name} ${place.address || ""}`.trim());
+  const q = encodeURIComponent(mapsQuery(place));
   return `https://www.google.com/maps/search/?api=1&query=${q}`;
 }
 
+// Valid keys for the URL codec
+const URL_KEYS = {
+  sorts: SORTS.map((s) => s.value),
+  ...regionKeys(REGION_CONFIG),
+};
+
 function parseUrlState() {
-  const sp = new URLSearchParams(window.location.search);
-  const q = sp.get("q") ?? "";
-  const locationQ = sp.get("loc") ?? "";
-  const pricesRaw = sp.get("prices") ?? "";
-  const prices = pricesRaw ? pricesRaw.split(",").map(Number).filter((n) => n >= 1 && n <= 4) : [];
-  const minRating = Number(sp.get("minRating") ?? "0");
-  const sort = sp.get("sort") ?? "top";
-  return { q, locationQ, prices, minRating, sort };
+  return decodeUrlState(window.location.search, URL_KEYS);
 }
 
+// Region / Near Me / selection changes push a history entry; the rest replaces it
 function writeUrlState(state) {
-  const sp = new URLSearchParams();
-  if (state.q) sp.set("q", state.q);
-  if (state.locationQ) sp.set("loc", state.locationQ);
-  if (state.prices?.length) sp.set("prices", state.prices.join(","));
-  if (state.minRating > 0) sp.set("minRating", String(state.minRating));
-  if (state.sort && state.sort !== "top") sp.set("sort", state.sort);
-
-  const next = `${window.location.pathname}${sp.toString() ? `?${sp.toString()}` : ""}`;
-  window.history.replaceState(null, "", next);
+  const search = encodeUrlState(state);
+  const next = `${window.location.pathname}${search ? `?${search}` : ""}`;
+  if (next === `${window.location.pathname}${window.location.search}`) return;
+
+  if (isNavigation(parseUrlState(), state)) window.history.pushState(null, "", next);
+  else window.history.replaceState(null, "", next);
+}
+
+// -------------------- Local overlay storage (see lib/storage.js) --------------------
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+// Quick edits: { [placeId]: patch }
+const editsStore = createStore("edits", {
+  label: "edits",
+  fallback: () => ({}),
+  validate: isObject,
+  migrations: [
+    // v1 → v2: bare object → envelope; drop entries that aren't patches
+    (edits) => Object.fromEntries(Object.entries(isObject(edits) ? edits : {}).filter(([, patch]) => isObject(patch))),
+  ],
+});
+
+// Spots added in-app (not yet in Places.json)
+const additionsStore = createStore("additions", {
+  label: "added spots",
+  fallback: () => [],
+  validate: Array.isArray,
+  migrations: [(additions) => (Array.isArray(additions) ? additions.filter(isObject) : [])],
+});
+
+// Undo/redo history for edits + additions (see lib/journal.js)
+const journalStore = createStore("journal", {
+  label: "undo steps",
+  fallback: emptyJournal,
+  validate: isObject,
+  migrations: [normalizeJournal],
+});
+
+// useState backed by a store: loads once and saves on every change. Data kept
+// in IndexedDB arrives a moment after mount; nothing is saved before then so
+// the empty fallback can't overwrite it.
+// The third item is { loadError, saveError, dismissLoadError }: a load error
+// stays until dismissed (saving the fallback doesn't undo what was lost), a
+// save error until the next save goes through.
+function useStoredState(store) {
+  const [initial] = useState(() => store.load());
+  const [value, setValue] = useState(initial.data);
+  const [ready, setReady] = useState(!initial.pending);
+  const [loadError, setLoadError] = useState(initial.error);
+  const [saveError, setSaveError] = useState(null);
+
+  useEffect(() => {
+    if (!initial.pending) return;
+    let live = true;
+    initial.pending.then((loaded) => {
+      if (!live) return;
+      setValue(loaded.data);
+      setLoadError(loaded.error);
+      setReady(true);
+    });
+    return () => {
+      live = false;
+    };
+  }, [initial]);
+
+  useEffect(() => {
+    if (!ready) return;
+    let live = true;
+    store.save(value).then((saved) => {
+      if (live && (saved.ok || saved.error)) setSaveError(saved.error);
+    });
+    return () => {
+      live = false;
+    };
+  }, [store, value, ready]);
+
+  return [value, setValue, { loadError, saveError, dismissLoadError: () => setLoadError(null) }];
+}
+
+// How the headline rating is derived from visits ("latest" | "mean" | "weighted")
+const RATING_MODE_KEY = "aleks-food-map:ratingMode:v1";
+
+function loadRatingMode() {
+  try {
+    const v = localStorage.getItem(RATING_MODE_KEY);
+    return RATING_MODES.some((m) => m.value === v) ? v : "latest";
+  } catch {
+    return "latest";
+  }
+}
+
+function saveRatingMode(mode) {
+  try {
+    localStorage.setItem(RATING_MODE_KEY, mode);
+  } catch {
+    // ignore
+  }
+}
+
+// Basemap picked in the layer switcher (see lib/basemaps.js)
+const BASEMAP_KEY = "aleks-food-map:basemap:v1";
+
+function loadBasemap() {
+  try {
+    const v = localStorage.getItem(BASEMAP_KEY);
+    return BASEMAPS.some((b) => b.key === v) ? v : DEFAULT_BASEMAP;
+  } catch {
+    return DEFAULT_BASEMAP;
+  }
+}
+
+function saveBasemap(key) {
+  try {
+    localStorage.setItem(BASEMAP_KEY, key);
+  } catch {
+    // ignore
+  }
 }
 
-// -------------------- Local quick-edit storage --------------------
-const EDITS_KEY = "aleks-food-map:edits:v1";
+const HEATMAP_KEY = "aleks-food-map:heatmap:v1";
 
-function loadEdits() {
+function loadHeatmap() {
   try {
-    const raw = localStorage.getItem(EDITS_KEY);
-    if (!raw) return {};
-    const parsed = JSON.parse(raw);
-    return parsed && typeof parsed === "object" ? parsed : {};
+    const raw = localStorage.getItem(HEATMAP_KEY);
+    return raw ? normalizeHeatmap(JSON.parse(raw)) : DEFAULT_HEATMAP;
   } catch {
-    return {};
+    return DEFAULT_HEATMAP;
   }
 }
 
-function saveEdits(edits) {
+function saveHeatmap(settings) {
   try {
-    localStorage.setItem(EDITS_KEY, JSON.stringify(edits));
+    localStorage.setItem(HEATMAP_KEY, JSON.stringify(settings));
   } catch {
     // ignore
   }
 }
 
-function downloadJSON(filename, obj) {
-  const blob = new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" });
+function downloadText(filename, text, type = "text/plain") {
+  const blob = new Blob([text], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
@@ -328,45 +471,41 @@ function markerInstance(ref) {
   return null;
 }
 
-// ── Preset region views (fixed bounds, not data-dependent) ──
-const REGION_VIEWS = {
-  // Top-level regions
-  all:            { bounds: [[47.45, -122.48], [48.02, -122.0]], zoom: 11 },
-  seattle:        { bounds: [[47.56205, -122.42736], [47.65174, -122.19253]], zoom: 13 },
-  "all-seattle":  { bounds: [[47.56205, -122.42736], [47.65174, -122.19253]], zoom: 13 },
-  bellevue:       { bounds: [[47.59985, -122.22211], [47.64469, -122.1047]], zoom: 14 },
-  lynnwood:       { bounds: [[47.77752, -122.37534], [47.86685, -122.14051]], zoom: 13 },
-  redmond:        { bounds: [[47.65608, -122.16491], [47.70087, -122.0475]], zoom: 14 },
-  kirkland:       { bounds: [[47.65481, -122.23774], [47.69959, -122.12032]], zoom: 14 },
-  "south-end":    { bounds: [[47.45003, -122.33362], [47.53992, -122.09878]], zoom: 13 },
-  edmonds:        { bounds: [[47.78917, -122.42255], [47.83385, -122.30513]], zoom: 14 },
-  shoreline:      { bounds: [[47.69498, -122.43096], [47.78444, -122.19613]], zoom: 13 },
-  ballard:        { bounds: [[47.65573, -122.4271], [47.70052, -122.30968]], zoom: 14 },
-  everett:        { bounds: [[47.90334, -122.31351], [47.99245, -122.07868]], zoom: 13 },
-  // Seattle neighborhoods
-  "u-district":   { bounds: [[47.652, -122.325], [47.672, -122.295]], zoom: 15 },
-  "fremont":      { bounds: [[47.647, -122.365], [47.667, -122.340]], zoom: 15 },
-  "capitol-hill": { bounds: [[47.608, -122.330], [47.636, -122.300]], zoom: 15 },
-  "downtown":     { bounds: [[47.596, -122.350], [47.618, -122.322]], zoom: 15 },
-  "slu":          { bounds: [[47.618, -122.348], [47.636, -122.328]], zoom: 15 },
-  "queen-anne":   { bounds: [[47.620, -122.375], [47.650, -122.340]], zoom: 14 },
-  "west-seattle": { bounds: [[47.520, -122.410], [47.580, -122.350]], zoom: 13 },
-  "green-lake":   { bounds: [[47.668, -122.360], [47.688, -122.325]], zoom: 15 },
-  "roosevelt":    { bounds: [[47.672, -122.325], [47.688, -122.306]], zoom: 15 },
-  "eastlake":     { bounds: [[47.628, -122.338], [47.648, -122.318]], zoom: 15 },
-};
+function openMarkerPopup(marker, group) {
+  const m = markerInstance(marker);
+  if (!m) return;
+  // A clustered marker isn't on the map until its cluster opens
+  if (group?.hasLayer?.(m)) group.zoomToShowLayer(m, () => m.openPopup());
+  else m.openPopup?.();
+}
 
 // ── Region map controller (uses preset bounds, falls back for Near Me) ──
-function RegionController({ regionKey, subRegionKey, nearMeActive, userLoc, places }) {
+// `view` is a viewport restored from the URL; it wins over the automatic fit.
+// `metro` is the view for the "All Spots" chip.
+function RegionController({ metro, regionKey, subRegionKey, nearMeActive, userLoc, places, view, onViewApplied }) {
   const map = useMap();
   const prevKey = useRef("");
 
   useEffect(() => {
+    const preset = regionView(REGION_CONFIG, regionKey, subRegionKey, metro);
+    const key = preset.key;
+
+    if (view) {
+      map.setView([view.lat, view.lon], view.zoom, { animate: false });
+      // Near Me still waits for a location; skip the fit that follows it
+      prevKey.current = nearMeActive ? "restored" : key;
+      onViewApplied();
+      return;
+    }
+
     // Near Me: dynamic fit to user + nearby places
     if (nearMeActive && userLoc) {
-      const nk = `nearme:${userLoc.lat}:${userLoc.lon}`;
+      // Fit once when Near Me turns on; live tracking moves the marker, not the camera
+      const nk = "nearme";
       if (prevKey.current === nk) return;
+      const restored = prevKey.current === "restored";
       prevKey.current = nk;
+      if (restored) return;
 
       const coords = places
         .filter((p) => Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lon)))
@@ -389,26 +528,89 @@ function RegionController({ regionKey, subRegionKey, nearMeActive, userLoc, plac
       return;
     }
 
-    const key =
-      regionKey === "seattle" ? subRegionKey || "all-seattle" : regionKey;
-
     if (prevKey.current === key) return;
     prevKey.current = key;
 
-    const preset =
-      REGION_VIEWS[key] ||
-      REGION_VIEWS[regionKey] ||
-      REGION_VIEWS.all;
-
-    if (!preset?.bounds) return;
+    if (!preset.bounds) return;
 
     map.flyToBounds(preset.bounds, {
       duration: 0.55,
       paddingTopLeft: [20, 120],
       paddingBottomRight: [20, 20],
-      maxZoom: preset.zoom ?? 18,
+      maxZoom: preset.maxZoom,
     });
-  }, [map, regionKey, subRegionKey, nearMeActive, userLoc, places]);
+  }, [map, metro, regionKey, subRegionKey, nearMeActive, userLoc, places, view, onViewApplied]);
+
+  return null;
+}
+
+// ── Panning limits for the active metro (none for the World overview) ──
+function MetroBounds({ bounds }) {
+  const map = useMap();
+
+  useEffect(() => {
+    map.setMaxBounds(null);
+    if (!bounds) {
+      map.setMinZoom(2);
+      return;
+    }
+
+    const b = L.latLngBounds(bounds);
+    const apply = () => {
+      map.setMaxBounds(b);
+      map.setMinZoom(Math.min(map.getBoundsZoom(b), 18));
+    };
+    // Coming from another metro: let the fly-to land before clamping
+    if (b.contains(map.getCenter())) {
+      apply();
+      return;
+    }
+    map.once("moveend", apply);
+    return () => map.off("moveend", apply);
+  }, [map, bounds]);
+
+  return null;
+}
+
+// Reports the settled viewport so it can go in the URL
+// Reports the viewport after every move; `onUserMove` only for moves the user
+// started (drag, wheel, keyboard, the zoom buttons) rather than fly-tos
+function MapViewTracker({ onChange, onUserMove }) {
+  const touched = useRef(false);
+  const map = useMapEvents({
+    moveend: () => {
+      const c = map.getCenter();
+      const b = map.getBounds();
+      const bounds = [[b.getSouth(), b.getWest()], [b.getNorth(), b.getEast()]];
+      onChange(
+        {
+          lat: Math.round(c.lat * 1e5) / 1e5,
+          lon: Math.round(c.lng * 1e5) / 1e5,
+          zoom: map.getZoom(),
+        },
+        bounds
+      );
+      if (touched.current) {
+        touched.current = false;
+        onUserMove?.(bounds);
+      }
+    },
+  });
+
+  useEffect(() => {
+    const el = map.getContainer();
+    const touch = () => {
+      touched.current = true;
+    };
+    el.addEventListener("pointerdown", touch);
+    el.addEventListener("wheel", touch, { passive: true });
+    el.addEventListener("keydown", touch);
+    return () => {
+      el.removeEventListener("pointerdown", touch);
+      el.removeEventListener("wheel", touch);
+      el.removeEventListener("keydown", touch);
+    };
+  }, [map]);
 
   return null;
 }
@@ -451,11 +653,22 @@ function MapNearMeButton({ active, onClick }) {
 }
 
 function MapToolbar({
+  metros,
+  activeMetro,
+  regions,
   activeRegion,
   activeSubRegion,
+  handleSelectMetro,
   handleSelectRegion,
-  handleSelectSeattleSubregion,
+  handleSelectSubregion,
 }) {
+  const parent = REGION_CONFIG.byKey.get(activeRegion);
+  const children = parent ? childRegions(REGION_CONFIG, parent.key) : [];
+  const subChips = children.length
+    ? [{ key: allChildKey(parent.key), label: `All ${parent.label}`, sub: null }, ...children.map((c) => ({ ...c, sub: c.key }))]
+    : [];
+  const activeSub = activeChild(REGION_CONFIG, activeRegion, activeSubRegion)?.key ?? null;
+
   return (
     <div className="pointer-events-none absolute left-1/2 top-3 z-[700] w-[calc(100%-28px)] max-w-[980px] -translate-x-1/2">
       <div className="pointer-events-auto flex flex-col rounded-[20px] border border-[rgba(255,255,255,0.42)] bg-[rgba(255,255,255,0.50)] px-2.5 py-2 shadow-[0_8px_24px_rgba(0,0,0,0.10)] backdrop-blur-xl supports-[backdrop-filter]:bg-[rgba(255,255,255,0.42)]">
@@ -464,7 +677,22 @@ function MapToolbar({
           style={{ WebkitOverflowScrolling: "touch" }}
         >
           <div className="flex min-w-max items-center gap-1.5 pr-1">
-            {REGIONS.map((r) => (
+            {metros.length > 1 ? (
+              <select
+                value={activeMetro}
+                onChange={(e) => handleSelectMetro(e.target.value)}
+                aria-label="City"
+                className="shrink-0 rounded-full border border-[#165D6E]/20 bg-[rgba(255,255,255,0.70)] px-3 py-1.5 text-[13px] font-semibold leading-none text-[#165D6E] outline-none"
+              >
+                {metros.map((m) => (
+                  <option key={m.key} value={m.key}>
+                    {m.label} ({m.count})
+                  </option>
+                ))}
+                <option value={WORLD}>World</option>
+              </select>
+            ) : null}
+            {regions.map((r) => (
               <button
                 key={r.key}
                 type="button"
@@ -482,20 +710,20 @@ function MapToolbar({
           </div>
         </div>
 
-        {activeRegion === "seattle" ? (
+        {subChips.length ? (
           <div
             className="hide-scrollbar mt-1.5 overflow-x-auto overflow-y-hidden whitespace-nowrap scroll-smooth [scrollbar-width:none] [-ms-overflow-style:none]"
             style={{ WebkitOverflowScrolling: "touch" }}
           >
             <div className="flex min-w-max items-center gap-1.5 pr-1">
-              {SEATTLE_HOODS.map((h) => (
+              {subChips.map((h) => (
                 <button
                   key={h.key}
                   type="button"
-                  onClick={() => handleSelectSeattleSubregion(h.key)}
+                  onClick={() => handleSelectSubregion(parent.key, h.sub)}
                   className={[
                     "shrink-0 rounded-full px-3 py-1 text-[11px] font-medium leading-none transition-all duration-150",
-                    activeSubRegion === h.key
+                    activeSub === h.sub
                       ? "border border-[#2E7682]/10 bg-[#2E7682] text-white shadow-[0_2px_8px_rgba(46,118,130,0.18)]"
                       : "border border-[rgba(0,0,0,0.05)] bg-[rgba(255,255,255,0.32)] text-[#7A888C] hover:bg-[rgba(255,255,255,0.48)] hover:text-[#5A6B6E]",
                   ].join(" ")}
@@ -589,16 +817,112 @@ function MapControlPill({ active, onLocateClick, topOffset = 72 }) {
   );
 }
 
+// One place pin + popup. Memoized: typing in the search box re-renders App,
+// but a pin only re-renders when its place or selection changes.
+const PlaceMarker = memo(function PlaceMarker({ place: p, selected, inCrawl, dark, actions, onMarker }) {
+  const lat = Number(p.lat);
+  const lon = Number(p.lon);
+  const position = useMemo(() => [lat, lon], [lat, lon]);
+  const rating = p.rating != null ? Number(p.rating) : undefined;
+  const price = p.price ?? undefined;
+
+  return (
+    <Marker
+      position={position}
+      icon={(dark ? ratingIconsDark : ratingIcons).get(p.rating, selected, p.price)}
+      title={markerTitle(p)}
+      zIndexOffset={selected ? 1000 : 0}
+      _id={p.id}
+      _rating={rating}
+      _price={price}
+      ref={(ref) => {
+        if (!ref) return;
+        onMarker(p.id, ref);
+        // Marker options are set once at creation; keep cluster inputs current
+        ref.options._rating = rating;
+        ref.options._price = price;
+      }}
+      eventHandlers={{ click: () => actions.current?.select(p.id) }}
+    >
+      <Popup maxWidth={320} minWidth={260}>
+        <div>
+          {p.photo ? (
+            <img src={p.photo} alt={p.name} className="popup-photo" />
+          ) : null}
+          <div className="popup-body">
+            <div className="popup-name"><Highlight text={p.name} /></div>
+            <div className="popup-meta">
+              <span className={`popup-rating ${ratingColor(p.rating)}`}>
+                {ratingLabel(p.rating) === "New" ? "New spot" : `${ratingLabel(p.rating)}★`}
+              </span>
+              {p.price ? <span>{priceLabel(p.price)}</span> : null}
+              {p.neighborhood ? <span><Highlight text={p.neighborhood} /></span> : null}
+            </div>
+            {(p.cuisine || []).length > 0 ? (
+              <div style={{ marginTop: 6, display: "flex", flexWrap: "wrap", gap: 4 }}>
+                {p.cuisine.slice(0, 3).map((c) => (
+                  <span key={c} className="popup-cuisine"><Highlight text={c} /></span>
+                ))}
+              </div>
+            ) : null}
+            <WhatToOrder place={p} />
+            {p.notes ? <div className="popup-notes"><Highlight text={p.notes} /></div> : null}
+            <VisitTimeline visits={p.visits} />
+            <VisitLogForm today={todayISO()} onSave={(v) => actions.current?.logVisit(p.id, v)} />
+            <DishForm onSave={(d) => actions.current?.addDish(p.id, d)} />
+            <div className="popup-actions">
+              <a
+                href={mapsLink(p)}
+                target="_blank"
+                rel="noreferrer"
+                className="popup-btn popup-btn-primary"
+              >
+                Open in Maps
+              </a>
+              {p.website ? (
+                <a
+                  href={p.website}
+                  target="_blank"
+                  rel="noreferrer"
+                  className="popup-btn popup-btn-secondary"
+                >
+                  Website
+                </a>
+              ) : null}
+              <button
+                type="button"
+                onClick={() => actions.current?.toggleCrawl(p.id)}
+                className="popup-btn popup-btn-secondary"
+              >
+                {inCrawl ? "✓ In crawl" : "+ Crawl"}
+              </button>
+              <button
+                type="button"
+                onClick={() => actions.current?.edit(p.id)}
+                className="popup-btn popup-btn-secondary"
+              >
+                Edit
+              </button>
+            </div>
+          </div>
+        </div>
+      </Popup>
+    </Marker>
+  );
+});
+
 export default function App() {
   const STADIA_KEY = import.meta.env.VITE_STADIA_KEY;
-  const TILE_URL = STADIA_KEY
-    ? `https://tiles.stadiamaps.com/tiles/alidade_smooth/{z}/{x}/{y}{r}.png?api_key=${STADIA_KEY}`
-    : "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png";
 
   const RESUME_URL = "/Aleksey_Yanovich_Resume.pdf";
 
   const mapRef = useRef(null);
   const markerRefs = useRef({});
+  const clusterRef = useRef(null);
+  const markerActions = useRef(null); // latest handlers for PlaceMarker, see effect below
+  const registerMarker = useCallback((id, marker) => {
+    markerRefs.current[id] = marker;
+  }, []);
 
   // URL-synced state
   const initial = useMemo(() => parseUrlState(), []);
@@ -615,22 +939,50 @@ export default function App() {
   }
 
   // Selection
-  const [selectedId, setSelectedId] = useState(null);
+  const [selectedId, setSelectedId] = useState(initial.selectedId);
+  const [pendingPopup, setPendingPopup] = useState(initial.selectedId); // open once its marker exists
+  const [clusterIds, setClusterIds] = useState(null); // ids of a clicked cluster, narrows the list
+
+  // City/metro switcher (null = the metro with the most spots)
+  const [activeMetro, setActiveMetro] = useState(initial.metro);
 
   // Region chips (two-tier)
-  const [activeRegion, setActiveRegion] = useState("all");
-  const [activeSubRegion, setActiveSubRegion] = useState("all-seattle");
+  const [activeRegion, setActiveRegion] = useState(initial.region);
+  const [activeSubRegion, setActiveSubRegion] = useState(initial.subRegion);
 
   // Near Me mode
-  const [nearMeActive, setNearMeActive] = useState(false);
-  const [nearMeRadius, setNearMeRadius] = useState(5); // miles
+  const [nearMeActive, setNearMeActive] = useState(initial.nearMe);
+  const [nearMeRadius, setNearMeRadius] = useState(initial.radius); // miles
+  const [travelKey, setTravelKey] = useState(initial.travel); // speed for travel-time estimates
+
+  // Map viewport: the settled one (for the URL) and one waiting to be applied (from the URL)
+  const [mapView, setMapView] = useState(initial.view);
+  // Drawn filter area (rectangle, lasso or circle)
+  const [drawShape, setDrawShape] = useState(initial.area);
+  // Food crawl: place ids in stop order
+  const [crawlIds, setCrawlIds] = useState(initial.crawl);
+  // "Search this area": the list can be limited to the map viewport, either
+  // once per click (areaBounds) or continuously (searchAsMove)
+  const [viewportBounds, setViewportBounds] = useState(null);
+  const [areaBounds, setAreaBounds] = useState(null);
+  const [searchAsMove, setSearchAsMove] = useState(false);
+  const [mapMoved, setMapMoved] = useState(false);
+  const [pendingView, setPendingView] = useState(initial.view);
+  const clearPendingView = useCallback(() => setPendingView(null), []);
 
   // Overlay/drawer state
   const [accountOpen, setAccountOpen] = useState(false);
   const [accountTab, setAccountTab] = useState("about"); // "about" | "resume" | "caseStudy" | "contact"
   const [caseStudyFull, setCaseStudyFull] = useState(false);
   const [menuOpen, setMenuOpen] = useState(false);
-  const [menuTab, setMenuTab] = useState("aboutMap"); // "aboutMap" | "featured" | "stats"
+  const [menuTab, setMenuTab] = useState("aboutMap"); // "aboutMap" | "featured" | "stats" | "changes" | "export" | "offline"
+
+  const [importOpen, setImportOpen] = useState(false);
+
+  // Add spot drawer
+  const [addOpen, setAddOpen] = useState(false);
+  const [addPin, setAddPin] = useState(null); // {lat, lon}
+  const [pinMode, setPinMode] = useState(false);
 
   // Close overlays on ESC
   useEffect(() => {
@@ -638,6 +990,8 @@ export default function App() {
       if (e.key === "Escape") {
         setAccountOpen(false);
         setMenuOpen(false);
+        setImportOpen(false);
+        setPinMode(false);
       }
     };
     window.addEventListener("keydown", onKey);
@@ -645,7 +999,11 @@ export default function App() {
   }, []);
 
   // Location (optional, for nearest)
-  const [myLoc, setMyLoc] = useState(null); // {lat, lon}
+  const [myLoc, setMyLoc] = useState(null); // {lat, lon, accuracy, heading}
+  // Where distances were last measured from; trails myLoc by up to RESORT_MILES
+  const [distanceOrigin, setDistanceOrigin] = useState(null);
+  const [tracking, setTracking] = useState(false); // watchPosition on
+  const [followMe, setFollowMe] = useState(false);
   const [locErr, setLocErr] = useState("");
 
   // Toast
@@ -687,20 +1045,94 @@ export default function App() {
     }
   }
 
-  // Local edits
-  const [edits, setEdits] = useState(() => loadEdits());
-  useEffect(() => saveEdits(edits), [edits]);
+  // Local edits, additions (from the Add spot drawer) and their undo history
+  const [edits, setEdits, editsStorage] = useStoredState(editsStore);
+  const [additions, setAdditions, additionsStorage] = useStoredState(additionsStore);
+  const [journal, setJournal, journalStorage] = useStoredState(journalStore);
+
+  // Storage problems stay on screen (unlike toasts) until dismissed
+  const storageStatus = [editsStorage, additionsStorage, journalStorage];
+  const [dismissedSaveError, setDismissedSaveError] = useState(null);
+  const saveError = storageStatus.map((s) => s.saveError).find(Boolean) ?? null;
+  const storageErrors = [
+    ...storageStatus.map((s) => s.loadError).filter(Boolean),
+    ...(saveError && saveError !== dismissedSaveError ? [saveError] : []),
+  ];
+  function dismissStorageErrors() {
+    storageStatus.forEach((s) => s.dismissLoadError());
+    setDismissedSaveError(saveError);
+  }
+
+  // Every local change goes through here so it lands in the journal.
+  // `update` maps { edits, additions } to the new overlay; `ids` are the places it touches.
+  function changeOverlay(label, ids, update) {
+    const before = { edits, additions };
+    const after = update(before);
+    const entry = makeEntry(label, ids, before, after);
+    if (!entry) return;
+    setEdits(after.edits);
+    setAdditions(after.additions);
+    setJournal((prev) => recordEntry(prev, entry));
+  }
+
+  function stepHistory(step, side, verb) {
+    if (!step) return;
+    const next = applyChanges({ edits, additions }, step.entry.changes, side);
+    setEdits(next.edits);
+    setAdditions(next.additions);
+    setJournal(step.journal);
+    showToast(`${verb}: ${step.entry.label}`, "info");
+  }
+
+  function undo() {
+    stepHistory(undoStep(journal), "before", "Undid");
+  }
+
+  function redo() {
+    stepHistory(redoStep(journal), "after", "Redid");
+  }
+
+  // ⌘Z / Ctrl+Z undo, ⇧⌘Z / Ctrl+Y redo; the listener reads the latest handlers through this ref
+  const historyActions = useRef(null);
+  useEffect(() => {
+    historyActions.current = { undo, redo };
+  });
+  useEffect(() => {
+    const onKey = (e) => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+      // Text fields keep their own undo
+      const t = e.target;
+      if (t?.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(t?.tagName || "")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) historyActions.current?.undo();
+      else if ((key === "z" && e.shiftKey) || key === "y") historyActions.current?.redo();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  // Headline rating mode
+  const [ratingMode, setRatingMode] = useState(() => loadRatingMode());
+  useEffect(() => saveRatingMode(ratingMode), [ratingMode]);
+
+  const [basemapKey, setBasemapKey] = useState(() => loadBasemap());
+  useEffect(() => saveBasemap(basemapKey), [basemapKey]);
+  const basemap = useMemo(() => resolveBasemap(basemapKey, STADIA_KEY), [basemapKey, STADIA_KEY]);
+
+  // Density overlay settings: { on, by, radius, intensity }
+  const [heatmap, setHeatmap] = useState(() => loadHeatmap());
+  useEffect(() => saveHeatmap(heatmap), [heatmap]);
 
   // Base places safety
   const basePlaces = Array.isArray(placesData) ? placesData : [];
 
-  // Merge base data + local edits
-  const places = useMemo(() => {
-    return basePlaces.map((p) => {
-      const patch = edits?.[p.id];
-      return patch ? { ...p, ...patch } : p;
-    });
-  }, [basePlaces, edits]);
+  // Merge base data + local additions + local edits, then derive rating/visitedAt from visits
+  const places = useMemo(
+    () => mergePlaces(basePlaces, additions, edits).map((p) => withVisitSummary(p, ratingMode)),
+    [basePlaces, additions, edits, ratingMode]
+  );
 
   // Only places with valid coords should hit Leaflet
   const placesWithCoords = useMemo(() => {
@@ -730,6 +1162,7 @@ export default function App() {
       .slice(0, 6);
 
     return {
+      bestDishes: bestDishes(places, 8),
       total,
       cities: cities.length,
       hoods: hoods.length,
@@ -781,77 +1214,294 @@ export default function App() {
     }
   }
 
-  // Editing UI
+  // Editing UI — the full edit form (EditPlaceDrawer); drafts are lib/placeDraft.js form values
   const [editingId, setEditingId] = useState(null);
   const [draft, setDraft] = useState(null);
 
+  const editingPlace = editingId ? places.find((p) => p.id === editingId) ?? null : null;
+  const editErrors = useMemo(
+    () => (draft && editingPlace ? draftErrors(draft, { hasVisits: (editingPlace.visits || []).length > 0 }) : {}),
+    [draft, editingPlace]
+  );
+  const draftDirty = !!(draft && editingPlace && isDraftDirty(draft, editingPlace));
+  const editPin = useMemo(() => {
+    const lat = Number(draft?.lat);
+    const lon = Number(draft?.lon);
+    if (!draft || draft.lat === "" || draft.lon === "" || !Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+    return { lat, lon };
+  }, [draft]);
+
+  // Closing the tab with an open, changed form asks first
+  useEffect(() => {
+    if (!draftDirty) return;
+    const onBeforeUnload = (e) => {
+      e.preventDefault();
+      e.returnValue = "";
+    };
+    window.addEventListener("beforeunload", onBeforeUnload);
+    return () => window.removeEventListener("beforeunload", onBeforeUnload);
+  }, [draftDirty]);
+
+  // True when there is nothing unsaved, or the user agrees to drop it
+  function confirmDiscard() {
+    if (!draftDirty) return true;
+    return window.confirm(`Discard your unsaved changes to ${editingPlace.name}?`);
+  }
+
   function startEdit(p) {
+    if (p.id === editingId) return;
+    if (!confirmDiscard()) return;
+    // One drawer at a time
+    setAddOpen(false);
+    setAddPin(null);
+    setPinMode(false);
+    mapRef.current?.closePopup();
     setEditingId(p.id);
-    setDraft({
-      rating: p.rating ?? "",
-      price: p.price ?? "",
-      wouldReturn: p.wouldReturn ?? false,
-      notes: p.notes ?? "",
-      photo: p.photo ?? "",
-    });
+    setDraft(toDraft(p));
     setSelectedId(p.id);
   }
 
   function cancelEdit() {
+    if (!confirmDiscard()) return;
     setEditingId(null);
     setDraft(null);
+    setPinMode(false);
+  }
+
+  function updateDraft(field, value) {
+    setDraft((prev) => (prev ? { ...prev, [field]: value } : prev));
+  }
+
+  function handleEditPin(pin) {
+    setDraft((prev) => (prev ? { ...prev, lat: pin.lat.toFixed(6), lon: pin.lon.toFixed(6) } : prev));
+    setPinMode(false);
   }
 
   function saveEdit(id) {
     if (!draft) return;
 
-    const ratingNum =
-      draft.rating === ""
-        ? null
-        : Number.isFinite(Number(draft.rating))
-        ? Number(draft.rating)
-        : null;
-
-    const priceNum =
-      draft.price === ""
-        ? null
-        : Number.isFinite(Number(draft.price))
-        ? Number(draft.price)
-        : null;
-
-    const patch = {
-      rating: ratingNum,
-      price: priceNum,
-      wouldReturn: !!draft.wouldReturn,
-      notes: draft.notes || "",
-      photo: draft.photo || null,
-    };
+    const base = places.find((p) => p.id === id);
+    if (!base) return;
+
+    const firstError = Object.entries(editErrors)[0];
+    if (firstError) {
+      showToast(`Not saved: ${firstError[0]} ${firstError[1].toLowerCase()}`, "error");
+      return;
+    }
 
-    setEdits((prev) => ({
-      ...(prev || {}),
-      [id]: { ...((prev || {})[id] || {}), ...patch },
-    }));
+    const patch = patchLatestVisit(base, draftPatch(draft, base), todayISO());
+
+    const problem = validatePlace({ ...base, ...patch }).find((x) => x.severity === "error");
+    if (problem) {
+      showToast(`Not saved: ${problem.path.replace(/^\$\./, "")} ${problem.message}`, "error");
+      return;
+    }
+
+    changeOverlay(`Edited ${patch.name ?? base.name}`, [id], (o) => withEdit(o, id, patch));
 
     showToast("Saved locally (export JSON to keep permanently)", "success");
     setEditingId(null);
     setDraft(null);
+    setPinMode(false);
   }
 
+  function logVisit(id, visit) {
+    const base = places.find((p) => p.id === id);
+    if (!base) return false;
+
+    const visits = [...(base.visits || []), visit];
+    const problem = validatePlace({ ...base, visits }).find((x) => x.severity === "error");
+    if (problem) {
+      showToast(`Not saved: ${problem.path.replace(/^\$\./, "")} ${problem.message}`, "error");
+      return false;
+    }
+
+    changeOverlay(`Logged a visit to ${base.name}`, [id], (o) => withEdit(o, id, { visits }));
+    showToast("Visit logged (export JSON to keep permanently)", "success");
+    return true;
+  }
+
+  function addDish(id, dish) {
+    const base = places.find((p) => p.id === id);
+    if (!base) return false;
+
+    // Same dish name replaces the old entry
+    const key = dish.name.toLowerCase();
+    const dishes = [...(base.dishes || []).filter((d) => d.name.toLowerCase() !== key), dish];
+    const problem = validatePlace({ ...base, dishes }).find((x) => x.severity === "error");
+    if (problem) {
+      showToast(`Not saved: ${problem.path.replace(/^\$\./, "")} ${problem.message}`, "error");
+      return false;
+    }
+
+    changeOverlay(`Saved ${dish.name} at ${base.name}`, [id], (o) => withEdit(o, id, { dishes }));
+    showToast(`Saved ${dish.name}`, "success");
+    return true;
+  }
+
+  // -------------------- Crawl --------------------
+  const crawlStops = useMemo(() => {
+    const byId = new Map(places.map((p) => [p.id, p]));
+    return crawlIds.map((id) => byId.get(id)).filter(Boolean);
+  }, [places, crawlIds]);
+  const crawlSet = useMemo(() => new Set(crawlIds), [crawlIds]);
+
+  function toggleCrawl(id) {
+    if (crawlIds.includes(id)) {
+      setCrawlIds((prev) => prev.filter((x) => x !== id));
+      return;
+    }
+    if (crawlIds.length >= MAX_CRAWL_STOPS) {
+      showToast(`A crawl holds up to ${MAX_CRAWL_STOPS} stops`, "error");
+      return;
+    }
+    setCrawlIds((prev) => [...prev, id]);
+  }
+
+  function optimizeCrawlOrder() {
+    setCrawlIds(optimizeCrawl(crawlStops).map((p) => p.id));
+    showToast("Crawl reordered by nearest stop", "success");
+  }
+
+  // Link with just the crawl, so the recipient isn't stuck with our filters
+  async function copyCrawlLink() {
+    const search = encodeUrlState({ crawl: crawlIds });
+    await copyText(`${window.location.origin}${window.location.pathname}?${search}`, "Crawl link copied!");
+  }
+
+  function exportCrawlGpx() {
+    downloadText("food-crawl.gpx", crawlGpx(crawlStops), "application/gpx+xml");
+  }
+
+  // PlaceMarker is memoized and reads handlers through this ref, so passing
+  // fresh closures each render doesn't re-render every pin
+  useEffect(() => {
+    markerActions.current = {
+      select(id) {
+        setSelectedId(id);
+        setTimeout(() => {
+          const m = markerInstance(markerRefs.current[id]);
+          m?.openPopup?.();
+        }, 0);
+      },
+      edit(id) {
+        const p = places.find((x) => x.id === id);
+        if (p) startEdit(p);
+      },
+      logVisit,
+      addDish,
+      toggleCrawl,
+    };
+  });
+
   function clearLocalEdits() {
-    setEdits({});
-    showToast("Local edits cleared", "info");
+    const ids = [...Object.keys(edits), ...additions.map((p) => p.id)];
+    changeOverlay("Reset all edits", ids, () => ({ edits: {}, additions: [] }));
+    showToast("Local edits cleared — undo brings them back", "info");
   }
 
-  function exportPlaces() {
-    const merged = basePlaces.map((p) => (edits?.[p.id] ? { ...p, ...edits[p.id] } : p));
-    downloadJSON("places.json", merged);
-    showToast("Downloaded places.json", "success");
+  // From ImportDialog: new spots plus per-field merges into spots we already have, as one undoable step
+  function importSpots({ added, patches: resolved }) {
+    // planImport drops bad values per field; this catches whatever they add up to
+    const patches = [];
+    for (const { id, patch } of resolved) {
+      const base = places.find((p) => p.id === id);
+      if (!base) continue;
+      const merged = patchLatestVisit(base, patch, todayISO());
+      const problem = validatePlace({ ...base, ...merged }).find((x) => x.severity === "error");
+      if (problem) {
+        showToast(`Not imported: ${base.name} ${problem.path.replace(/^\$\./, "")} ${problem.message}`, "error");
+        return;
+      }
+      patches.push({ id, patch: merged });
+    }
+
+    const ids = [...added.map((p) => p.id), ...patches.map((x) => x.id)];
+    changeOverlay(`Imported ${added.length} new, updated ${patches.length}`, ids, (o) => {
+      let next = { ...o, additions: [...o.additions, ...added] };
+      for (const { id, patch } of patches) next = withEdit(next, id, patch);
+      return next;
+    });
+    setImportOpen(false);
+    showToast(
+      `Imported ${added.length} new spot${added.length === 1 ? "" : "s"}${patches.length ? `, updated ${patches.length}` : ""}`,
+      "success"
+    );
+  }
+
+  // Back to the Places.json values; a spot added in-app is removed
+  function revertPlace(id) {
+    const p = places.find((x) => x.id === id);
+    const added = additions.some((x) => x.id === id);
+    changeOverlay(`${added ? "Removed" : "Reverted"} ${p?.name ?? id}`, [id], (o) => {
+      const nextEdits = { ...o.edits };
+      delete nextEdits[id];
+      return { edits: nextEdits, additions: o.additions.filter((x) => x.id !== id) };
+    });
+  }
+
+  function openAddSpot() {
+    if (!confirmDiscard()) return;
+    setEditingId(null);
+    setDraft(null);
+    setAddPin(null);
+    setPinMode(false);
+    setAddOpen(true);
+  }
+
+  function closeAddSpot() {
+    setAddOpen(false);
+    setAddPin(null);
+    setPinMode(false);
   }
 
-  // Whenever filters change, write URL
+  function handleDraftPin(pin, opts = {}) {
+    setAddPin(pin);
+    setPinMode(false);
+    if (opts.fly && mapRef.current) {
+      mapRef.current.flyTo([pin.lat, pin.lon], Math.max(mapRef.current.getZoom(), 16), { duration: 0.6 });
+    }
+  }
+
+  function addLocalPlace(place) {
+    const problem = validatePlace(place).find((x) => x.severity === "error");
+    if (problem) {
+      showToast(`Not saved: ${problem.path.replace(/^\$\./, "")} ${problem.message}`, "error");
+      return;
+    }
+
+    const dup = findNearDuplicate(places, place);
+    if (dup) {
+      showToast(`${dup.name} is already on the map`, "error");
+      return;
+    }
+
+    changeOverlay(`Added ${place.name}`, [place.id], (o) => ({ ...o, additions: [...o.additions, place] }));
+    closeAddSpot();
+    setSelectedId(place.id);
+    showToast(`Added ${place.name} (export JSON to keep permanently)`, "success");
+  }
+
+  // Whenever the view changes, write URL
   useEffect(() => {
-    writeUrlState({ q, locationQ, prices, minRating, sort });
-  }, [q, locationQ, prices, minRating, sort]);
+    writeUrlState({
+      q,
+      locationQ,
+      prices,
+      minRating,
+      sort,
+      metro: activeMetro,
+      region: activeRegion,
+      subRegion: activeSubRegion,
+      nearMe: nearMeActive,
+      radius: nearMeRadius,
+      travel: travelKey,
+      selectedId,
+      view: mapView,
+      area: drawShape,
+      crawl: crawlIds,
+    });
+  }, [q, locationQ, prices, minRating, sort, activeMetro, activeRegion, activeSubRegion, nearMeActive, nearMeRadius, travelKey, selectedId, mapView, drawShape, crawlIds]);
 
   // Back/Forward restores state
   useEffect(() => {
@@ -862,11 +1512,30 @@ export default function App() {
       setPrices(s.prices);
       setMinRating(s.minRating);
       setSort(s.sort);
+      setActiveMetro(s.metro);
+      setActiveRegion(s.region);
+      setActiveSubRegion(s.subRegion);
+      setNearMeActive(s.nearMe);
+      setNearMeRadius(s.radius);
+      setTravelKey(s.travel);
+      setDrawShape(s.area);
+      setCrawlIds(s.crawl);
+      setClusterIds(null);
+      setSelectedId(s.selectedId);
+      if (s.view) setPendingView(s.view);
+      if (s.selectedId) setPendingPopup(s.selectedId);
+      else mapRef.current?.closePopup();
     };
     window.addEventListener("popstate", onPop);
     return () => window.removeEventListener("popstate", onPop);
   }, []);
 
+  // A new area replaces the cluster selection, which may not overlap it
+  const handleDrawShape = useCallback((shape) => {
+    setDrawShape(shape);
+    setClusterIds(null);
+  }, []);
+
   function clearFilters() {
     setQ("");
     setLocationQ("");
@@ -874,6 +1543,9 @@ export default function App() {
     setMinRating(0);
     setSort("top");
     setSelectedId(null);
+    setClusterIds(null);
+    setDrawShape(null);
+    clearMapArea();
     showToast("Filters cleared", "info");
   }
 
@@ -883,85 +1555,140 @@ export default function App() {
   }
 
   // Filtering
-  const filtered = useMemo(() => {
-    const qq = q.trim().toLowerCase();
-    const lq = locationQ.trim().toLowerCase();
-    return places.filter((p) => {
-      // Location fuzzy filter
-      if (lq) {
-        const locHay = [p.city, p.neighborhood, p.address].filter(Boolean).join(" ").toLowerCase();
-        if (!locHay.includes(lq)) return false;
-      }
+  // Fuzzy index over name, cuisine, tags, neighborhood, notes and dishes
+  const searchIdx = useMemo(() => buildSearchIndex(places), [places]);
+  const parsedQuery = useMemo(() => parseQuery(q), [q]);
+  const matchTerms = useMemo(() => highlightTerms(parsedQuery), [parsedQuery]);
+  // Syntax problems in the search query (bad terms are skipped by filterPlaces)
+  const queryErrors = parsedQuery.errors;
+
+  const filtered = useMemo(
+    () => filterPlaces(places, { q, locationQ, prices, minRating, index: searchIdx }),
+    [places, q, locationQ, prices, minRating, searchIdx]
+  );
 
-      // Price multi-select
-      if (prices.length > 0 && !prices.includes(Number(p.price || 0))) return false;
+  // Sorting ("Best match" ranks by search relevance)
+  const relevance = useMemo(
+    () => (sort === "relevance" ? scoreQuery(parsedQuery, searchIdx) : null),
+    [sort, parsedQuery, searchIdx]
+  );
+  // Miles from the user, computed once per location fix rather than per comparison
+  const distances = useMemo(() => distancesFrom(places, distanceOrigin), [places, distanceOrigin]);
+  const sorted = useMemo(
+    () => sortPlaces(filtered, sort, distances, relevance),
+    [filtered, sort, distances, relevance]
+  );
 
-      const r = typeof p.rating === "number" ? p.rating : 0;
-      if (minRating > 0 && r < minRating) return false;
+  // Metros come from where the pins are; "World" shows them all
+  const metros = useMemo(() => deriveMetros(places, REGION_CONFIG.metros), [places]);
+  const world = useMemo(() => worldView(places), [places]);
+  const metro =
+    activeMetro === WORLD ? world : metros.find((m) => m.key === activeMetro) ?? metros[0] ?? world;
+
+  // Region chips for the active metro
+  const regionChips = useMemo(
+    () => [
+      { key: ALL_REGION, label: REGION_CONFIG.allLabel },
+      ...(metro.key === WORLD ? [] : topLevelRegions(REGION_CONFIG, metro.key)),
+    ],
+    [metro.key]
+  );
 
-      if (!qq) return true;
+  // What the offline download can cover: the visible map, then each metro
+  const offlineAreas = useMemo(
+    () => [
+      ...(viewportBounds ? [{ key: "view", label: "Visible map", bounds: viewportBounds }] : []),
+      ...metros.filter((m) => m.bounds).map((m) => ({ key: m.key, label: m.label, bounds: m.bounds })),
+    ],
+    [viewportBounds, metros]
+  );
 
-      const hay = [
-        p.name,
-        p.address,
-        p.city,
-        p.neighborhood,
-        ...(p.cuisine || []),
-        ...(p.tags || []),
-        p.notes,
-      ]
-        .filter(Boolean)
-        .join(" ")
-        .toLowerCase();
-
-      return hay.includes(qq);
-    });
-  }, [places, q, locationQ, prices, minRating]);
-
-  // Sorting
-  const sorted = useMemo(() => {
-    const arr = [...filtered];
-    if (sort === "name") {
-      arr.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
-      return arr;
-    }
-    if (sort === "recent") {
-      arr.sort((a, b) => (b.visitedAt || "").localeCompare(a.visitedAt || ""));
-      return arr;
-    }
-    if (sort === "nearest") {
-      if (!myLoc) return arr;
-      arr.sort((a, b) => {
-        if (!Number.isFinite(Number(a.lat)) || !Number.isFinite(Number(a.lon))) return 1;
-        if (!Number.isFinite(Number(b.lat)) || !Number.isFinite(Number(b.lon))) return -1;
-        const da = haversineMiles(myLoc.lat, myLoc.lon, Number(a.lat), Number(a.lon));
-        const db = haversineMiles(myLoc.lat, myLoc.lon, Number(b.lat), Number(b.lon));
-        return da - db;
-      });
-      return arr;
-    }
-    if (sort === "lowest") {
-      arr.sort((a, b) => (Number(a.rating) || 0) - (Number(b.rating) || 0));
-      return arr;
-    }
-    arr.sort((a, b) => (Number(b.rating) || -1) - (Number(a.rating) || -1));
-    return arr;
-  }, [filtered, sort, myLoc]);
+  // Regions with children show a second chip row
+  const hasSubChips = childRegions(REGION_CONFIG, activeRegion).length > 0;
 
   // Region-filtered places
   const regionFiltered = useMemo(() => {
     let list = sorted;
-    if (activeRegion !== "all") {
-      list = list.filter((p) => regionMatchesPlace(p, activeRegion, activeRegion === "seattle" ? activeSubRegion : null));
+    if (metro.ids) list = list.filter((p) => metro.ids.has(p.id));
+    if (activeRegion !== ALL_REGION) {
+      list = list.filter((p) => placeInRegion(p, REGION_CONFIG, activeRegion, activeSubRegion));
     }
     if (nearMeActive && myLoc) {
-      list = list.filter((p) => {
-        if (!Number.isFinite(Number(p.lat)) || !Number.isFinite(Number(p.lon))) return false;
-        return haversineMiles(myLoc.lat, myLoc.lon, Number(p.lat), Number(p.lon)) <= nearMeRadius;
-      });
+      list = list.filter((p) => (distances.get(p.id) ?? Infinity) <= nearMeRadius);
     }
     return list;
-  }, [sorted, activeRegion, activeSubRegion, nearMeActive, myLoc, nearMeRadius]);
+  }, [sorted, metro, activeRegion, activeSubRegion, nearMeActive, myLoc, distances, nearMeRadius]);
+
+  // Narrowed to the drawn area; places without coordinates can't be inside it
+  const shapeFiltered = useMemo(() => {
+    if (!drawShape) return regionFiltered;
+    return regionFiltered.filter((p) => {
+      if (!Number.isFinite(Number(p.lat)) || !Number.isFinite(Number(p.lon))) return false;
+      return shapeContains(drawShape, Number(p.lat), Number(p.lon));
+    });
+  }, [regionFiltered, drawShape]);
+
+  // Map markers — set-based membership, same order as the dataset
+  const markerPlaces = useMemo(
+    () => visibleMarkers(placesWithCoords, shapeFiltered),
+    [placesWithCoords, shapeFiltered]
+  );
+
+  // Heatmap follows the same filters as the pins
+  const heatPts = useMemo(
+    () => (heatmap.on ? heatPoints(markerPlaces, heatmap.by) : []),
+    [heatmap.on, heatmap.by, markerPlaces]
+  );
+
+  // Sidebar list — limited to the searched map area, then to a selected cluster's members
+  const listBounds = searchAsMove ? viewportBounds : areaBounds;
+  const listed = useMemo(() => {
+    let list = shapeFiltered;
+    if (listBounds) {
+      const view = { type: "rect", bounds: listBounds };
+      list = list.filter((p) => hasCoords(p) && shapeContains(view, Number(p.lat), Number(p.lon)));
+    }
+    if (!clusterIds) return list;
+    const ids = new Set(clusterIds);
+    return list.filter((p) => ids.has(p.id));
+  }, [shapeFiltered, listBounds, clusterIds]);
+
+  // scope "view" is the sidebar list as filtered now; "all" is every spot with local edits applied
+  function exportAs(format, scope = "all") {
+    const list =
+      scope === "view" ? listed : mergePlaces(basePlaces, additions, edits).map((p) => withVisitSummary(p, ratingMode));
+    const { text, type, ext } = serializePlaces(format, list);
+    const filename = format === "json" && scope === "all" ? "places.json" : `food-map-${scope}.${ext}`;
+    downloadText(filename, text, type);
+    showToast(`Downloaded ${filename}`, "success");
+  }
+
+  function exportPlaces() {
+    exportAs("json", "all");
+  }
+
+  const handleMapMove = useCallback((view, bounds) => {
+    setMapView(view);
+    setViewportBounds(bounds);
+  }, []);
+
+  const handleUserMove = useCallback(() => setMapMoved(true), []);
+
+  function searchThisArea() {
+    setAreaBounds(viewportBounds);
+    setMapMoved(false);
+  }
+
+  function clearMapArea() {
+    setAreaBounds(null);
+    setSearchAsMove(false);
+    setMapMoved(false);
+  }
+
+  function selectCluster(e) {
+    const ids = e.layer.getAllChildMarkers().map((m) => m.options._id).filter(Boolean);
+    setClusterIds(ids.length ? ids : null);
+  }
 
   // Active filter pills for map overlay
   const activeFilters = useMemo(() => {
@@ -970,8 +1697,11 @@ export default function App() {
     if (locationQ) pills.push({ key: "loc", label: locationQ, clear: () => setLocationQ("") });
     if (prices.length > 0) pills.push({ key: "prices", label: prices.map((p) => "$".repeat(p)).join(" "), clear: () => setPrices([]) });
     if (minRating > 0) pills.push({ key: "rating", label: `${minRating}+★`, clear: () => setMinRating(0) });
+    if (drawShape) pills.push({ key: "area", label: describeShape(drawShape), clear: () => setDrawShape(null) });
+    if (searchAsMove || areaBounds) pills.push({ key: "viewport", label: "In map area", clear: clearMapArea });
+    if (clusterIds) pills.push({ key: "cluster", label: `${clusterIds.length} in cluster`, clear: () => setClusterIds(null) });
     return pills;
-  }, [q, locationQ, prices, minRating]);
+  }, [q, locationQ, prices, minRating, drawShape, searchAsMove, areaBounds, clusterIds]);
 
   // Selected place for bottom card
   const selectedPlace = selectedId != null ? places.find(p => p.id === selectedId) : null;
@@ -986,48 +1716,108 @@ export default function App() {
     const targetZoom = Math.max(map.getZoom(), 16);
     map.flyTo([Number(p.lat), Number(p.lon)], targetZoom, { duration: 0.6 });
 
-    setTimeout(() => {
-      const m = markerInstance(markerRefs.current[p.id]);
-      m?.openPopup?.();
+    setTimeout(() => openMarkerPopup(markerRefs.current[p.id], clusterRef.current), 450);
+  }
+
+  // Selected spot from a shared link or Back/Forward: open its popup once the marker is up
+  useEffect(() => {
+    if (!pendingPopup) return;
+    const t = setTimeout(() => {
+      openMarkerPopup(markerRefs.current[pendingPopup], clusterRef.current);
+      setPendingPopup(null);
     }, 450);
+    return () => clearTimeout(t);
+  }, [pendingPopup]);
+
+  // Every fix moves the marker; distances only follow after a meaningful move
+  const applyLocation = useCallback((loc) => {
+    setMyLoc(loc);
+    setDistanceOrigin((prev) => (movedMiles(prev, loc) >= RESORT_MILES ? loc : prev));
+  }, []);
+
+  // A restored link can turn Near Me on before we know where the user is
+  useEffect(() => {
+    if (!nearMeActive || myLoc || !geolocation) return;
+    geolocation.getCurrentPosition(
+      (pos) => applyLocation(toLocation(pos)),
+      () => setNearMeActive(false),
+      GEO_OPTIONS
+    );
+  }, [nearMeActive, myLoc, applyLocation]);
+
+  // Live tracking: throttled watchPosition; the cleanup clears the watch
+  useEffect(() => {
+    if (!tracking || !geolocation) return;
+    const tracker = createLocationTracker(geolocation, {
+      onUpdate: applyLocation,
+      onError: (err) => {
+        setTracking(false);
+        setFollowMe(false);
+        setToast({ message: err.message || "Could not track location.", variant: "error" });
+      },
+    });
+    return () => tracker.stop();
+  }, [tracking, applyLocation]);
+
+  function setTrackingMode(on) {
+    if (on && !geolocation) {
+      showToast("Geolocation not supported.", "error");
+      return;
+    }
+    setTracking(on);
+    if (!on) setFollowMe(false);
   }
 
   function requestLocation() {
     setLocErr("");
-    if (!navigator.geolocation) {
+    if (!geolocation) {
       setLocErr("Geolocation not supported in this browser.");
       showToast("Geolocation not supported.", "error");
       return;
     }
-    navigator.geolocation.getCurrentPosition(
+    geolocation.getCurrentPosition(
       (pos) => {
-        setMyLoc({ lat: pos.coords.latitude, lon: pos.coords.longitude });
+        applyLocation(toLocation(pos));
         showToast("Using your location for nearest sort", "success");
       },
       (err) => {
         setLocErr(err.message || "Could not get location.");
         showToast(err.message || "Could not get location.", "error");
       },
-      { enableHighAccuracy: true, timeout: 8000 }
+      GEO_OPTIONS
     );
   }
 
+  function handleSelectMetro(metroKey) {
+    setNearMeActive(false);
+    setClusterIds(null);
+    setAreaBounds(null);
+    setActiveMetro(metroKey);
+    setActiveRegion(ALL_REGION);
+    setActiveSubRegion(null);
+  }
+
   function handleSelectRegion(regionKey) {
     setNearMeActive(false);
+    setClusterIds(null);
+    setAreaBounds(null);
     setActiveRegion(regionKey);
-    if (regionKey !== "seattle") setActiveSubRegion("all-seattle");
+    setActiveSubRegion(null);
   }
 
-  function handleSelectSeattleSubregion(subKey) {
+  // subKey null = the "All <region>" chip
+  function handleSelectSubregion(regionKey, subKey) {
     setNearMeActive(false);
-    setActiveRegion("seattle");
+    setClusterIds(null);
+    setAreaBounds(null);
+    setActiveRegion(regionKey);
     setActiveSubRegion(subKey);
   }
 
   function resetMapView() {
     setNearMeActive(false);
-    setActiveRegion("all");
-    setActiveSubRegion("all-seattle");
+    setActiveRegion(ALL_REGION);
+    setActiveSubRegion(null);
   }
 
   function toggleNearMe() {
@@ -1037,19 +1827,21 @@ export default function App() {
     }
 
     setLocErr("");
-    if (!navigator.geolocation) {
+    if (!geolocation) {
       showToast("Geolocation not supported.", "error");
       return;
     }
 
-    navigator.geolocation.getCurrentPosition(
+    geolocation.getCurrentPosition(
       (pos) => {
-        const loc = { lat: pos.coords.latitude, lon: pos.coords.longitude };
-        setMyLoc(loc);
-
-        // Near Me should behave like a standalone mode
-        setActiveRegion("all");
-        setActiveSubRegion("all-seattle");
+        const loc = toLocation(pos);
+        applyLocation(loc);
+
+        // Near Me should behave like a standalone mode, in whichever metro you're in
+        setActiveMetro(metroAt(metros, loc.lat, loc.lon)?.key ?? WORLD);
+        setActiveRegion(ALL_REGION);
+        setActiveSubRegion(null);
+        setAreaBounds(null);
         setNearMeActive(true);
 
         showToast(`Showing spots within ${nearMeRadius} mi`, "success");
@@ -1057,7 +1849,7 @@ export default function App() {
       (err) => {
         showToast(err.message || "Could not get location.", "error");
       },
-      { enableHighAccuracy: true, timeout: 8000 }
+      GEO_OPTIONS
     );
   }
 
@@ -1160,7 +1952,7 @@ export default function App() {
   }
 
   return (
-    <>
+    <HighlightProvider terms={matchTerms}>
       <div className="min-h-screen bg-[#F7F5EF] text-[#1F2A2E]">
         <div className="w-full px-5 py-7 sm:px-6 lg:px-8 xl:px-10 2xl:px-12">
           <div className="flex items-start justify-between gap-6 md:gap-8">
@@ -1178,6 +1970,17 @@ export default function App() {
             </div>
 
             <div className="flex items-center gap-2">
+              {/* Add spot */}
+              <button
+                type="button"
+                onClick={openAddSpot}
+                className="min-h-[48px] rounded-full border border-[#165D6E]/30 bg-[#165D6E]/10 px-4 py-2 text-sm font-semibold text-[#165D6E] backdrop-blur-sm transition-all duration-150 hover:bg-[#165D6E]/18"
+                aria-label="Add a spot"
+                title="Add a spot"
+              >
+                + Add spot
+              </button>
+
               {/* Hamburger — slightly quieter */}
               <button
                 type="button"
@@ -1273,6 +2076,37 @@ export default function App() {
                 </div>
               ) : null}
 
+              {/* Storage problems */}
+              {storageErrors.length ? (
+                <div
+                  className="mt-3 rounded-xl border border-[#E8C8C0] bg-[#FBF1EE] px-3 py-2 text-sm text-[#8A2B1A]"
+                  role="alert"
+                >
+                  {storageErrors.map((message) => (
+                    <p key={message}>{message}</p>
+                  ))}
+                  <div className="mt-2 flex gap-2">
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setMenuTab("export");
+                        setMenuOpen(true);
+                      }}
+                      className="min-h-[36px] rounded-lg border border-[#E8C8C0] bg-white/60 px-3 py-1 text-xs font-semibold hover:bg-white"
+                    >
+                      Export now
+                    </button>
+                    <button
+                      type="button"
+                      onClick={dismissStorageErrors}
+                      className="min-h-[36px] rounded-lg border border-transparent px-3 py-1 text-xs hover:border-[#E8C8C0]"
+                    >
+                      Dismiss
+                    </button>
+                  </div>
+                </div>
+              ) : null}
+
               {/* Search */}
               <label className="mt-3 block text-[11px] font-semibold uppercase tracking-widest text-[#8A9A9E]">
                 Search
@@ -1286,9 +2120,15 @@ export default function App() {
                   value={q}
                   onChange={(e) => setQ(e.target.value)}
                   placeholder="Restaurants, dishes, tags…"
-                  className="w-full rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] py-2 pl-9 pr-3 text-sm text-[#1F2A2E] placeholder:text-[#B0BAB8] outline-none focus:border-[#2E7682]"
+                  title='e.g. cuisine:thai tag:date-night -tag:loud rating>=8 price<=2 hood:"capitol hill" OR "exact phrase"'
+                  aria-invalid={queryErrors.length > 0}
+                  className={[
+                    "w-full rounded-xl border bg-[#F7F5EF] py-2 pl-9 pr-3 text-sm text-[#1F2A2E] placeholder:text-[#B0BAB8] outline-none focus:border-[#2E7682]",
+                    queryErrors.length ? "border-[#E8C8C0]" : "border-[#E0DCD4]",
+                  ].join(" ")}
                 />
               </div>
+              <QueryErrors query={q} errors={queryErrors} />
 
               {/* Location */}
               <label className="mt-3 block text-[11px] font-semibold uppercase tracking-widest text-[#8A9A9E]">
@@ -1382,6 +2222,31 @@ export default function App() {
                 ))}
               </select>
 
+              {/* Headline rating mode */}
+              <label className="mt-3 block text-[11px] font-semibold uppercase tracking-widest text-[#8A9A9E]">
+                Score from visits
+              </label>
+              <div className="mt-1 flex gap-1.5">
+                {RATING_MODES.map((m) => {
+                  const active = ratingMode === m.value;
+                  return (
+                    <button
+                      key={m.value}
+                      type="button"
+                      onClick={() => setRatingMode(m.value)}
+                      className={[
+                        "flex-1 rounded-xl border py-1.5 text-center text-sm font-semibold transition-all duration-150",
+                        active
+                          ? "border-[#165D6E]/40 bg-[#165D6E]/15 text-[#165D6E]"
+                          : "border-[#E0DCD4] bg-[#F7F5EF] text-[#8A9A9E] hover:bg-[#F1EEE6] hover:text-[#5A6B6E]",
+                      ].join(" ")}
+                    >
+                      {m.label}
+                    </button>
+                  );
+                })}
+              </div>
+
               {/* Location button for nearest */}
               {sort === "nearest" ? (
                 <div className="mt-2">
@@ -1422,6 +2287,27 @@ export default function App() {
                 </button>
               </div>
 
+              {nearMeActive || sort === "nearest" ? (
+                <TrackingToggles
+                  tracking={tracking}
+                  follow={followMe}
+                  onTracking={setTrackingMode}
+                  onFollow={setFollowMe}
+                />
+              ) : null}
+
+              {nearMeActive ? (
+                <NearMeControls
+                  radius={nearMeRadius}
+                  mode={travelKey}
+                  range={RADIUS_RANGE}
+                  onRadius={setNearMeRadius}
+                  onMode={setTravelKey}
+                />
+              ) : null}
+
+              <HeatmapControls value={heatmap} onChange={setHeatmap} stops={COLOR_STOPS} />
+
               {/* Active filter chips */}
               {activeFilters.length > 0 ? (
                 <div className="mt-3 flex flex-wrap gap-1.5">
@@ -1449,18 +2335,49 @@ export default function App() {
                 </div>
               ) : null}
 
+              {crawlStops.length > 0 ? (
+                <CrawlPanel
+                  stops={crawlStops}
+                  legs={crawlLegs(crawlStops)}
+                  total={crawlDistance(crawlStops)}
+                  mapsHref={crawlMapsLink(crawlStops)}
+                  onSelect={flyToPlace}
+                  onMove={(id, delta) => setCrawlIds((prev) => moveStop(prev, id, delta))}
+                  onRemove={toggleCrawl}
+                  onOptimize={optimizeCrawlOrder}
+                  onShare={copyCrawlLink}
+                  onGpx={exportCrawlGpx}
+                  onClear={() => setCrawlIds([])}
+                />
+              ) : null}
+
               {/* Divider + results count */}
               <div className="mt-3 flex items-center gap-2.5">
                 <div className="h-px flex-1 bg-[#E0DCD4]" />
                 <span className="text-xs font-semibold text-[#8A9A9E]">
-                  {regionFiltered.length} {regionFiltered.length === 1 ? "spot" : "spots"}
+                  {listed.length} {listed.length === 1 ? "spot" : "spots"}
+                  {listBounds ? " in map area" : ""}
                 </span>
                 <div className="h-px flex-1 bg-[#E0DCD4]" />
               </div>
 
+              <label className="mt-2 flex cursor-pointer items-center justify-center gap-2 text-[11px] font-semibold text-[#5A6B6E]">
+                <input
+                  type="checkbox"
+                  checked={searchAsMove}
+                  onChange={(e) => {
+                    setSearchAsMove(e.target.checked);
+                    setAreaBounds(null);
+                    setMapMoved(false);
+                  }}
+                  className="accent-[#165D6E]"
+                />
+                Update the list as I move the map
+              </label>
+
               {/* Cards */}
               <div className="mt-2.5 space-y-2.5">
-                {regionFiltered.map((p) => {
+                {listed.map((p) => {
                   const isSelected = selectedId === p.id;
                   const ratingText = ratingLabel(p.rating);
                   const wideRating = ratingText.length >= 3;
@@ -1480,13 +2397,19 @@ export default function App() {
                       <div className="flex items-start justify-between gap-3">
                         <div className="min-w-0 pr-2">
                           <div className="text-[22px] font-semibold tracking-[-0.03em] leading-[1.05] text-[#1F2A2E]">
-                            {p.name}
+                            <Highlight text={p.name} />
                           </div>
 
                           <div className="mt-1 text-[12px] font-medium tracking-[0.01em] text-[#9AA6A8]">
-                            {[p.neighborhood, p.city].filter(Boolean).join(" • ")}
+                            <Highlight text={[p.neighborhood, p.city].filter(Boolean).join(" • ")} />
                             {p.price ? ` • ${priceLabel(p.price)}` : ""}
                           </div>
+
+                          {distances.has(p.id) ? (
+                            <div className="mt-1 text-[12px] font-semibold text-[#1E88E5]">
+                              {formatTrip(distances.get(p.id), travelMode(travelKey))}
+                            </div>
+                          ) : null}
                         </div>
 
                         {p.rating != null ? (
@@ -1510,7 +2433,7 @@ export default function App() {
                       {/* Note */}
                       {p.notes ? (
                         <p className="mt-3 min-h-[2.8rem] line-clamp-2 text-[14px] leading-[1.5] text-[#627376]">
-                          {p.notes}
+                          <Highlight text={p.notes} />
                         </p>
                       ) : (
                         <div className="mt-3 min-h-[2.8rem]" />
@@ -1518,7 +2441,7 @@ export default function App() {
 
                       {/* Actions */}
                       <div
-                        className="mt-3.5 grid grid-cols-2 gap-2"
+                        className="mt-3.5 grid grid-cols-[1fr_1fr_auto_auto] gap-2"
                         onClick={(e) => e.stopPropagation()}
                       >
                         <a
@@ -1548,6 +2471,36 @@ export default function App() {
                             Website
                           </button>
                         )}
+
+                        <button
+                          type="button"
+                          onClick={() => toggleCrawl(p.id)}
+                          aria-pressed={crawlSet.has(p.id)}
+                          title={crawlSet.has(p.id) ? "Remove from crawl" : "Add to crawl"}
+                          className={[
+                            "rounded-xl border px-3 py-2.5 text-center text-[13px] font-semibold transition-colors",
+                            crawlSet.has(p.id)
+                              ? "border-[#165D6E]/30 bg-[#165D6E] text-white hover:bg-[#2E7682]"
+                              : "border-[#E0DCD4] bg-[#F7F5EF] text-[#5A6B6E] hover:bg-[#F1EEE6] hover:text-[#2A3A3E]",
+                          ].join(" ")}
+                        >
+                          {crawlSet.has(p.id) ? "✓ Crawl" : "+ Crawl"}
+                        </button>
+
+                        <button
+                          type="button"
+                          onClick={() => startEdit(p)}
+                          aria-pressed={editingId === p.id}
+                          title={`Edit ${p.name}`}
+                          className={[
+                            "rounded-xl border px-3 py-2.5 text-center text-[13px] font-semibold transition-colors",
+                            editingId === p.id
+                              ? "border-[#165D6E]/30 bg-[#165D6E] text-white hover:bg-[#2E7682]"
+                              : "border-[#E0DCD4] bg-[#F7F5EF] text-[#5A6B6E] hover:bg-[#F1EEE6] hover:text-[#2A3A3E]",
+                          ].join(" ")}
+                        >
+                          Edit
+                        </button>
                       </div>
                     </div>
                   );
@@ -1560,134 +2513,160 @@ export default function App() {
               <div
                 className="relative flex-1 overflow-hidden rounded-2xl border border-[#E0DCD4]"
                 style={{
-                  "--map-controls-top": activeRegion === "seattle" ? "108px" : "72px",
+                  "--map-controls-top": hasSubChips ? "108px" : "72px",
                 }}
               >
                 <MapToolbar
+                  metros={metros}
+                  activeMetro={metro.key}
+                  regions={regionChips}
                   activeRegion={activeRegion}
                   activeSubRegion={activeSubRegion}
+                  handleSelectMetro={handleSelectMetro}
                   handleSelectRegion={handleSelectRegion}
-                  handleSelectSeattleSubregion={handleSelectSeattleSubregion}
+                  handleSelectSubregion={handleSelectSubregion}
                 />
 
                 <MapContainer
-                  center={[47.6062, -122.3321]}
-                  zoom={11}
+                  center={initial.view ? [initial.view.lat, initial.view.lon] : [47.6062, -122.3321]}
+                  zoom={initial.view?.zoom ?? 11}
                   zoomControl={false}
                   style={{ height: "100%", width: "100%" }}
-                  maxBounds={AREA_BOUNDS}
                   maxBoundsViscosity={1.0}
                   whenReady={(e) => {
                     const map = e.target;
                     mapRef.current = map;
 
-                    const bounds = L.latLngBounds(placesWithCoords.map((p) => [Number(p.lat), Number(p.lon)]));
-                    map.fitBounds(bounds.isValid() ? bounds.pad(0.25) : AREA_BOUNDS, { padding: [24, 24] });
-
-                    const z = map.getBoundsZoom(AREA_BOUNDS);
-                    map.setMinZoom(Math.min(z, 18));
+                    // A shared link's viewport is applied by RegionController; panning limits by MetroBounds
+                    if (initial.view || !metro.bounds) return;
+                    map.fitBounds(metro.bounds, { padding: [24, 24] });
                   }}
                   maxZoom={18}
                   scrollWheelZoom
                 >
-                  <TileLayer url={TILE_URL} maxZoom={20} attribution="&copy; OpenStreetMap contributors" />
+                  {/* Keyed so switching basemaps rebuilds the layer with its own attribution and zoom range */}
+                  <TileLayer
+                    key={basemap.key}
+                    url={basemap.url}
+                    subdomains={basemap.subdomains}
+                    maxZoom={basemap.maxZoom}
+                    maxNativeZoom={basemap.maxZoom}
+                    attribution={basemap.attribution}
+                    className={basemap.className}
+                  />
+
+                  <BasemapSwitcher
+                    value={basemap.key}
+                    onChange={setBasemapKey}
+                    topOffset={hasSubChips ? 108 : 72}
+                  />
 
                   <MapControlPill
                     active={nearMeActive}
                     onLocateClick={toggleNearMe}
-                    topOffset={activeRegion === "seattle" ? 108 : 72}
+                    topOffset={hasSubChips ? 108 : 72}
+                  />
+
+                  <DrawControl
+                    shape={drawShape}
+                    onShape={handleDrawShape}
+                    topOffset={hasSubChips ? 108 : 72}
                   />
 
+                  <MetroBounds bounds={metro.maxBounds} />
+
                   <RegionController
+                    metro={metro}
                     regionKey={activeRegion}
                     subRegionKey={activeSubRegion}
                     nearMeActive={nearMeActive}
                     userLoc={nearMeActive ? myLoc : null}
                     places={regionFiltered}
+                    view={pendingView}
+                    onViewApplied={clearPendingView}
                   />
 
+                  <MapViewTracker onChange={handleMapMove} onUserMove={handleUserMove} />
+
+                  {heatmap.on ? (
+                    <HeatmapLayer
+                      points={heatPts}
+                      radius={heatmap.radius}
+                      intensity={heatmap.intensity}
+                      stops={basemap.dark ? COLOR_STOPS_DARK : COLOR_STOPS}
+                    />
+                  ) : null}
+
+                  <CrawlRoute stops={crawlStops} />
+
+                  {addOpen ? (
+                    <DraftPin pin={addPin} pinMode={pinMode} onPinChange={handleDraftPin} />
+                  ) : null}
+
+                  {editingPlace ? (
+                    <DraftPin pin={editPin} pinMode={pinMode} onPinChange={handleEditPin} />
+                  ) : null}
+
                   {/* User location marker */}
                   {nearMeActive && myLoc ? (
-                    <Marker
-                      position={[myLoc.lat, myLoc.lon]}
-                      icon={yorkieUserIcon}
-                      zIndexOffset={1000}
-                    >
-                      <Popup>You are here 🐶</Popup>
-                    </Marker>
+                    <NearMeRings loc={myLoc} radius={nearMeRadius} mode={travelKey} />
                   ) : null}
 
-                  {placesWithCoords
-                    .filter((p) => regionFiltered.some((s) => s.id === p.id))
-                    .map((p) => (
-                        <Marker
-                          key={p.id}
-                          position={[Number(p.lat), Number(p.lon)]}
-                          icon={makeRatingIcon(p.rating, selectedId === p.id, p.price, p.name)}
-                          zIndexOffset={selectedId === p.id ? 1000 : 0}
-                          _rating={p.rating != null ? Number(p.rating) : undefined}
-                          ref={(ref) => {
-                            if (ref) markerRefs.current[p.id] = ref;
-                          }}
-                          eventHandlers={{
-                            click: () => {
-                              setSelectedId(p.id);
-                              setTimeout(() => {
-                                const m = markerInstance(markerRefs.current[p.id]);
-                                m?.openPopup?.();
-                              }, 0);
-                            },
-                          }}
-                        >
-                          <Popup maxWidth={320} minWidth={260}>
-                            <div>
-                              {p.photo ? (
-                                <img src={p.photo} alt={p.name} className="popup-photo" />
-                              ) : null}
-                              <div className="popup-body">
-                                <div className="popup-name">{p.name}</div>
-                                <div className="popup-meta">
-                                  <span className={`popup-rating ${ratingColor(p.rating)}`}>
-                                  {ratingLabel(p.rating) === "New" ? "New spot" : `${ratingLabel(p.rating)}★`}
-                                </span>
-                                  {p.price ? <span>{priceLabel(p.price)}</span> : null}
-                                  {p.neighborhood ? <span>{p.neighborhood}</span> : null}
-                                </div>
-                                {(p.cuisine || []).length > 0 ? (
-                                  <div style={{ marginTop: 6, display: "flex", flexWrap: "wrap", gap: 4 }}>
-                                    {p.cuisine.slice(0, 3).map((c) => (
-                                      <span key={c} className="popup-cuisine">{c}</span>
-                                    ))}
-                                  </div>
-                                ) : null}
-                                {p.notes ? <div className="popup-notes">{p.notes}</div> : null}
-                                <div className="popup-actions">
-                                  <a
-                                    href={mapsLink(p)}
-                                    target="_blank"
-                                    rel="noreferrer"
-                                    className="popup-btn popup-btn-primary"
-                                  >
-                                    Open in Maps
-                                  </a>
-                                  {p.website ? (
-                                    <a
-                                      href={p.website}
-                                      target="_blank"
-                                      rel="noreferrer"
-                                      className="popup-btn popup-btn-secondary"
-                                    >
-                                      Website
-                                    </a>
-                                  ) : null}
-                                </div>
-                              </div>
-                            </div>
-                          </Popup>
-                        </Marker>
+                  {(nearMeActive || tracking) && myLoc ? (
+                    <UserLocation
+                      loc={myLoc}
+                      iconUrl={Steak}
+                      follow={followMe}
+                      onFollowEnd={() => setFollowMe(false)}
+                    />
+                  ) : null}
+
+                  {/* Remounted on a palette change: cluster icons are only rebuilt when clusters change */}
+                  <MarkerClusterGroup
+                    ref={clusterRef}
+                    key={basemap.dark ? "clusters-dark" : "clusters-light"}
+                    iconCreateFunction={basemap.dark ? createClusterIconDark : createClusterIcon}
+                    chunkedLoading
+                    maxClusterRadius={48}
+                    showCoverageOnHover={false}
+                    spiderfyOnMaxZoom
+                    spiderfyDistanceMultiplier={1.6}
+                    onClick={selectCluster}
+                    onMouseOver={showClusterSummary}
+                    onMouseOut={hideClusterSummary}
+                  >
+                    {markerPlaces.map((p) => (
+                      <PlaceMarker
+                        key={p.id}
+                        place={p}
+                        selected={selectedId === p.id}
+                        inCrawl={crawlSet.has(p.id)}
+                        dark={basemap.dark}
+                        actions={markerActions}
+                        onMarker={registerMarker}
+                      />
                     ))}
+                  </MarkerClusterGroup>
                 </MapContainer>
 
+                {/* Search this area — after the user pans or zooms */}
+                {mapMoved && !searchAsMove ? (
+                  <div
+                    className="pointer-events-none absolute left-1/2 z-[700] -translate-x-1/2"
+                    style={{ top: `${hasSubChips ? 112 : 76}px` }}
+                  >
+                    <button type="button" onClick={searchThisArea} className="map-float-btn pointer-events-auto">
+                      <svg viewBox="0 0 24 24" className="h-4 w-4" fill="none" stroke="currentColor" strokeWidth={2.2} aria-hidden="true">
+                        <circle cx="11" cy="11" r="6.5" />
+                        <path d="M16 16l4 4" strokeLinecap="round" />
+                      </svg>
+                      Search this area
+                    </button>
+                  </div>
+                ) : null}
+
+                <OfflineBadge />
+
                 {/* Floating filter pills */}
                 {activeFilters.length > 0 ? (
                   <div className="pointer-events-none absolute bottom-4 left-4 z-[500]">
@@ -1958,6 +2937,38 @@ export default function App() {
         </div>
       ) : null}
 
+      {/* Add spot drawer */}
+      {addOpen ? (
+        <AddPlaceDrawer
+          geocoder={geocoder}
+          pin={addPin}
+          pinMode={pinMode}
+          onPinChange={handleDraftPin}
+          onPinModeChange={setPinMode}
+          onSave={addLocalPlace}
+          onClose={closeAddSpot}
+        />
+      ) : null}
+
+      {importOpen ? (
+        <ImportDialog existing={places} onImport={importSpots} onClose={() => setImportOpen(false)} />
+      ) : null}
+
+      {/* Edit spot drawer */}
+      {editingPlace && draft ? (
+        <EditPlaceDrawer
+          place={editingPlace}
+          draft={draft}
+          errors={editErrors}
+          dirty={draftDirty}
+          pinMode={pinMode}
+          onChange={updateDraft}
+          onPinModeChange={setPinMode}
+          onSave={() => saveEdit(editingPlace.id)}
+          onCancel={cancelEdit}
+        />
+      ) : null}
+
       {/* Menu Modal (Hamburger) */}
       {menuOpen ? (
         <div
@@ -1990,7 +3001,7 @@ export default function App() {
                 </div>
 
                 <div className="mt-2 text-sm font-medium text-[#2A3A3E] md:text-base">
-                  About • Featured • Stats
+                  About • Featured • Stats • Changes • Export • Offline
                 </div>
 
                 {/* ✅ Tabs: pill-only (no underline, no divider) */}
@@ -1999,6 +3010,9 @@ export default function App() {
                     ["aboutMap", "About this map"],
                     ["featured", "Featured lists"],
                     ["stats", "Stats"],
+                    ["changes", "Changes"],
+                    ["export", "Export"],
+                    ["offline", "Offline"],
                   ].map(([key, label]) => {
                     const active = menuTab === key;
                     return (
@@ -2030,10 +3044,10 @@ export default function App() {
                     <div className="mt-4 grid grid-cols-2 gap-2">
                       <button
                         type="button"
-                        onClick={exportPlaces}
+                        onClick={() => setMenuTab("changes")}
                         className="min-h-[44px] rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-4 py-2 text-sm text-[#2A3A3E] hover:bg-[#F1EEE6]"
                       >
-                        Export JSON
+                        Review &amp; export JSON
                       </button>
                       <button
                         type="button"
@@ -2042,9 +3056,19 @@ export default function App() {
                       >
                         Reset edits
                       </button>
+                      <button
+                        type="button"
+                        onClick={() => {
+                          setMenuOpen(false);
+                          setImportOpen(true);
+                        }}
+                        className="col-span-2 min-h-[44px] rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-4 py-2 text-sm text-[#2A3A3E] hover:bg-[#F1EEE6]"
+                      >
+                        Import places (JSON, CSV, GeoJSON)…
+                      </button>
                     </div>
                     <p className="text-[11px] text-[#B0BAB8]">
-                      Quick-edits save in this browser. Export JSON to make them permanent in your repo.
+                      Edits and added spots save in this browser. Review them under Changes, then export JSON to make them permanent in your repo.
                     </p>
                   </div>
                 ) : null}
@@ -2070,6 +3094,38 @@ export default function App() {
                   </div>
                 ) : null}
 
+                {menuTab === "changes" ? (
+                  <PendingChanges
+                    changes={pendingChanges(basePlaces, mergePlaces(basePlaces, additions, edits), edits)}
+                    journal={journal}
+                    onUndo={undo}
+                    onRedo={redo}
+                    onRevert={revertPlace}
+                    onSelect={(id) => {
+                      const p = places.find((x) => x.id === id);
+                      if (!p) return;
+                      setMenuOpen(false);
+                      flyToPlace(p);
+                    }}
+                    onExport={exportPlaces}
+                    onResetAll={clearLocalEdits}
+                  />
+                ) : null}
+
+                {menuTab === "export" ? (
+                  <ExportPanel viewCount={listed.length} allCount={places.length} onExport={exportAs} />
+                ) : null}
+
+                {menuTab === "offline" ? (
+                  <OfflinePanel
+                    areas={offlineAreas}
+                    tileTemplate={basemap.url}
+                    subdomains={basemap.subdomains}
+                    allowed={basemap.bulkDownload}
+                    onToast={showToast}
+                  />
+                ) : null}
+
                 {menuTab === "stats" ? (
                   <div className="space-y-3 text-sm text-[#5A6B6E]">
                     <div className="grid grid-cols-2 gap-2">
@@ -2110,6 +3166,43 @@ export default function App() {
                         )}
                       </div>
                     </div>
+
+                    <div className="rounded-xl border border-[#E0DCD4] bg-[#F7F5EF]/50 p-3">
+                      <div className="text-[#8A9A9E]">Best dishes across the map</div>
+                      {stats.bestDishes.length ? (
+                        <ol className="mt-2 space-y-1.5">
+                          {stats.bestDishes.map((d, i) => (
+                            <li key={`${d.placeId}:${d.name}`}>
+                              <button
+                                type="button"
+                                onClick={() => {
+                                  const p = places.find((x) => x.id === d.placeId);
+                                  if (!p) return;
+                                  setMenuOpen(false);
+                                  flyToPlace(p);
+                                }}
+                                className="flex w-full items-center gap-2 rounded-lg px-1 py-0.5 text-left hover:bg-[#F1EEE6]"
+                              >
+                                <span className="w-5 text-right tabular-nums text-[#B0BAB8]">{i + 1}</span>
+                                <span className="min-w-0 flex-1 truncate">
+                                  <span className="font-semibold text-[#1F2A2E]">{d.name}</span>
+                                  <span className="text-[#8A9A9E]"> • {d.placeName}</span>
+                                </span>
+                                {d.mustOrder ? <span className="text-[11px] text-[#165D6E]">must</span> : null}
+                                <span
+                                  className="rounded-full px-2 py-0.5 text-[12px] font-semibold tabular-nums"
+                                  style={{ background: ratingToHex(d.rating) || UNRATED_COLOR, color: markerTextColor(d.rating) }}
+                                >
+                                  {ratingLabel(d.rating)}
+                                </span>
+                              </button>
+                            </li>
+                          ))}
+                        </ol>
+                      ) : (
+                        <div className="mt-2 text-[#B0BAB8]">No dish ratings yet.</div>
+                      )}
+                    </div>
                   </div>
                 ) : null}
               </div>
@@ -2117,6 +3210,6 @@ export default function App() {
           </div>
         </div>
       ) : null}
-    </>
+    </HighlightProvider>
   );
 }
@@ -0,0 +1,332 @@
+// AddPlaceDrawer.jsx — in-app version of `npm run add:place`
+import { useState } from "react";
+import { Marker, useMapEvents } from "react-leaflet";
+
+import { candidateToPlace, deriveTagsAndCuisine } from "../lib/geocoder.js";
+
+function splitList(s) {
+  return String(s || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+const labelCls = "mt-3 block text-[11px] font-semibold uppercase tracking-widest text-[#8A9A9E]";
+const inputCls =
+  "mt-1 w-full rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-3 py-2 text-sm text-[#1F2A2E] placeholder:text-[#B0BAB8] outline-none focus:border-[#2E7682]";
+
+// Lives inside <MapContainer>: map clicks drop the pin while pin mode is on,
+// and the pin itself can be dragged to fine-tune.
+export function DraftPin({ pin, pinMode, onPinChange }) {
+  useMapEvents({
+    click(e) {
+      if (pinMode) onPinChange({ lat: e.latlng.lat, lon: e.latlng.lng });
+    },
+  });
+
+  if (!pin) return null;
+
+  return (
+    <Marker
+      position={[pin.lat, pin.lon]}
+      draggable
+      zIndexOffset={2000}
+      eventHandlers={{
+        dragend: (e) => {
+          const ll = e.target.getLatLng();
+          onPinChange({ lat: ll.lat, lon: ll.lng });
+        },
+      }}
+    />
+  );
+}
+
+export default function AddPlaceDrawer({
+  geocoder,
+  pin,
+  pinMode,
+  onPinChange,
+  onPinModeChange,
+  onSave,
+  onClose,
+}) {
+  const [query, setQuery] = useState("");
+  const [results, setResults] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [candidate, setCandidate] = useState(null);
+
+  const [name, setName] = useState("");
+  const [rating, setRating] = useState("");
+  const [price, setPrice] = useState(null);
+  const [cuisine, setCuisine] = useState("");
+  const [tags, setTags] = useState("");
+  const [notes, setNotes] = useState("");
+  const [wouldReturn, setWouldReturn] = useState(null); // null = not said, as from the CLI
+
+  async function runSearch(e) {
+    e?.preventDefault();
+    const text = query.trim();
+    if (!text) return;
+    setBusy(true);
+    setErr("");
+    try {
+      const found = await geocoder.search(text, { limit: 5 });
+      setResults(found);
+      if (!found.length) setErr("No results found.");
+    } catch (ex) {
+      setErr(ex.message || "Search failed.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function fillFrom(c) {
+    const derived = deriveTagsAndCuisine(c);
+    setCandidate(c);
+    setName(c.name || "");
+    if (!cuisine.trim()) setCuisine(derived.cuisine.join(", "));
+    if (!tags.trim()) setTags(derived.tags.join(", "));
+  }
+
+  async function pickCandidate(c) {
+    setResults([]);
+    setBusy(true);
+    setErr("");
+    try {
+      const enriched = await geocoder.enrich(c);
+      fillFrom(enriched);
+      onPinChange({ lat: enriched.lat, lon: enriched.lon }, { fly: true });
+    } catch (ex) {
+      setErr(ex.message || "Could not load that spot.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function lookupPin() {
+    if (!pin) return;
+    setBusy(true);
+    setErr("");
+    try {
+      const found = await geocoder.reverse(pin.lat, pin.lon);
+      if (!found) {
+        setErr("No address found at the pin.");
+        return;
+      }
+      setCandidate(found);
+      if (!name.trim()) setName(found.name || "");
+    } catch (ex) {
+      setErr(ex.message || "Reverse lookup failed.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function save() {
+    if (!name.trim()) {
+      setErr("Give the spot a name.");
+      return;
+    }
+    if (!pin) {
+      setErr("Drop a pin on the map first.");
+      return;
+    }
+
+    const r = rating === "" ? null : Number(rating);
+    const place = candidateToPlace(
+      { ...(candidate || {}), name: name.trim(), lat: pin.lat, lon: pin.lon },
+      {
+        name: name.trim(),
+        rating: Number.isFinite(r) ? r : null,
+        price,
+        cuisine: splitList(cuisine),
+        tags: splitList(tags).map((t) => t.toLowerCase()),
+        notes: notes.trim(),
+        wouldReturn,
+      }
+    );
+    onSave(place);
+  }
+
+  return (
+    <div
+      className="fixed bottom-4 right-4 top-4 z-[900] flex w-[min(92vw,380px)] flex-col overflow-hidden rounded-3xl border border-[#165D6E]/20 bg-[#F7F5EF]/97 text-[#1F2A2E] shadow-2xl backdrop-blur-md"
+      role="dialog"
+      aria-label="Add a spot"
+    >
+      <div className="flex items-center justify-between gap-4 px-5 pb-3 pt-5">
+        <div className="text-xl font-semibold">Add a spot</div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="grid h-11 w-11 place-items-center rounded-xl border border-[#165D6E]/20 bg-[#F1EEE6] text-lg text-[#5A6B6E] hover:bg-[#E0DCD4] hover:text-[#1F2A2E]"
+          aria-label="Close"
+          title="Close"
+        >
+          ✕
+        </button>
+      </div>
+
+      <div className="flex-1 overflow-y-auto px-5 pb-5">
+        {/* Search */}
+        <form onSubmit={runSearch} className="flex gap-2">
+          <input
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Place name + city…"
+            className={inputCls}
+          />
+          <button
+            type="submit"
+            disabled={busy}
+            className="mt-1 shrink-0 rounded-xl border border-[#165D6E]/30 bg-[#165D6E]/10 px-3 py-2 text-sm font-semibold text-[#165D6E] hover:bg-[#165D6E]/18 disabled:opacity-50"
+          >
+            {busy ? "…" : "Search"}
+          </button>
+        </form>
+        {geocoder.name === "static" ? (
+          <p className="mt-1 text-[11px] text-[#B0BAB8]">
+            Address search is offline (no VITE_GEOAPIFY_KEY). Drop a pin instead.
+          </p>
+        ) : null}
+
+        {results.length > 0 ? (
+          <div className="mt-2 space-y-1.5">
+            {results.map((c, i) => (
+              <button
+                key={`${c.lat}:${c.lon}:${i}`}
+                type="button"
+                onClick={() => pickCandidate(c)}
+                className="block w-full rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-3 py-2 text-left hover:bg-[#F1EEE6]"
+              >
+                <div className="text-sm font-semibold">{c.name || c.address}</div>
+                <div className="truncate text-[12px] text-[#8A9A9E]">
+                  {[c.address, c.neighborhood].filter(Boolean).join(" • ")}
+                </div>
+              </button>
+            ))}
+          </div>
+        ) : null}
+
+        {/* Pin */}
+        <label className={labelCls}>Location</label>
+        <div className="mt-1 flex gap-2">
+          <button
+            type="button"
+            onClick={() => onPinModeChange(!pinMode)}
+            className={[
+              "min-h-[36px] flex-1 rounded-xl border px-3 py-2 text-sm font-semibold transition-all duration-150",
+              pinMode
+                ? "border-[#165D6E] bg-[#165D6E] text-white"
+                : "border-[#165D6E]/30 bg-[#165D6E]/10 text-[#165D6E] hover:bg-[#165D6E]/18",
+            ].join(" ")}
+          >
+            {pinMode ? "Click the map…" : pin ? "Move pin" : "Drop a pin"}
+          </button>
+          <button
+            type="button"
+            onClick={lookupPin}
+            disabled={!pin || busy}
+            className="min-h-[36px] flex-1 rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-3 py-2 text-sm text-[#2A3A3E] hover:bg-[#F1EEE6] disabled:opacity-40"
+          >
+            Address at pin
+          </button>
+        </div>
+        <div className="mt-1 text-[12px] text-[#8A9A9E]">
+          {pin
+            ? `${pin.lat.toFixed(5)}, ${pin.lon.toFixed(5)} — drag the pin to adjust`
+            : "Pick a search result or drop a pin."}
+          {candidate?.address ? <div className="truncate">{candidate.address}</div> : null}
+        </div>
+
+        {/* Your fields */}
+        <label className={labelCls}>Name</label>
+        <input value={name} onChange={(e) => setName(e.target.value)} className={inputCls} />
+
+        <label className={labelCls}>Rating (1–10)</label>
+        <input
+          type="number"
+          min={1}
+          max={10}
+          step={0.1}
+          value={rating}
+          onChange={(e) => setRating(e.target.value)}
+          placeholder="Leave blank for New"
+          className={inputCls}
+        />
+
+        <label className={labelCls}>Price</label>
+        <div className="mt-1 flex gap-1.5">
+          {[1, 2, 3, 4].map((level) => (
+            <button
+              key={level}
+              type="button"
+              onClick={() => setPrice(price === level ? null : level)}
+              className={[
+                "flex-1 rounded-xl border py-1.5 text-center text-sm font-semibold transition-all duration-150",
+                price === level
+                  ? "border-[#165D6E]/40 bg-[#165D6E]/15 text-[#165D6E]"
+                  : "border-[#E0DCD4] bg-[#F7F5EF] text-[#8A9A9E] hover:bg-[#F1EEE6] hover:text-[#5A6B6E]",
+              ].join(" ")}
+            >
+              {"$".repeat(level)}
+            </button>
+          ))}
+        </div>
+
+        <label className={labelCls}>Cuisine</label>
+        <input
+          value={cuisine}
+          onChange={(e) => setCuisine(e.target.value)}
+          placeholder="Italian, Pasta"
+          className={inputCls}
+        />
+
+        <label className={labelCls}>Tags</label>
+        <input
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder="date-night, late-night"
+          className={inputCls}
+        />
+
+        <label className={labelCls}>Notes</label>
+        <textarea
+          value={notes}
+          onChange={(e) => setNotes(e.target.value)}
+          rows={3}
+          className={inputCls}
+        />
+
+        <label className="mt-3 flex items-center gap-2 text-sm text-[#2A3A3E]">
+          <input
+            type="checkbox"
+            checked={!!wouldReturn}
+            onChange={(e) => setWouldReturn(e.target.checked)}
+          />
+          Would return
+        </label>
+
+        {err ? <div className="mt-3 text-xs text-red-400">{err}</div> : null}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2 border-t border-[#E0DCD4] px-5 py-4">
+        <button
+          type="button"
+          onClick={onClose}
+          className="min-h-[44px] rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-4 py-2 text-sm text-[#2A3A3E] hover:bg-[#F1EEE6]"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={save}
+          className="min-h-[44px] rounded-xl border border-[#165D6E] bg-[#165D6E] px-4 py-2 text-sm font-semibold text-white hover:bg-[#165D6E]/90"
+        >
+          Save spot
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,80 @@
+// BasemapSwitcher.jsx — layer button on the map's right edge that opens the basemap list
+import { useEffect, useRef, useState } from "react";
+import L from "leaflet";
+
+import { BASEMAPS } from "../lib/basemaps.js";
+
+// Swatches hint at each style without loading a tile
+const SWATCH = {
+  light: "linear-gradient(135deg, #F7F5EF 0 55%, #A9D3E8 55%)",
+  dark: "linear-gradient(135deg, #2B3236 0 55%, #11171A 55%)",
+  terrain: "linear-gradient(135deg, #DCE6C8 0 50%, #C9B68E 50%)",
+  satellite: "linear-gradient(135deg, #3F5A3A 0 45%, #2A3F52 45%)",
+  contrast: "linear-gradient(135deg, #FFFFFF 0 50%, #000000 50%)",
+};
+
+// Lives inside <MapContainer>
+export default function BasemapSwitcher({ value, onChange, topOffset = 72 }) {
+  const [open, setOpen] = useState(false);
+  const ref = useRef(null);
+
+  // Clicks and scrolls on the menu shouldn't pan or zoom the map
+  useEffect(() => {
+    if (!ref.current) return;
+    L.DomEvent.disableClickPropagation(ref.current);
+    L.DomEvent.disableScrollPropagation(ref.current);
+  }, []);
+
+  return (
+    <div ref={ref} className="absolute right-3 z-[725] flex flex-col items-end gap-2" style={{ top: `${topOffset}px` }}>
+      <button
+        type="button"
+        onClick={() => setOpen((v) => !v)}
+        aria-expanded={open}
+        aria-label="Map style"
+        title="Map style"
+        className="grid h-12 w-12 place-items-center rounded-[24px] border border-[rgba(255,255,255,0.42)] bg-[rgba(255,255,255,0.52)] text-[#165D6E] shadow-[0_8px_24px_rgba(0,0,0,0.10)] backdrop-blur-xl transition-colors hover:bg-[rgba(255,255,255,0.7)]"
+      >
+        <svg viewBox="0 0 24 24" className="h-[22px] w-[22px]" fill="none" stroke="currentColor" strokeWidth={2} strokeLinejoin="round" aria-hidden="true">
+          <path d="M12 4l9 5-9 5-9-5 9-5z" />
+          <path d="M3 14l9 5 9-5" />
+        </svg>
+      </button>
+
+      {open ? (
+        <div
+          role="radiogroup"
+          aria-label="Map style"
+          className="w-44 overflow-hidden rounded-2xl border border-[#E0DCD4] bg-[#F7F5EF]/95 p-1.5 shadow-[0_8px_24px_rgba(0,0,0,0.14)] backdrop-blur-xl"
+        >
+          {BASEMAPS.map((b) => {
+            const active = b.key === value;
+            return (
+              <button
+                key={b.key}
+                type="button"
+                role="radio"
+                aria-checked={active}
+                onClick={() => {
+                  onChange(b.key);
+                  setOpen(false);
+                }}
+                className={[
+                  "flex w-full items-center gap-2.5 rounded-xl px-2 py-1.5 text-left text-[13px] font-semibold transition-colors",
+                  active ? "bg-[#165D6E]/12 text-[#165D6E]" : "text-[#2A3A3E] hover:bg-[#F1EEE6]",
+                ].join(" ")}
+              >
+                <span
+                  className="h-6 w-6 shrink-0 rounded-md border border-[rgba(0,0,0,0.12)]"
+                  style={{ background: SWATCH[b.key] ?? "#E0DCD4" }}
+                />
+                {b.label}
+                {active ? <span className="ml-auto text-[11px]">✓</span> : null}
+              </button>
+            );
+          })}
+        </div>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+// CrawlPanel.jsx — the food crawl: ordered stops in the sidebar, the route on the map
+import { CircleMarker, Polyline, Tooltip } from "react-leaflet";
+
+import { hasCoords } from "../lib/geo.js";
+import { formatMiles } from "../lib/travel.js";
+
+const ROUTE_STYLE = { color: "#165D6E", weight: 3, opacity: 0.8, dashArray: "8 8" };
+
+// Lives inside <MapContainer>: a straight-line route with numbered stops
+export function CrawlRoute({ stops }) {
+  const pinned = stops.filter(hasCoords);
+  if (!pinned.length) return null;
+  const positions = pinned.map((p) => [Number(p.lat), Number(p.lon)]);
+
+  return (
+    <>
+      {positions.length > 1 ? <Polyline positions={positions} pathOptions={ROUTE_STYLE} interactive={false} /> : null}
+      {pinned.map((p, i) => (
+        <CircleMarker
+          key={p.id}
+          center={positions[i]}
+          radius={9}
+          pathOptions={{ color: "#FFFFFF", weight: 2, fillColor: "#165D6E", fillOpacity: 1 }}
+          interactive={false}
+        >
+          <Tooltip permanent direction="center" className="crawl-stop-label">
+            {stops.indexOf(p) + 1}
+          </Tooltip>
+        </CircleMarker>
+      ))}
+    </>
+  );
+}
+
+const btnCls =
+  "rounded-lg border border-[#E0DCD4] bg-[#F7F5EF] px-2.5 py-1.5 text-[11px] font-semibold text-[#5A6B6E] transition-colors hover:bg-[#F1EEE6] hover:text-[#2A3A3E] disabled:cursor-not-allowed disabled:opacity-40";
+
+export default function CrawlPanel({
+  stops,
+  legs,
+  total,
+  mapsHref,
+  onSelect,
+  onMove,
+  onRemove,
+  onOptimize,
+  onShare,
+  onGpx,
+  onClear,
+}) {
+  return (
+    <div className="mt-3 rounded-2xl border border-[#165D6E]/20 bg-[#165D6E]/[0.04] p-3">
+      <div className="flex items-baseline justify-between gap-2">
+        <div className="text-[11px] font-semibold uppercase tracking-widest text-[#165D6E]">
+          Crawl · {stops.length} {stops.length === 1 ? "stop" : "stops"}
+        </div>
+        {stops.length > 1 ? (
+          <div className="text-[11px] font-semibold text-[#5A6B6E]" title="Straight-line distance">
+            {formatMiles(total)} total
+          </div>
+        ) : null}
+      </div>
+
+      <ol className="mt-2 space-y-1">
+        {stops.map((p, i) => (
+          <li key={p.id}>
+            {i > 0 ? (
+              <div className="pl-3 text-[10px] font-medium text-[#8A9A9E]">
+                ↓ {legs[i - 1].miles != null ? formatMiles(legs[i - 1].miles) : "no pin"}
+              </div>
+            ) : null}
+            <div className="flex items-center gap-2 rounded-xl bg-[#F7F5EF]/80 px-2 py-1.5">
+              <span className="grid h-5 w-5 shrink-0 place-items-center rounded-full bg-[#165D6E] text-[10px] font-bold text-white">
+                {i + 1}
+              </span>
+              <button
+                type="button"
+                onClick={() => onSelect(p)}
+                className="min-w-0 flex-1 truncate text-left text-[13px] font-semibold text-[#1F2A2E] hover:text-[#165D6E]"
+              >
+                {p.name}
+              </button>
+              <button
+                type="button"
+                onClick={() => onMove(p.id, -1)}
+                disabled={i === 0}
+                aria-label={`Move ${p.name} earlier`}
+                className="px-1 text-[13px] text-[#5A6B6E] disabled:opacity-30"
+              >
+                ↑
+              </button>
+              <button
+                type="button"
+                onClick={() => onMove(p.id, 1)}
+                disabled={i === stops.length - 1}
+                aria-label={`Move ${p.name} later`}
+                className="px-1 text-[13px] text-[#5A6B6E] disabled:opacity-30"
+              >
+                ↓
+              </button>
+              <button
+                type="button"
+                onClick={() => onRemove(p.id)}
+                aria-label={`Remove ${p.name} from the crawl`}
+                className="px-1 text-[11px] text-[#8A9A9E] hover:text-[#8A2B1A]"
+              >
+                ✕
+              </button>
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <div className="mt-2.5 flex flex-wrap gap-1.5">
+        <button type="button" onClick={onOptimize} disabled={stops.length < 3} className={btnCls} title="Reorder by nearest next stop, starting from stop 1">
+          Optimize
+        </button>
+        <a
+          href={mapsHref}
+          target="_blank"
+          rel="noreferrer"
+          className="rounded-lg border border-[#165D6E]/25 bg-[#165D6E]/10 px-2.5 py-1.5 text-[11px] font-semibold text-[#165D6E] transition-colors hover:bg-[#165D6E]/16"
+        >
+          Open in Maps
+        </a>
+        <button type="button" onClick={onShare} className={btnCls}>
+          Copy link
+        </button>
+        <button type="button" onClick={onGpx} className={btnCls}>
+          GPX
+        </button>
+        <button type="button" onClick={onClear} className={`${btnCls} ml-auto`}>
+          Clear
+        </button>
+      </div>
+    </div>
+  );
+}
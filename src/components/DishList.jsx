@@ -0,0 +1,96 @@
+// DishList.jsx — "what to order" inside a place popup
+import { useState } from "react";
+
+import Highlight from "./Highlight.jsx";
+import { makeDish, topDishes } from "../lib/dishes.js";
+
+function formatPrice(n) {
+  return typeof n === "number" ? `$${n % 1 === 0 ? n : n.toFixed(2)}` : null;
+}
+
+export function WhatToOrder({ place, limit = 3 }) {
+  const top = topDishes(place, limit);
+  if (!top.length) return null;
+
+  return (
+    <div className="popup-dishes">
+      <div className="popup-section-title">What to order</div>
+      <ul className="popup-dish-list">
+        {top.map((d) => (
+          <li key={d.name} className="popup-dish">
+            {d.photo ? <img src={d.photo} alt={d.name} className="popup-dish-photo" /> : null}
+            <span className="popup-dish-name"><Highlight text={d.name} /></span>
+            {d.rating != null ? <span className="popup-visit-rating">{d.rating}★</span> : null}
+            {formatPrice(d.pricePaid) ? <span className="popup-visit-party">{formatPrice(d.pricePaid)}</span> : null}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export function DishForm({ onSave }) {
+  const [open, setOpen] = useState(false);
+  const [name, setName] = useState("");
+  const [rating, setRating] = useState("");
+  const [pricePaid, setPricePaid] = useState("");
+  const [mustOrder, setMustOrder] = useState(true);
+
+  if (!open) {
+    return (
+      <button type="button" className="popup-btn popup-btn-secondary popup-visit-add" onClick={() => setOpen(true)}>
+        + Add a dish
+      </button>
+    );
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    const r = rating === "" ? null : Number(rating);
+    const price = pricePaid === "" ? null : Number(pricePaid);
+    const ok = onSave(
+      makeDish({
+        name,
+        rating: Number.isFinite(r) ? r : null,
+        pricePaid: Number.isFinite(price) ? price : null,
+        mustOrder,
+      })
+    );
+    if (ok !== false) setOpen(false);
+  }
+
+  return (
+    <form className="popup-visit-form" onSubmit={submit}>
+      <input value={name} onChange={(e) => setName(e.target.value)} placeholder="Dish name" required />
+      <div className="popup-visit-form-row">
+        <input
+          type="number"
+          min={1}
+          max={10}
+          step={0.1}
+          value={rating}
+          onChange={(e) => setRating(e.target.value)}
+          placeholder="Rating"
+        />
+        <input
+          type="number"
+          min={0}
+          step={0.01}
+          value={pricePaid}
+          onChange={(e) => setPricePaid(e.target.value)}
+          placeholder="Paid $"
+        />
+        <label className="popup-dish-must">
+          <input type="checkbox" checked={mustOrder} onChange={(e) => setMustOrder(e.target.checked)} />
+          Must
+        </label>
+      </div>
+      <div className="popup-actions">
+        <button type="submit" className="popup-btn popup-btn-primary">Save dish</button>
+        <button type="button" className="popup-btn popup-btn-secondary" onClick={() => setOpen(false)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
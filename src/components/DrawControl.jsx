@@ -0,0 +1,198 @@
+// DrawControl.jsx — draw a rectangle, freehand lasso or circle to filter the map
+import { useEffect, useRef, useState } from "react";
+import { Circle, Polygon, Rectangle, useMap } from "react-leaflet";
+import L from "leaflet";
+
+import { haversineMiles } from "../lib/geo.js";
+import { thinPoints } from "../lib/shapes.js";
+
+const METERS_PER_MILE = 1609.344;
+// Shapes smaller than this on screen are treated as a stray click
+const MIN_DRAG_PX = 8;
+// Lasso samples closer than this are skipped
+const LASSO_STEP_PX = 4;
+
+const SHAPE_STYLE = { color: "#165D6E", weight: 2, fillColor: "#165D6E", fillOpacity: 0.08 };
+const DRAFT_STYLE = { ...SHAPE_STYLE, dashArray: "6 6" };
+
+const TOOLS = [
+  {
+    mode: "rect",
+    label: "Draw a rectangle",
+    icon: <rect x="4" y="6" width="16" height="12" rx="1.5" />,
+  },
+  {
+    mode: "polygon",
+    label: "Draw a freehand area",
+    icon: <path d="M5 14c-1-4 2-9 7-9s8 3 7 7-5 3-6 6-5 4-8-4z" />,
+  },
+  {
+    mode: "circle",
+    label: "Draw a circle",
+    icon: <circle cx="12" cy="12" r="7.5" />,
+  },
+];
+
+function shapeFrom(mode, start, end, points) {
+  if (mode === "rect") {
+    return {
+      type: "rect",
+      bounds: [
+        [Math.min(start.lat, end.lat), Math.min(start.lng, end.lng)],
+        [Math.max(start.lat, end.lat), Math.max(start.lng, end.lng)],
+      ],
+    };
+  }
+  if (mode === "circle") {
+    return {
+      type: "circle",
+      center: [start.lat, start.lng],
+      radiusMiles: haversineMiles(start.lat, start.lng, end.lat, end.lng),
+    };
+  }
+  return { type: "polygon", points };
+}
+
+function ShapeLayer({ shape, draft }) {
+  const style = draft ? DRAFT_STYLE : SHAPE_STYLE;
+  if (shape.type === "rect") return <Rectangle bounds={shape.bounds} pathOptions={style} interactive={false} />;
+  if (shape.type === "circle") {
+    return (
+      <Circle
+        center={shape.center}
+        radius={shape.radiusMiles * METERS_PER_MILE}
+        pathOptions={style}
+        interactive={false}
+      />
+    );
+  }
+  return <Polygon positions={shape.points} pathOptions={style} interactive={false} />;
+}
+
+// Lives inside <MapContainer>. `shape` is the active filter; `onShape(shape | null)` sets or clears it.
+export default function DrawControl({ shape, onShape, topOffset = 72 }) {
+  const map = useMap();
+  const [mode, setMode] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const uiRef = useRef(null);
+
+  // Clicks on the buttons shouldn't reach the map
+  useEffect(() => {
+    if (uiRef.current) L.DomEvent.disableClickPropagation(uiRef.current);
+  }, []);
+
+  useEffect(() => {
+    if (!mode) return;
+
+    const el = map.getContainer();
+    map.dragging.disable();
+    el.classList.add("map-drawing");
+
+    let start = null;
+    let startPx = null;
+    let points = [];
+
+    function finish(shapeOrNull) {
+      setDraft(null);
+      setMode(null);
+      if (shapeOrNull) onShape(shapeOrNull);
+    }
+
+    function down(e) {
+      if (e.button !== 0 || uiRef.current?.contains(e.target)) return;
+      el.setPointerCapture?.(e.pointerId);
+      start = map.mouseEventToLatLng(e);
+      startPx = map.mouseEventToContainerPoint(e);
+      points = [[start.lat, start.lng]];
+      setDraft(shapeFrom(mode, start, start, points));
+    }
+
+    function move(e) {
+      if (!start) return;
+      const ll = map.mouseEventToLatLng(e);
+      if (mode === "polygon") {
+        const lastPx = map.latLngToContainerPoint(points[points.length - 1]);
+        if (lastPx.distanceTo(map.mouseEventToContainerPoint(e)) < LASSO_STEP_PX) return;
+        points = [...points, [ll.lat, ll.lng]];
+      }
+      setDraft(shapeFrom(mode, start, ll, points));
+    }
+
+    function up(e) {
+      if (!start) return;
+      const end = map.mouseEventToLatLng(e);
+      const dragged = startPx.distanceTo(map.mouseEventToContainerPoint(e)) >= MIN_DRAG_PX;
+      const s = mode === "polygon"
+        ? points.length >= 3 ? { type: "polygon", points: thinPoints(points) } : null
+        : dragged ? shapeFrom(mode, start, end, points) : null;
+      start = null;
+      finish(s);
+    }
+
+    function key(e) {
+      if (e.key === "Escape") finish(null);
+    }
+
+    el.addEventListener("pointerdown", down);
+    el.addEventListener("pointermove", move);
+    el.addEventListener("pointerup", up);
+    window.addEventListener("keydown", key);
+    return () => {
+      el.removeEventListener("pointerdown", down);
+      el.removeEventListener("pointermove", move);
+      el.removeEventListener("pointerup", up);
+      window.removeEventListener("keydown", key);
+      el.classList.remove("map-drawing");
+      map.dragging.enable();
+    };
+  }, [map, mode, onShape]);
+
+  return (
+    <>
+      {draft ? <ShapeLayer shape={draft} draft /> : shape ? <ShapeLayer shape={shape} /> : null}
+
+      <div
+        ref={uiRef}
+        className="pointer-events-none absolute left-3 z-[725]"
+        style={{ top: `${topOffset + 164}px` }}
+      >
+        <div className="pointer-events-auto flex flex-col overflow-hidden rounded-[24px] border border-[rgba(255,255,255,0.42)] bg-[rgba(255,255,255,0.52)] shadow-[0_8px_24px_rgba(0,0,0,0.10)] backdrop-blur-xl supports-[backdrop-filter]:bg-[rgba(255,255,255,0.42)]">
+          {TOOLS.map((t, i) => (
+            <div key={t.mode}>
+              {i > 0 ? <div className="mx-2 h-px bg-[rgba(0,0,0,0.06)]" /> : null}
+              <button
+                type="button"
+                onClick={() => setMode((m) => (m === t.mode ? null : t.mode))}
+                aria-label={t.label}
+                aria-pressed={mode === t.mode}
+                title={mode === t.mode ? "Drag on the map (Esc to cancel)" : t.label}
+                className={[
+                  "grid h-12 w-12 place-items-center transition-colors",
+                  mode === t.mode ? "bg-[#165D6E] text-white" : "text-[#165D6E] hover:bg-[rgba(255,255,255,0.22)]",
+                ].join(" ")}
+              >
+                <svg viewBox="0 0 24 24" className="h-[20px] w-[20px]" fill="none" stroke="currentColor" strokeWidth={2} aria-hidden="true">
+                  {t.icon}
+                </svg>
+              </button>
+            </div>
+          ))}
+          {shape ? (
+            <>
+              <div className="mx-2 h-px bg-[rgba(0,0,0,0.06)]" />
+              <button
+                type="button"
+                onClick={() => onShape(null)}
+                aria-label="Clear drawn area"
+                title="Clear drawn area"
+                className="grid h-12 w-12 place-items-center text-[18px] leading-none text-[#5A6B6E] transition-colors hover:bg-[rgba(255,255,255,0.22)]"
+              >
+                ✕
+              </button>
+            </>
+          ) : null}
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,309 @@
+// EditPlaceDrawer.jsx — full edit form for one spot, opened from its popup or list row
+import { useState } from "react";
+
+const labelCls = "mt-3 block text-[11px] font-semibold uppercase tracking-widest text-[#8A9A9E]";
+const inputCls =
+  "mt-1 w-full rounded-xl border bg-[#F7F5EF] px-3 py-2 text-sm text-[#1F2A2E] placeholder:text-[#B0BAB8] outline-none";
+
+function inputBorder(error) {
+  return error ? "border-[#E8C8C0] focus:border-[#8A2B1A]" : "border-[#E0DCD4] focus:border-[#2E7682]";
+}
+
+function FieldError({ id, error }) {
+  if (!error) return null;
+  return (
+    <div id={id} className="mt-1 text-[11px] font-medium text-[#8A2B1A]">
+      {error}
+    </div>
+  );
+}
+
+// Text input with its label and inline error
+function Field({ field, label, draft, errors, onChange, ...props }) {
+  const errId = `edit-${field}-error`;
+  return (
+    <>
+      <label htmlFor={`edit-${field}`} className={labelCls}>
+        {label}
+      </label>
+      <input
+        id={`edit-${field}`}
+        value={draft[field]}
+        onChange={(e) => onChange(field, e.target.value)}
+        aria-invalid={!!errors[field]}
+        aria-describedby={errors[field] ? errId : undefined}
+        className={`${inputCls} ${inputBorder(errors[field])}`}
+        {...props}
+      />
+      <FieldError id={errId} error={errors[field]} />
+    </>
+  );
+}
+
+// Chips with ✕, plus an input that adds on Enter or comma
+function ChipInput({ label, values, onChange, lowercase = false, placeholder }) {
+  const [text, setText] = useState("");
+
+  function add(raw) {
+    const parts = raw
+      .split(",")
+      .map((x) => (lowercase ? x.trim().toLowerCase() : x.trim()))
+      .filter(Boolean);
+    const seen = new Set(values.map((v) => v.toLowerCase()));
+    const next = [...values];
+    for (const part of parts) {
+      if (seen.has(part.toLowerCase())) continue;
+      seen.add(part.toLowerCase());
+      next.push(part);
+    }
+    if (next.length !== values.length) onChange(next);
+    setText("");
+  }
+
+  return (
+    <>
+      <label className={labelCls}>{label}</label>
+      <div className="mt-1 flex flex-wrap gap-1.5 rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-2 py-1.5 focus-within:border-[#2E7682]">
+        {values.map((v) => (
+          <button
+            key={v}
+            type="button"
+            onClick={() => onChange(values.filter((x) => x !== v))}
+            aria-label={`Remove ${v}`}
+            className="inline-flex items-center gap-1 rounded-full border border-[#165D6E]/20 bg-[#165D6E]/8 px-2.5 py-0.5 text-[12px] font-semibold text-[#165D6E] hover:bg-[#165D6E]/15"
+          >
+            {v}
+            <span className="text-[9px] opacity-60">✕</span>
+          </button>
+        ))}
+        <input
+          value={text}
+          onChange={(e) => {
+            if (e.target.value.includes(",")) add(e.target.value);
+            else setText(e.target.value);
+          }}
+          onKeyDown={(e) => {
+            if (e.key === "Enter") {
+              e.preventDefault();
+              add(text);
+            } else if (e.key === "Backspace" && !text && values.length) {
+              onChange(values.slice(0, -1));
+            }
+          }}
+          onBlur={() => text.trim() && add(text)}
+          placeholder={values.length ? "" : placeholder}
+          className="min-w-[80px] flex-1 bg-transparent py-0.5 text-sm text-[#1F2A2E] placeholder:text-[#B0BAB8] outline-none"
+        />
+      </div>
+    </>
+  );
+}
+
+// `draft` comes from lib/placeDraft.js; `onChange(field, value)` updates one field.
+// The pin on the map is a DraftPin fed from draft.lat / draft.lon.
+export default function EditPlaceDrawer({
+  place,
+  draft,
+  errors,
+  dirty,
+  pinMode,
+  onChange,
+  onPinModeChange,
+  onSave,
+  onCancel,
+}) {
+  const errorCount = Object.keys(errors).length;
+  const fieldProps = { draft, errors, onChange };
+
+  return (
+    <div
+      className="fixed bottom-4 right-4 top-4 z-[900] flex w-[min(92vw,400px)] flex-col overflow-hidden rounded-3xl border border-[#165D6E]/20 bg-[#F7F5EF]/97 text-[#1F2A2E] shadow-2xl backdrop-blur-md"
+      role="dialog"
+      aria-label={`Edit ${place.name}`}
+    >
+      <div className="flex items-center justify-between gap-4 px-5 pb-3 pt-5">
+        <div className="min-w-0">
+          <div className="truncate text-xl font-semibold">Edit {place.name}</div>
+          {dirty ? (
+            <div className="mt-0.5 text-[11px] font-semibold text-[#8A2B1A]">Unsaved changes</div>
+          ) : (
+            <div className="mt-0.5 text-[11px] text-[#8A9A9E]">No changes yet</div>
+          )}
+        </div>
+        <button
+          type="button"
+          onClick={onCancel}
+          className="grid h-11 w-11 shrink-0 place-items-center rounded-xl border border-[#165D6E]/20 bg-[#F1EEE6] text-lg text-[#5A6B6E] hover:bg-[#E0DCD4] hover:text-[#1F2A2E]"
+          aria-label="Close"
+          title="Close"
+        >
+          ✕
+        </button>
+      </div>
+
+      <form
+        id="edit-place-form"
+        className="flex-1 overflow-y-auto px-5 pb-5"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onSave();
+        }}
+      >
+        <Field field="name" label="Name" {...fieldProps} />
+        <Field field="address" label="Address" {...fieldProps} />
+
+        {/* Coordinates */}
+        <label className={labelCls}>Location</label>
+        <div className="grid grid-cols-2 gap-2">
+          <input
+            value={draft.lat}
+            onChange={(e) => onChange("lat", e.target.value)}
+            inputMode="decimal"
+            aria-label="Latitude"
+            aria-invalid={!!errors.lat}
+            placeholder="Latitude"
+            className={`${inputCls} ${inputBorder(errors.lat)}`}
+          />
+          <input
+            value={draft.lon}
+            onChange={(e) => onChange("lon", e.target.value)}
+            inputMode="decimal"
+            aria-label="Longitude"
+            aria-invalid={!!errors.lon}
+            placeholder="Longitude"
+            className={`${inputCls} ${inputBorder(errors.lon)}`}
+          />
+        </div>
+        <FieldError error={errors.lat && `Latitude: ${errors.lat.toLowerCase()}`} />
+        <FieldError error={errors.lon && `Longitude: ${errors.lon.toLowerCase()}`} />
+        <div className="mt-1.5 flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => onPinModeChange(!pinMode)}
+            className={[
+              "min-h-[32px] rounded-xl border px-3 py-1 text-[12px] font-semibold transition-all duration-150",
+              pinMode
+                ? "border-[#165D6E] bg-[#165D6E] text-white"
+                : "border-[#165D6E]/30 bg-[#165D6E]/10 text-[#165D6E] hover:bg-[#165D6E]/18",
+            ].join(" ")}
+          >
+            {pinMode ? "Click the map…" : "Place on map"}
+          </button>
+          <span className="text-[11px] text-[#8A9A9E]">or drag the pin</span>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <Field field="city" label="City" {...fieldProps} />
+          </div>
+          <div>
+            <Field field="neighborhood" label="Neighborhood" {...fieldProps} />
+          </div>
+        </div>
+
+        <ChipInput
+          label="Cuisine"
+          values={draft.cuisine}
+          onChange={(v) => onChange("cuisine", v)}
+          placeholder="Italian, Pasta"
+        />
+        <ChipInput
+          label="Tags"
+          values={draft.tags}
+          onChange={(v) => onChange("tags", v)}
+          lowercase
+          placeholder="date-night, late-night"
+        />
+
+        <div className="grid grid-cols-2 gap-2">
+          <div>
+            <Field field="visitedAt" label="Last visit" type="date" {...fieldProps} />
+          </div>
+          <div>
+            <Field
+              field="rating"
+              label="Rating (1–10)"
+              type="number"
+              min={1}
+              max={10}
+              step={0.1}
+              placeholder="Blank = New"
+              {...fieldProps}
+            />
+          </div>
+        </div>
+
+        <label className={labelCls}>Price</label>
+        <div className="mt-1 flex gap-1.5">
+          {[1, 2, 3, 4].map((level) => (
+            <button
+              key={level}
+              type="button"
+              onClick={() => onChange("price", draft.price === level ? null : level)}
+              aria-pressed={draft.price === level}
+              className={[
+                "flex-1 rounded-xl border py-1.5 text-center text-sm font-semibold transition-all duration-150",
+                draft.price === level
+                  ? "border-[#165D6E]/40 bg-[#165D6E]/15 text-[#165D6E]"
+                  : "border-[#E0DCD4] bg-[#F7F5EF] text-[#8A9A9E] hover:bg-[#F1EEE6] hover:text-[#5A6B6E]",
+              ].join(" ")}
+            >
+              {"$".repeat(level)}
+            </button>
+          ))}
+        </div>
+
+        <label className="mt-3 flex items-center gap-2 text-sm text-[#2A3A3E]">
+          <input
+            type="checkbox"
+            checked={!!draft.wouldReturn}
+            onChange={(e) => onChange("wouldReturn", e.target.checked)}
+          />
+          Would return
+        </label>
+
+        <Field field="website" label="Website" type="url" placeholder="https://…" {...fieldProps} />
+        <Field field="photo" label="Photo" placeholder="Image URL or /photos/…" {...fieldProps} />
+        {draft.photo.trim() && !errors.photo ? (
+          <img src={draft.photo.trim()} alt="" className="mt-2 max-h-32 rounded-xl object-cover" />
+        ) : null}
+
+        <label htmlFor="edit-notes" className={labelCls}>
+          Notes
+        </label>
+        <textarea
+          id="edit-notes"
+          value={draft.notes}
+          onChange={(e) => onChange("notes", e.target.value)}
+          rows={4}
+          className={`${inputCls} ${inputBorder(errors.notes)}`}
+        />
+      </form>
+
+      <div className="border-t border-[#E0DCD4] px-5 py-4">
+        {errorCount ? (
+          <div className="mb-2 text-[12px] font-medium text-[#8A2B1A]">
+            Fix {errorCount === 1 ? "1 field" : `${errorCount} fields`} to save.
+          </div>
+        ) : null}
+        <div className="grid grid-cols-2 gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="min-h-[44px] rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-4 py-2 text-sm text-[#2A3A3E] hover:bg-[#F1EEE6]"
+          >
+            {dirty ? "Discard" : "Close"}
+          </button>
+          <button
+            type="submit"
+            form="edit-place-form"
+            disabled={!dirty || errorCount > 0}
+            className="min-h-[44px] rounded-xl border border-[#165D6E] bg-[#165D6E] px-4 py-2 text-sm font-semibold text-white hover:bg-[#165D6E]/90 disabled:cursor-not-allowed disabled:opacity-40"
+          >
+            Save changes
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+// ExportPanel.jsx — the menu's "Export" tab: pick what to export, then a format
+import { useState } from "react";
+
+import { EXPORT_FORMATS } from "../lib/exportFormats.js";
+
+const HINT = {
+  json: "Same shape as src/data/Places.json, visits and dishes included",
+  geojson: "For QGIS, Mapbox, geojson.io — and this map's importer",
+  kml: "Google My Maps and Google Earth; fields become columns",
+  gpx: "Waypoints for GPS and hiking apps",
+  csv: "Spreadsheets; lists are separated with semicolons",
+};
+
+// `onExport(format, scope)`; scope is "view" (what the list shows) or "all"
+export default function ExportPanel({ viewCount, allCount, onExport }) {
+  const [scope, setScope] = useState("view");
+  const count = scope === "view" ? viewCount : allCount;
+
+  return (
+    <div className="space-y-4 text-sm text-[#5A6B6E]">
+      <div className="flex gap-1.5">
+        {[
+          ["view", `Current view (${viewCount})`],
+          ["all", `Everything (${allCount})`],
+        ].map(([key, label]) => (
+          <button
+            key={key}
+            type="button"
+            onClick={() => setScope(key)}
+            aria-pressed={scope === key}
+            className={[
+              "flex-1 rounded-xl border py-2 text-center text-sm font-semibold transition-all duration-150",
+              scope === key
+                ? "border-[#165D6E]/40 bg-[#165D6E]/15 text-[#165D6E]"
+                : "border-[#E0DCD4] bg-[#F7F5EF] text-[#8A9A9E] hover:bg-[#F1EEE6] hover:text-[#5A6B6E]",
+            ].join(" ")}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      <p className="text-[12px] text-[#8A9A9E]">
+        {scope === "view"
+          ? "Uses the search, filters, region, drawn area and map area you have set now."
+          : "Every spot, including local edits and spots added in this browser."}
+      </p>
+
+      <div className="space-y-2">
+        {EXPORT_FORMATS.map((f) => (
+          <button
+            key={f.key}
+            type="button"
+            onClick={() => onExport(f.key, scope)}
+            disabled={!count}
+            className="flex min-h-[44px] w-full items-center justify-between gap-3 rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-4 py-2 text-left hover:bg-[#F1EEE6] disabled:cursor-not-allowed disabled:opacity-40"
+          >
+            <span>
+              <span className="block font-semibold text-[#2A3A3E]">{f.label}</span>
+              <span className="block text-[12px] text-[#8A9A9E]">{HINT[f.key]}</span>
+            </span>
+            <span className="shrink-0 text-[12px] font-semibold text-[#165D6E]">.{f.ext}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+// HeatmapLayer.jsx — canvas density overlay under the markers, and its sidebar controls
+import { useEffect, useMemo } from "react";
+import { useMap } from "react-leaflet";
+import L from "leaflet";
+
+import { HEAT_INTENSITY_RANGE, HEAT_RADIUS_RANGE, HEAT_WEIGHTS, heatPalette } from "../lib/heatmap.js";
+
+// Above the tiles (200), below paths (400) and markers (600)
+const PANE = "heatmap";
+const PANE_Z = 350;
+// Alpha one full-weight place stamps at intensity 1; a few overlapping saturate the ramp
+const BASE_ALPHA = 0.35;
+// Ceiling on the finished overlay so tiles and pins still read through it
+const MAX_OPACITY = 0.78;
+
+// Soft round dot, opaque in the middle
+function makeBrush(radius) {
+  const size = radius * 2;
+  const brush = document.createElement("canvas");
+  brush.width = size;
+  brush.height = size;
+  const ctx = brush.getContext("2d");
+  const g = ctx.createRadialGradient(radius, radius, 0, radius, radius, radius);
+  g.addColorStop(0, "rgba(0,0,0,1)");
+  g.addColorStop(1, "rgba(0,0,0,0)");
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, size, size);
+  return brush;
+}
+
+function drawHeat(map, canvas, points, { radius, intensity, palette }) {
+  const size = map.getSize();
+  canvas.width = size.x;
+  canvas.height = size.y;
+  // The pane moves with the map; pin the canvas to the container's top-left
+  L.DomUtil.setPosition(canvas, map.containerPointToLayerPoint([0, 0]));
+
+  const ctx = canvas.getContext("2d", { willReadFrequently: true });
+  ctx.clearRect(0, 0, size.x, size.y);
+  if (!points.length || !size.x || !size.y) return;
+
+  const brush = makeBrush(radius);
+  for (const p of points) {
+    const pt = map.latLngToContainerPoint([p.lat, p.lon]);
+    if (pt.x < -radius || pt.y < -radius || pt.x > size.x + radius || pt.y > size.y + radius) continue;
+    ctx.globalAlpha = Math.min(1, p.w * intensity * BASE_ALPHA);
+    ctx.drawImage(brush, pt.x - radius, pt.y - radius);
+  }
+  ctx.globalAlpha = 1;
+
+  // Summed alpha → color along the palette
+  const img = ctx.getImageData(0, 0, size.x, size.y);
+  const px = img.data;
+  for (let i = 3; i < px.length; i += 4) {
+    const a = px[i];
+    if (!a) continue;
+    const j = a * 4;
+    px[i - 3] = palette[j];
+    px[i - 2] = palette[j + 1];
+    px[i - 1] = palette[j + 2];
+    px[i] = palette[j + 3] * MAX_OPACITY;
+  }
+  ctx.putImageData(img, 0, 0);
+}
+
+// Lives inside <MapContainer>. `points`: heatPoints() output; `stops`: the marker color stops.
+export default function HeatmapLayer({ points, radius, intensity, stops }) {
+  const map = useMap();
+  const palette = useMemo(() => heatPalette(stops), [stops]);
+
+  useEffect(() => {
+    const pane = map.getPane(PANE) || map.createPane(PANE);
+    pane.style.zIndex = String(PANE_Z);
+    pane.style.pointerEvents = "none";
+
+    // Hidden during the zoom animation, redrawn once it settles
+    const canvas = L.DomUtil.create("canvas", "leaflet-zoom-hide", pane);
+    const redraw = () => drawHeat(map, canvas, points, { radius, intensity, palette });
+    redraw();
+    map.on("moveend zoomend resize", redraw);
+
+    return () => {
+      map.off("moveend zoomend resize", redraw);
+      L.DomUtil.remove(canvas);
+    };
+  }, [map, points, radius, intensity, palette]);
+
+  return null;
+}
+
+const labelCls = "text-[11px] font-semibold uppercase tracking-widest text-[#8A9A9E]";
+
+// Sidebar block: on/off, what a place weighs, radius and intensity.
+// `value` is { on, by, radius, intensity } (see DEFAULT_HEATMAP).
+export function HeatmapControls({ value, onChange, stops }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  const ramp = stops.map((s) => `#${s.hex.toString(16).padStart(6, "0")} ${Math.round(s.at * 100)}%`).join(", ");
+
+  return (
+    <div className="mt-3 rounded-2xl border border-[#E0DCD4] bg-[#F7F5EF]/70 p-3">
+      <div className="flex items-center justify-between">
+        <span className={labelCls}>Heatmap</span>
+        <button
+          type="button"
+          role="switch"
+          aria-checked={value.on}
+          onClick={() => set({ on: !value.on })}
+          className={[
+            "rounded-full border px-3 py-1 text-[11px] font-semibold transition-colors",
+            value.on
+              ? "border-[#165D6E] bg-[#165D6E] text-white"
+              : "border-[#E0DCD4] bg-[#F7F5EF] text-[#5A6B6E] hover:bg-[#F1EEE6]",
+          ].join(" ")}
+        >
+          {value.on ? "On" : "Off"}
+        </button>
+      </div>
+
+      {value.on ? (
+        <>
+          <div className="mt-2 flex gap-1.5">
+            {HEAT_WEIGHTS.map((w) => {
+              const on = value.by === w.value;
+              return (
+                <button
+                  key={w.value}
+                  type="button"
+                  onClick={() => set({ by: w.value })}
+                  aria-pressed={on}
+                  className={[
+                    "flex-1 rounded-lg border px-2 py-1.5 text-[11px] font-semibold transition-colors",
+                    on
+                      ? "border-[#165D6E] bg-[#165D6E] text-white"
+                      : "border-[#E0DCD4] bg-[#F7F5EF] text-[#5A6B6E] hover:bg-[#F1EEE6]",
+                  ].join(" ")}
+                >
+                  {w.label}
+                </button>
+              );
+            })}
+          </div>
+
+          <label className="mt-3 flex items-center gap-2">
+            <span className="w-16 text-[11px] font-medium text-[#5A6B6E]">Radius</span>
+            <input
+              type="range"
+              min={HEAT_RADIUS_RANGE.min}
+              max={HEAT_RADIUS_RANGE.max}
+              value={value.radius}
+              onChange={(e) => set({ radius: Number(e.target.value) })}
+              className="w-full accent-[#165D6E]"
+            />
+          </label>
+          <label className="mt-1 flex items-center gap-2">
+            <span className="w-16 text-[11px] font-medium text-[#5A6B6E]">Intensity</span>
+            <input
+              type="range"
+              min={HEAT_INTENSITY_RANGE.min}
+              max={HEAT_INTENSITY_RANGE.max}
+              step={0.1}
+              value={value.intensity}
+              onChange={(e) => set({ intensity: Number(e.target.value) })}
+              className="w-full accent-[#165D6E]"
+            />
+          </label>
+
+          <div className="mt-2 h-1.5 rounded-full" style={{ background: `linear-gradient(90deg, ${ramp})` }} />
+          <div className="mt-1 flex justify-between text-[10px] font-medium text-[#B0BAB8]">
+            <span>Sparse</span>
+            <span>Follows the current filters</span>
+            <span>Dense</span>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+// Highlight.jsx — marks the parts of a string that match the current search
+import { createContext, useContext } from "react";
+
+import { highlightRanges } from "../lib/searchIndex.js";
+
+// Search terms live in context so memoized markers don't re-render on every keystroke
+const TermsContext = createContext([]);
+
+export function HighlightProvider({ terms, children }) {
+  return <TermsContext.Provider value={terms}>{children}</TermsContext.Provider>;
+}
+
+export default function Highlight({ text }) {
+  const terms = useContext(TermsContext);
+  const str = text == null ? "" : String(text);
+  const ranges = terms.length ? highlightRanges(str, terms) : [];
+  if (!ranges.length) return str;
+
+  const out = [];
+  let at = 0;
+  for (const r of ranges) {
+    if (r.start > at) out.push(str.slice(at, r.start));
+    out.push(
+      <mark key={r.start} className="search-hit">
+        {str.slice(r.start, r.end)}
+      </mark>
+    );
+    at = r.end;
+  }
+  if (at < str.length) out.push(str.slice(at));
+  return out;
+}
@@ -0,0 +1,274 @@
+// ImportDialog.jsx — merge a places.json, CSV or GeoJSON file into the map:
+// map columns to fields, review new spots, resolve conflicts field by field
+import { useMemo, useState } from "react";
+
+import {
+  IMPORT_FIELDS,
+  defaultChoices,
+  guessMapping,
+  parseImport,
+  planImport,
+  resolveConflict,
+} from "../lib/importPlaces.js";
+import { formatDiffValue } from "../lib/journal.js";
+
+const labelCls = "text-[11px] font-semibold uppercase tracking-widest text-[#8A9A9E]";
+const selectCls =
+  "w-full rounded-lg border border-[#E0DCD4] bg-[#F7F5EF] px-2 py-1 text-[12px] text-[#1F2A2E] outline-none focus:border-[#2E7682]";
+const smallBtn =
+  "rounded-lg border border-[#E0DCD4] bg-[#F7F5EF] px-2 py-1 text-[12px] text-[#5A6B6E] hover:bg-[#F1EEE6]";
+
+const FORMAT_LABEL = { json: "places.json", geojson: "GeoJSON", csv: "CSV" };
+
+function Side({ active, value, field, onPick, label }) {
+  return (
+    <button
+      type="button"
+      onClick={onPick}
+      aria-pressed={active}
+      aria-label={`Use ${label} ${field}`}
+      className={[
+        "min-w-0 break-words rounded-lg border px-2 py-1 text-left text-[12px] transition-colors",
+        active
+          ? "border-[#165D6E]/40 bg-[#165D6E]/12 font-semibold text-[#165D6E]"
+          : "border-transparent text-[#5A6B6E] hover:bg-[#F1EEE6]",
+      ].join(" ")}
+    >
+      {formatDiffValue(field, value)}
+    </button>
+  );
+}
+
+// `existing`: the places on the map now. `onImport({ added, patches })` gets the
+// new spots and [{ id, patch }] for conflicts where any field kept "theirs".
+export default function ImportDialog({ existing, onImport, onClose }) {
+  const [fileName, setFileName] = useState("");
+  const [parsed, setParsed] = useState(null); // { format, columns, records }
+  const [error, setError] = useState("");
+  const [mapping, setMapping] = useState({});
+  const [choices, setChoices] = useState({}); // mine.id → { field: "mine" | "theirs" }
+
+  const plan = useMemo(
+    () => (parsed ? planImport(existing, parsed.records, mapping) : null),
+    [existing, parsed, mapping]
+  );
+
+  async function pickFile(file) {
+    if (!file) return;
+    setFileName(file.name);
+    setError("");
+    setChoices({});
+    try {
+      const next = parseImport(await file.text(), file.name);
+      setParsed(next);
+      setMapping(guessMapping(next.columns));
+    } catch (err) {
+      setParsed(null);
+      setError(err.message || "Could not read that file.");
+    }
+  }
+
+  function choicesFor(conflict) {
+    return choices[conflict.mine.id] ?? defaultChoices(conflict);
+  }
+
+  function setChoice(conflict, field, side) {
+    setChoices((prev) => ({ ...prev, [conflict.mine.id]: { ...choicesFor(conflict), [field]: side } }));
+  }
+
+  function setAll(conflict, side) {
+    setChoices((prev) => ({ ...prev, [conflict.mine.id]: defaultChoices(conflict, side) }));
+  }
+
+  const patches = plan
+    ? plan.conflicts
+        .map((c) => ({ id: c.mine.id, patch: resolveConflict(c, choicesFor(c)) }))
+        .filter((x) => Object.keys(x.patch).length)
+    : [];
+  const nothingToDo = !plan || (plan.fresh.length === 0 && patches.length === 0);
+
+  return (
+    <div
+      className="fixed inset-0 z-[999] flex items-start justify-center p-4 text-[#1F2A2E] md:p-6"
+      onMouseDown={(e) => {
+        if (e.target === e.currentTarget) onClose();
+      }}
+      role="dialog"
+      aria-modal="true"
+      aria-label="Import places"
+    >
+      <div className="pointer-events-none absolute inset-0 bg-[#0D0906]/80 backdrop-blur-sm" />
+
+      <div className="relative flex max-h-[88vh] w-[94vw] max-w-2xl flex-col overflow-hidden rounded-3xl border border-[#165D6E]/20 bg-[#F7F5EF]/97 shadow-2xl">
+        <div className="flex items-center justify-between gap-6 p-5 md:p-6">
+          <div>
+            <div className="text-xl font-semibold md:text-2xl">Import places</div>
+            <div className="mt-1 text-sm text-[#5A6B6E]">places.json, CSV or a GeoJSON FeatureCollection</div>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="grid h-12 w-12 place-items-center rounded-xl border border-[#165D6E]/20 bg-[#F1EEE6] text-lg text-[#5A6B6E] hover:bg-[#E0DCD4] hover:text-[#1F2A2E]"
+            aria-label="Close"
+            title="Close"
+          >
+            ✕
+          </button>
+        </div>
+
+        <div className="flex-1 space-y-5 overflow-y-auto px-5 pb-6 md:px-6">
+          <label className="block rounded-2xl border border-dashed border-[#165D6E]/30 bg-[#165D6E]/5 p-4 text-center text-sm text-[#165D6E]">
+            <input
+              type="file"
+              accept=".json,.geojson,.csv,application/json,application/geo+json,text/csv"
+              onChange={(e) => pickFile(e.target.files?.[0])}
+              className="sr-only"
+            />
+            <span className="font-semibold">{fileName || "Choose a file…"}</span>
+            {parsed ? (
+              <span className="block text-[12px] text-[#5A6B6E]">
+                {FORMAT_LABEL[parsed.format]} · {parsed.records.length} rows
+              </span>
+            ) : null}
+          </label>
+          {error ? <div className="text-[12px] font-medium text-[#8A2B1A]">{error}</div> : null}
+
+          {parsed ? (
+            <details open={parsed.format === "csv"} className="rounded-2xl border border-[#E0DCD4] p-3">
+              <summary className={`${labelCls} cursor-pointer`}>Columns → fields</summary>
+              <div className="mt-3 grid grid-cols-2 gap-x-4 gap-y-2 md:grid-cols-3">
+                {IMPORT_FIELDS.map((field) => (
+                  <label key={field} className="block">
+                    <span className="text-[11px] font-semibold text-[#5A6B6E]">{field}</span>
+                    <select
+                      value={mapping[field] ?? ""}
+                      onChange={(e) => setMapping((prev) => ({ ...prev, [field]: e.target.value }))}
+                      className={selectCls}
+                    >
+                      <option value="">— skip —</option>
+                      {parsed.columns.map((c) => (
+                        <option key={c} value={c}>
+                          {c}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </details>
+          ) : null}
+
+          {plan ? (
+            <>
+              <div className="flex flex-wrap gap-2 text-[12px] font-semibold">
+                <span className="rounded-full bg-[#165D6E]/10 px-2.5 py-1 text-[#165D6E]">{plan.fresh.length} new</span>
+                <span className="rounded-full bg-[#E1BF4A]/20 px-2.5 py-1 text-[#7A5B00]">
+                  {plan.conflicts.length} to review
+                </span>
+                <span className="rounded-full bg-[#F1EEE6] px-2.5 py-1 text-[#5A6B6E]">
+                  {plan.unchanged.length} already here
+                </span>
+                {plan.invalid.length ? (
+                  <span className="rounded-full bg-[#FBF1EE] px-2.5 py-1 text-[#8A2B1A]">{plan.invalid.length} skipped</span>
+                ) : null}
+              </div>
+
+              {plan.invalid.length ? (
+                <ul className="space-y-0.5 text-[12px] text-[#8A2B1A]">
+                  {plan.invalid.slice(0, 6).map((x, i) => (
+                    <li key={`${x.row}-${i}`}>
+                      Row {x.row}
+                      {x.name ? ` (${x.name})` : ""}: {x.reason}
+                    </li>
+                  ))}
+                  {plan.invalid.length > 6 ? <li>…and {plan.invalid.length - 6} more</li> : null}
+                </ul>
+              ) : null}
+
+              {plan.fresh.length ? (
+                <section>
+                  <div className={labelCls}>New spots</div>
+                  <div className="mt-1 text-[12px] text-[#5A6B6E]">
+                    {plan.fresh
+                      .slice(0, 12)
+                      .map((p) => p.name)
+                      .join(", ")}
+                    {plan.fresh.length > 12 ? `, and ${plan.fresh.length - 12} more` : ""}
+                  </div>
+                </section>
+              ) : null}
+
+              {plan.conflicts.length ? (
+                <section className="space-y-3">
+                  <div className={labelCls}>Already on the map — pick per field</div>
+                  {plan.conflicts.map((c) => {
+                    const picked = choicesFor(c);
+                    return (
+                      <div key={c.mine.id} className="rounded-2xl border border-[#E0DCD4] bg-[#F7F5EF]/60 p-3">
+                        <div className="flex items-center justify-between gap-3">
+                          <div className="truncate font-semibold">{c.mine.name}</div>
+                          <div className="flex shrink-0 gap-1.5">
+                            <button type="button" onClick={() => setAll(c, "mine")} className={smallBtn}>
+                              Keep mine
+                            </button>
+                            <button type="button" onClick={() => setAll(c, "theirs")} className={smallBtn}>
+                              Keep theirs
+                            </button>
+                          </div>
+                        </div>
+                        <div className="mt-2 grid grid-cols-[auto_1fr_1fr] items-start gap-x-2 gap-y-1">
+                          <span />
+                          <span className="px-2 text-[10px] font-semibold uppercase tracking-widest text-[#B0BAB8]">Mine</span>
+                          <span className="px-2 text-[10px] font-semibold uppercase tracking-widest text-[#B0BAB8]">Theirs</span>
+                          {c.fields.map((field) => (
+                            <div key={field} className="contents">
+                              <span className="py-1 text-[12px] font-semibold text-[#8A9A9E]">{field}</span>
+                              <Side
+                                field={field}
+                                label="my"
+                                value={c.mine[field]}
+                                active={picked[field] !== "theirs"}
+                                onPick={() => setChoice(c, field, "mine")}
+                              />
+                              <Side
+                                field={field}
+                                label="their"
+                                value={c.theirs[field]}
+                                active={picked[field] === "theirs"}
+                                onPick={() => setChoice(c, field, "theirs")}
+                              />
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    );
+                  })}
+                </section>
+              ) : null}
+            </>
+          ) : null}
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 border-t border-[#E0DCD4] px-5 py-4 md:px-6">
+          <button
+            type="button"
+            onClick={onClose}
+            className="min-h-[44px] rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-4 py-2 text-sm text-[#2A3A3E] hover:bg-[#F1EEE6]"
+          >
+            Cancel
+          </button>
+          <button
+            type="button"
+            disabled={nothingToDo}
+            onClick={() => onImport({ added: plan.fresh, patches })}
+            className="min-h-[44px] rounded-xl border border-[#165D6E] bg-[#165D6E] px-4 py-2 text-sm font-semibold text-white hover:bg-[#165D6E]/90 disabled:cursor-not-allowed disabled:opacity-40"
+          >
+            {plan
+              ? `Import ${plan.fresh.length} new${patches.length ? `, update ${patches.length}` : ""}`
+              : "Import"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,117 @@
+// NearMe.jsx — Near Me radius controls for the sidebar and the rings drawn around the user
+import { useMemo } from "react";
+import { Circle, Marker } from "react-leaflet";
+import L from "leaflet";
+
+import {
+  TRAVEL_MODES,
+  formatMiles,
+  modeRadius,
+  radiusRings,
+  radiusToSlider,
+  sliderToRadius,
+  travelMode,
+} from "../lib/travel.js";
+
+const METERS_PER_MILE = 1609.344;
+const MILES_PER_DEG_LAT = 69.05;
+
+function ringLabelIcon(label) {
+  return L.divIcon({
+    className: "near-ring-label",
+    html: `<span>${label}</span>`,
+    iconSize: null,
+  });
+}
+
+// Lives inside <MapContainer>: three rings out to the radius, labelled in travel minutes
+export function NearMeRings({ loc, radius, mode }) {
+  const rings = useMemo(
+    () =>
+      radiusRings(radius, travelMode(mode)).map((r) => ({
+        ...r,
+        icon: ringLabelIcon(r.label),
+        // Label sits on the top edge of its ring
+        top: [loc.lat + r.miles / MILES_PER_DEG_LAT, loc.lon],
+      })),
+    [loc.lat, loc.lon, radius, mode]
+  );
+
+  return (
+    <>
+      {rings.map((r, i) => (
+        <Circle
+          key={`ring-${i}`}
+          center={[loc.lat, loc.lon]}
+          radius={r.miles * METERS_PER_MILE}
+          interactive={false}
+          pathOptions={{
+            color: "#1E88E5",
+            weight: i === rings.length - 1 ? 2 : 1,
+            opacity: 0.7,
+            dashArray: i === rings.length - 1 ? null : "4 6",
+            fillColor: "#1E88E5",
+            fillOpacity: i === 0 ? 0.06 : 0.03,
+          }}
+        />
+      ))}
+      {rings.map((r, i) => (
+        <Marker key={`label-${i}`} position={r.top} icon={r.icon} interactive={false} keyboard={false} />
+      ))}
+    </>
+  );
+}
+
+// Preset chips + a log-scale slider; `range` is urlState's RADIUS_RANGE
+export default function NearMeControls({ radius, mode, range, onRadius, onMode }) {
+  const active = travelMode(mode);
+
+  return (
+    <div className="mt-3 rounded-2xl border border-[#E0DCD4] bg-[#F7F5EF]/70 p-3">
+      <div className="flex items-center justify-between">
+        <span className="text-[11px] font-semibold uppercase tracking-widest text-[#8A9A9E]">Within</span>
+        <span className="text-[12px] font-semibold text-[#165D6E]">{formatMiles(radius)}</span>
+      </div>
+
+      <div className="mt-2 flex gap-1.5">
+        {TRAVEL_MODES.map((m) => {
+          const on = m.key === active.key && modeRadius(m) === radius;
+          return (
+            <button
+              key={m.key}
+              type="button"
+              onClick={() => {
+                onMode(m.key);
+                onRadius(modeRadius(m));
+              }}
+              aria-pressed={on}
+              className={[
+                "flex-1 rounded-lg border px-2 py-1.5 text-[11px] font-semibold transition-colors",
+                on
+                  ? "border-[#165D6E] bg-[#165D6E] text-white"
+                  : "border-[#E0DCD4] bg-[#F7F5EF] text-[#5A6B6E] hover:bg-[#F1EEE6]",
+              ].join(" ")}
+            >
+              {m.label} {m.minutes} min
+            </button>
+          );
+        })}
+      </div>
+
+      <input
+        type="range"
+        min={0}
+        max={100}
+        value={radiusToSlider(radius, range)}
+        onChange={(e) => onRadius(sliderToRadius(Number(e.target.value), range))}
+        aria-label="Near Me radius"
+        className="mt-3 w-full accent-[#165D6E]"
+      />
+      <div className="flex justify-between text-[10px] font-medium text-[#B0BAB8]">
+        <span>{formatMiles(range.min)}</span>
+        <span>Times assume {active.label.toLowerCase()} speed</span>
+        <span>{formatMiles(range.max)}</span>
+      </div>
+    </div>
+  );
+}
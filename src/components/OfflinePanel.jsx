@@ -0,0 +1,219 @@
+// OfflinePanel.jsx — "download area for offline" and the offline badge
+import { useEffect, useMemo, useRef, useState, useSyncExternalStore } from "react";
+import L from "leaflet";
+
+import { cacheTiles, cachedTileCount, clearTiles, offlineSupported } from "../lib/offline.js";
+import {
+  MAX_OFFLINE_TILES,
+  OFFLINE_ZOOM_RANGE,
+  countTiles,
+  estimateBytes,
+  formatBytes,
+  tileUrls,
+} from "../lib/tiles.js";
+
+function subscribeOnline(cb) {
+  window.addEventListener("online", cb);
+  window.addEventListener("offline", cb);
+  return () => {
+    window.removeEventListener("online", cb);
+    window.removeEventListener("offline", cb);
+  };
+}
+
+function useOnline() {
+  return useSyncExternalStore(subscribeOnline, () => navigator.onLine, () => true);
+}
+
+export function OfflineBadge() {
+  const online = useOnline();
+  if (online) return null;
+  return (
+    <div className="pointer-events-none absolute bottom-4 right-4 z-[700]">
+      <div
+        role="status"
+        className="rounded-full border border-[#E8C8C0] bg-[#FBF1EE]/95 px-3 py-1.5 text-[12px] font-semibold text-[#8A2B1A] shadow-[0_2px_8px_rgba(0,0,0,0.08)]"
+      >
+        Offline — showing saved spots and tiles
+      </div>
+    </div>
+  );
+}
+
+const labelCls = "block text-[11px] font-semibold uppercase tracking-widest text-[#8A9A9E]";
+const selectCls =
+  "mt-1 w-full rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-3 py-2 text-sm text-[#1F2A2E] outline-none focus:border-[#2E7682]";
+const btnCls =
+  "min-h-[44px] rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-4 py-2 text-sm text-[#2A3A3E] hover:bg-[#F1EEE6] disabled:cursor-not-allowed disabled:opacity-40";
+
+// `areas`: [{ key, label, bounds }]; `tileTemplate` is the TileLayer url.
+// `allowed` is false for tile servers whose policy forbids bulk downloads.
+export default function OfflinePanel({ areas, tileTemplate, subdomains, allowed, onToast }) {
+  const zooms = [];
+  for (let z = OFFLINE_ZOOM_RANGE.min; z <= OFFLINE_ZOOM_RANGE.max; z++) zooms.push(z);
+
+  const [areaKey, setAreaKey] = useState(areas[0]?.key ?? "");
+  const [minZoom, setMinZoom] = useState(10);
+  const [maxZoom, setMaxZoom] = useState(15);
+  const [progress, setProgress] = useState(null); // { done, failed, total }
+  const [stored, setStored] = useState(null); // tiles on this device; null while checking
+  const job = useRef(null);
+
+  const area = areas.find((a) => a.key === areaKey) ?? areas[0];
+  const count = useMemo(
+    () => (area?.bounds ? countTiles(area.bounds, minZoom, maxZoom) : 0),
+    [area, minZoom, maxZoom]
+  );
+  const tooMany = count > MAX_OFFLINE_TILES;
+  const supported = offlineSupported();
+
+  function refreshStored() {
+    cachedTileCount()
+      .then((r) => setStored(r.count))
+      .catch(() => setStored(0));
+  }
+
+  useEffect(() => {
+    if (!supported) return;
+    cachedTileCount()
+      .then((r) => setStored(r.count))
+      .catch(() => setStored(0));
+  }, [supported]);
+
+  // Leaving the menu stops a running download
+  useEffect(() => () => job.current?.cancel(), []);
+
+  async function download() {
+    if (!area?.bounds || tooMany) return;
+    const urls = tileUrls(tileTemplate, area.bounds, minZoom, maxZoom, { subdomains, retina: L.Browser.retina });
+    setProgress({ done: 0, failed: 0, total: urls.length });
+    job.current = cacheTiles(urls, setProgress);
+    try {
+      const r = await job.current.promise;
+      if (r.cancelled) onToast("Download stopped", "info");
+      else if (r.failed) onToast(`Saved ${r.done} tiles, ${r.failed} failed`, "error");
+      else onToast(`${area.label} saved for offline`, "success");
+    } catch (err) {
+      onToast(err.message || "Download failed", "error");
+    } finally {
+      job.current = null;
+      setProgress(null);
+      refreshStored();
+    }
+  }
+
+  async function removeAll() {
+    try {
+      await clearTiles();
+      onToast("Offline tiles removed", "info");
+    } catch (err) {
+      onToast(err.message || "Could not remove tiles", "error");
+    }
+    refreshStored();
+  }
+
+  if (!supported) {
+    return <p className="text-sm text-[#8A9A9E]">This browser can't keep the map offline.</p>;
+  }
+
+  const busy = progress != null;
+  const pct = busy && progress.total ? Math.round(((progress.done + progress.failed) / progress.total) * 100) : 0;
+
+  return (
+    <div className="space-y-3 text-sm text-[#5A6B6E]">
+      <p className="max-w-[640px] leading-relaxed">
+        The app, the spots and your local edits already work offline once loaded. Save map tiles for an area to see
+        the map itself without signal.
+      </p>
+
+      {!allowed ? (
+        <p className="rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] p-3 text-[12px] text-[#8A9A9E]">
+          This basemap's free tile servers don't allow bulk downloads, so area downloads need a tile provider key
+          (VITE_STADIA_KEY) and a Stadia-backed basemap. Tiles you've already viewed are still kept for offline use.
+        </p>
+      ) : null}
+
+      <div className="grid grid-cols-3 gap-2">
+        <label className="col-span-3 md:col-span-1">
+          <span className={labelCls}>Area</span>
+          <select value={area?.key ?? ""} onChange={(e) => setAreaKey(e.target.value)} className={selectCls} disabled={busy}>
+            {areas.map((a) => (
+              <option key={a.key} value={a.key}>
+                {a.label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className={labelCls}>From zoom</span>
+          <select
+            value={minZoom}
+            onChange={(e) => {
+              const z = Number(e.target.value);
+              setMinZoom(z);
+              if (z > maxZoom) setMaxZoom(z);
+            }}
+            className={selectCls}
+            disabled={busy}
+          >
+            {zooms.map((z) => (
+              <option key={z} value={z}>{z}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          <span className={labelCls}>To zoom</span>
+          <select
+            value={maxZoom}
+            onChange={(e) => {
+              const z = Number(e.target.value);
+              setMaxZoom(z);
+              if (z < minZoom) setMinZoom(z);
+            }}
+            className={selectCls}
+            disabled={busy}
+          >
+            {zooms.map((z) => (
+              <option key={z} value={z}>{z}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className={tooMany ? "text-[#8A2B1A]" : ""}>
+        {count.toLocaleString()} tiles · about {formatBytes(estimateBytes(count))}
+        {tooMany ? ` — over the ${MAX_OFFLINE_TILES.toLocaleString()} tile limit, lower "To zoom"` : ""}
+      </div>
+
+      {busy ? (
+        <div>
+          <div className="h-2 overflow-hidden rounded-full bg-[#E0DCD4]">
+            <div className="h-full bg-[#165D6E] transition-all" style={{ width: `${pct}%` }} />
+          </div>
+          <div className="mt-1 text-[12px] text-[#8A9A9E]">
+            {progress.done + progress.failed} / {progress.total}
+            {progress.failed ? ` (${progress.failed} failed)` : ""}
+          </div>
+        </div>
+      ) : null}
+
+      <div className="grid grid-cols-2 gap-2">
+        {busy ? (
+          <button type="button" onClick={() => job.current?.cancel()} className={btnCls}>
+            Stop
+          </button>
+        ) : (
+          <button type="button" onClick={download} disabled={!allowed || tooMany || !count} className={btnCls}>
+            Download area for offline
+          </button>
+        )}
+        <button type="button" onClick={removeAll} disabled={busy || !stored} className={btnCls}>
+          Remove offline tiles
+        </button>
+      </div>
+      <p className="text-[11px] text-[#B0BAB8]">
+        {stored == null ? "Checking saved tiles…" : `${stored.toLocaleString()} tiles saved on this device.`}
+      </p>
+    </div>
+  );
+}
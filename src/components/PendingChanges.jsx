@@ -0,0 +1,136 @@
+// PendingChanges.jsx — the menu's "Changes" tab: local edits diffed against Places.json,
+// per-spot revert, the undo/redo history and the export button
+import { canRedo, canUndo, formatDiffValue } from "../lib/journal.js";
+
+const btnCls =
+  "min-h-[36px] rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-3 py-1.5 text-sm text-[#2A3A3E] hover:bg-[#F1EEE6] disabled:cursor-not-allowed disabled:opacity-40";
+const headCls = "text-[11px] font-semibold uppercase tracking-widest text-[#8A9A9E]";
+
+const isMac = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform || "");
+const MOD = isMac ? "⌘" : "Ctrl+";
+
+function formatWhen(iso) {
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "";
+  return d.toLocaleString(undefined, { month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+}
+
+// `changes`: pendingChanges() output; `journal`: { entries, cursor }
+export default function PendingChanges({ changes, journal, onUndo, onRedo, onRevert, onSelect, onExport, onResetAll }) {
+  const history = journal.entries.map((e, i) => ({ ...e, undone: i >= journal.cursor })).reverse();
+
+  return (
+    <div className="space-y-5 text-sm text-[#5A6B6E]">
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" onClick={onUndo} disabled={!canUndo(journal)} className={btnCls} title={`Undo (${MOD}Z)`}>
+          ↶ Undo
+        </button>
+        <button
+          type="button"
+          onClick={onRedo}
+          disabled={!canRedo(journal)}
+          className={btnCls}
+          title={`Redo (${isMac ? "⇧⌘Z" : "Ctrl+Y"})`}
+        >
+          ↷ Redo
+        </button>
+        <span className="text-[11px] text-[#B0BAB8]">
+          {MOD}Z / {isMac ? "⇧⌘Z" : "Ctrl+Y"} work anywhere outside a text field
+        </span>
+      </div>
+
+      {/* Pending changes */}
+      <section>
+        <div className={headCls}>Pending changes</div>
+        {changes.length === 0 ? (
+          <p className="mt-2 text-[#8A9A9E]">Nothing changed — the map matches Places.json.</p>
+        ) : (
+          <div className="mt-2 space-y-2">
+            {changes.map((c) => (
+              <div key={c.id} className="rounded-xl border border-[#E0DCD4] bg-[#F7F5EF]/60 p-3">
+                <div className="flex items-center justify-between gap-3">
+                  <button
+                    type="button"
+                    onClick={() => onSelect(c.id)}
+                    className="truncate text-left font-semibold text-[#1F2A2E] hover:text-[#165D6E]"
+                  >
+                    {c.name}
+                  </button>
+                  <div className="flex shrink-0 items-center gap-2">
+                    {c.added ? (
+                      <span className="rounded-full bg-[#165D6E]/10 px-2 py-0.5 text-[11px] font-semibold text-[#165D6E]">
+                        New spot
+                      </span>
+                    ) : null}
+                    <button
+                      type="button"
+                      onClick={() => onRevert(c.id)}
+                      className="rounded-lg border border-[#E0DCD4] px-2 py-1 text-[12px] text-[#5A6B6E] hover:bg-[#F1EEE6]"
+                      title={c.added ? "Remove this spot" : "Back to the Places.json values"}
+                    >
+                      {c.added ? "Remove" : "Revert"}
+                    </button>
+                  </div>
+                </div>
+                {c.fields.length ? (
+                  <dl className="mt-2 grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-[12px]">
+                    {c.fields.map((f) => (
+                      <div key={f.field} className="contents">
+                        <dt className="font-semibold text-[#8A9A9E]">{f.field}</dt>
+                        <dd className="min-w-0 break-words">
+                          <span className="text-[#8A2B1A] line-through decoration-[#8A2B1A]/40">
+                            {formatDiffValue(f.field, f.before)}
+                          </span>
+                          <span className="mx-1.5 text-[#B0BAB8]">→</span>
+                          <span className="font-medium text-[#165D6E]">{formatDiffValue(f.field, f.after)}</span>
+                        </dd>
+                      </div>
+                    ))}
+                  </dl>
+                ) : null}
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      <div className="grid grid-cols-2 gap-2">
+        <button
+          type="button"
+          onClick={onExport}
+          className="min-h-[44px] rounded-xl border border-[#165D6E] bg-[#165D6E] px-4 py-2 text-sm font-semibold text-white hover:bg-[#165D6E]/90"
+        >
+          Download places.json
+        </button>
+        <button
+          type="button"
+          onClick={onResetAll}
+          disabled={changes.length === 0}
+          className="min-h-[44px] rounded-xl border border-[#E0DCD4] bg-[#F7F5EF] px-4 py-2 text-sm text-[#2A3A3E] hover:bg-[#F1EEE6] disabled:cursor-not-allowed disabled:opacity-40"
+        >
+          Reset all edits
+        </button>
+      </div>
+
+      {/* Journal */}
+      <section>
+        <div className={headCls}>History</div>
+        {history.length === 0 ? (
+          <p className="mt-2 text-[#8A9A9E]">Edits you make in this browser show up here.</p>
+        ) : (
+          <ol className="mt-2 space-y-1">
+            {history.map((e, i) => (
+              <li
+                key={`${e.at}-${i}`}
+                className={["flex items-baseline justify-between gap-3 text-[12px]", e.undone ? "opacity-45" : ""].join(" ")}
+              >
+                <span className={e.undone ? "line-through" : "text-[#2A3A3E]"}>{e.label}</span>
+                <span className="shrink-0 text-[11px] text-[#B0BAB8]">{formatWhen(e.at)}</span>
+              </li>
+            ))}
+          </ol>
+        )}
+      </section>
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+// QueryErrors.jsx — echoes the search query with bad terms highlighted
+
+// Split the query into plain / bad segments (error ranges never overlap)
+function segments(text, errors) {
+  const sorted = [...errors].sort((a, b) => a.start - b.start);
+  const out = [];
+  let at = 0;
+  for (const e of sorted) {
+    if (e.start > at) out.push({ text: text.slice(at, e.start), bad: false });
+    out.push({ text: text.slice(e.start, e.end), bad: true, message: e.message });
+    at = e.end;
+  }
+  if (at < text.length) out.push({ text: text.slice(at), bad: false });
+  return out;
+}
+
+export default function QueryErrors({ query, errors }) {
+  if (!errors.length) return null;
+
+  return (
+    <div className="mt-1.5 rounded-lg border border-[#E8C8C0] bg-[#FBF1EE] px-2.5 py-1.5 text-xs">
+      <div className="whitespace-pre-wrap break-words font-mono text-[#5A6B6E]">
+        {segments(query, errors).map((s, i) =>
+          s.bad ? (
+            <mark key={i} title={s.message} className="rounded bg-[#F3C9BE] px-0.5 text-[#8A2B1A] underline decoration-wavy">
+              {s.text}
+            </mark>
+          ) : (
+            <span key={i}>{s.text}</span>
+          )
+        )}
+      </div>
+      <ul className="mt-1 text-[#8A2B1A]">
+        {errors.map((e, i) => (
+          <li key={i}>{e.message}</li>
+        ))}
+      </ul>
+      <div className="mt-1 text-[#8A9A9E]">Highlighted terms are ignored.</div>
+    </div>
+  );
+}
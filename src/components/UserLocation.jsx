@@ -0,0 +1,94 @@
+// UserLocation.jsx — the user's marker (with heading and accuracy) and the live-tracking toggles
+import { useEffect, useMemo } from "react";
+import { Circle, Marker, Popup, useMap, useMapEvents } from "react-leaflet";
+import L from "leaflet";
+
+// Headings are bucketed so the icon is only rebuilt every few degrees
+const HEADING_STEP = 10;
+const icons = new Map();
+
+function userIcon(iconUrl, heading) {
+  const bucket = heading == null ? "none" : Math.round(heading / HEADING_STEP) * HEADING_STEP;
+  const key = `${iconUrl}:${bucket}`;
+  if (!icons.has(key)) {
+    const cone =
+      bucket === "none"
+        ? ""
+        : `<span class="user-heading" style="transform: rotate(${bucket}deg)"></span>`;
+    icons.set(
+      key,
+      L.divIcon({
+        className: "yorkie-user-icon",
+        html: `${cone}<img src="${iconUrl}" alt="" width="32" height="32" />`,
+        iconSize: [32, 32],
+        iconAnchor: [14, 24],
+        popupAnchor: [0, -20],
+      })
+    );
+  }
+  return icons.get(key);
+}
+
+// Lives inside <MapContainer>. While `follow` is on the camera pans with every
+// fix; dragging the map hands control back and calls onFollowEnd.
+export default function UserLocation({ loc, iconUrl, follow = false, onFollowEnd }) {
+  const map = useMap();
+  const icon = useMemo(() => userIcon(iconUrl, loc.heading ?? null), [iconUrl, loc.heading]);
+
+  useMapEvents({
+    dragstart() {
+      if (follow) onFollowEnd?.();
+    },
+  });
+
+  useEffect(() => {
+    if (follow) map.panTo([loc.lat, loc.lon], { animate: true, duration: 0.5 });
+  }, [map, follow, loc.lat, loc.lon]);
+
+  return (
+    <>
+      {loc.accuracy ? (
+        <Circle
+          center={[loc.lat, loc.lon]}
+          radius={loc.accuracy}
+          interactive={false}
+          pathOptions={{ color: "#1E88E5", weight: 1, opacity: 0.5, fillColor: "#1E88E5", fillOpacity: 0.12 }}
+        />
+      ) : null}
+      <Marker position={[loc.lat, loc.lon]} icon={icon} zIndexOffset={1000}>
+        <Popup>
+          You are here 🐶
+          {loc.accuracy ? <div className="popup-section-title">±{Math.round(loc.accuracy)} m</div> : null}
+        </Popup>
+      </Marker>
+    </>
+  );
+}
+
+const toggleCls = (on) =>
+  [
+    "flex-1 rounded-xl border px-3 py-1.5 text-[12px] font-semibold transition-colors disabled:cursor-not-allowed disabled:opacity-40",
+    on
+      ? "border-[#1E88E5] bg-[#1E88E5] text-white"
+      : "border-[#E0DCD4] bg-[#F7F5EF] text-[#5A6B6E] hover:bg-[#F1EEE6]",
+  ].join(" ");
+
+export function TrackingToggles({ tracking, follow, onTracking, onFollow }) {
+  return (
+    <div className="mt-2 flex gap-2">
+      <button type="button" onClick={() => onTracking(!tracking)} aria-pressed={tracking} className={toggleCls(tracking)}>
+        {tracking ? "● Live location" : "Live location"}
+      </button>
+      <button
+        type="button"
+        onClick={() => onFollow(!follow)}
+        aria-pressed={follow}
+        disabled={!tracking}
+        title="Keep the map centred on you"
+        className={toggleCls(follow)}
+      >
+        Follow me
+      </button>
+    </div>
+  );
+}
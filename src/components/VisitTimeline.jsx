@@ -0,0 +1,103 @@
+// VisitTimeline.jsx — visit history inside a place popup
+import { useState } from "react";
+
+import { makeVisit, sortVisits } from "../lib/visits.js";
+
+function formatDate(iso) {
+  if (!iso) return "Undated";
+  const d = new Date(`${iso}T00:00:00`);
+  if (Number.isNaN(d.getTime())) return iso;
+  return d.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+}
+
+export function VisitTimeline({ visits }) {
+  const list = sortVisits(visits);
+  if (!list.length) return null;
+
+  return (
+    <div className="popup-visits">
+      <div className="popup-section-title">
+        {list.length === 1 ? "1 visit" : `${list.length} visits`}
+      </div>
+      <ol className="popup-visit-list">
+        {list.map((v, i) => (
+          <li key={`${v.date}:${i}`} className="popup-visit">
+            <div className="popup-visit-head">
+              <span>{formatDate(v.date)}</span>
+              {v.rating != null ? <span className="popup-visit-rating">{v.rating}★</span> : null}
+              {v.partySize ? <span className="popup-visit-party">party of {v.partySize}</span> : null}
+            </div>
+            {v.dishes?.length ? <div className="popup-visit-dishes">{v.dishes.join(" · ")}</div> : null}
+            {v.notes ? <div className="popup-visit-notes">{v.notes}</div> : null}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+}
+
+export function VisitLogForm({ today, onSave }) {
+  const [open, setOpen] = useState(false);
+  const [date, setDate] = useState(today);
+  const [rating, setRating] = useState("");
+  const [dishes, setDishes] = useState("");
+  const [partySize, setPartySize] = useState("");
+  const [notes, setNotes] = useState("");
+
+  if (!open) {
+    return (
+      <button type="button" className="popup-btn popup-btn-secondary popup-visit-add" onClick={() => setOpen(true)}>
+        + Log a visit
+      </button>
+    );
+  }
+
+  function submit(e) {
+    e.preventDefault();
+    const r = rating === "" ? null : Number(rating);
+    const n = partySize === "" ? null : Number(partySize);
+    const ok = onSave(
+      makeVisit({
+        date,
+        rating: Number.isFinite(r) ? r : null,
+        dishes: dishes.split(",").map((d) => d.trim()).filter(Boolean),
+        partySize: Number.isFinite(n) ? n : null,
+        notes: notes.trim(),
+      })
+    );
+    if (ok !== false) setOpen(false);
+  }
+
+  return (
+    <form className="popup-visit-form" onSubmit={submit}>
+      <div className="popup-visit-form-row">
+        <input type="date" value={date} onChange={(e) => setDate(e.target.value)} required />
+        <input
+          type="number"
+          min={1}
+          max={10}
+          step={0.1}
+          value={rating}
+          onChange={(e) => setRating(e.target.value)}
+          placeholder="Rating"
+        />
+        <input
+          type="number"
+          min={1}
+          step={1}
+          value={partySize}
+          onChange={(e) => setPartySize(e.target.value)}
+          placeholder="Party"
+        />
+      </div>
+      <input value={dishes} onChange={(e) => setDishes(e.target.value)} placeholder="Dishes (comma separated)" />
+      <textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows={2} placeholder="Notes" />
+      <div className="popup-actions">
+        <button type="submit" className="popup-btn popup-btn-primary">Save visit</button>
+        <button type="button" className="popup-btn popup-btn-secondary" onClick={() => setOpen(false)}>
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,94 @@
+// basemaps.js — the tile layers the map can switch between
+//
+// Each entry is one basemap: where its tiles come from, its attribution and max
+// zoom, and whether it is `dark` (markers switch to their dark-tile palette).
+// Stadia styles need VITE_STADIA_KEY; without one each basemap falls back to
+// a keyless provider. `bulkDownload` marks providers whose terms allow the
+// offline area download (see OfflinePanel).
+
+const OSM_ATTRIBUTION = '&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors';
+const STADIA_ATTRIBUTION =
+  '&copy; <a href="https://stadiamaps.com/">Stadia Maps</a> &copy; <a href="https://openmaptiles.org/">OpenMapTiles</a> ' +
+  OSM_ATTRIBUTION;
+const STAMEN_ATTRIBUTION = `&copy; <a href="https://stamen.com/">Stamen Design</a> ${STADIA_ATTRIBUTION}`;
+const CARTO_ATTRIBUTION = `${OSM_ATTRIBUTION} &copy; <a href="https://carto.com/attributions">CARTO</a>`;
+
+function stadia(style, key) {
+  return `https://tiles.stadiamaps.com/tiles/${style}/{z}/{x}/{y}{r}.png?api_key=${key}`;
+}
+
+export const BASEMAPS = [
+  {
+    key: "light",
+    label: "Light",
+    dark: false,
+    // The light styles get the saturated-water boost from index.css
+    className: "basemap-boost",
+    keyed: (k) => ({ url: stadia("alidade_smooth", k), attribution: STADIA_ATTRIBUTION, maxZoom: 20, bulkDownload: true }),
+    free: { url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png", attribution: OSM_ATTRIBUTION, maxZoom: 19 },
+  },
+  {
+    key: "dark",
+    label: "Dark",
+    dark: true,
+    keyed: (k) => ({ url: stadia("alidade_smooth_dark", k), attribution: STADIA_ATTRIBUTION, maxZoom: 20, bulkDownload: true }),
+    free: {
+      url: "https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png",
+      subdomains: "abcd",
+      attribution: CARTO_ATTRIBUTION,
+      maxZoom: 20,
+    },
+  },
+  {
+    key: "terrain",
+    label: "Terrain",
+    dark: false,
+    keyed: (k) => ({ url: stadia("stamen_terrain", k), attribution: STAMEN_ATTRIBUTION, maxZoom: 18, bulkDownload: true }),
+    free: {
+      url: "https://{s}.tile.opentopomap.org/{z}/{x}/{y}.png",
+      attribution: `${OSM_ATTRIBUTION}, SRTM | &copy; <a href="https://opentopomap.org">OpenTopoMap</a>`,
+      maxZoom: 17,
+    },
+  },
+  {
+    key: "satellite",
+    label: "Satellite",
+    dark: true,
+    free: {
+      url: "https://server.arcgisonline.com/ArcGIS/rest/services/World_Imagery/MapServer/tile/{z}/{y}/{x}",
+      attribution: "Tiles &copy; Esri — Source: Esri, Maxar, Earthstar Geographics, and the GIS User Community",
+      maxZoom: 19,
+    },
+  },
+  {
+    key: "contrast",
+    label: "High contrast",
+    dark: false,
+    keyed: (k) => ({ url: stadia("stamen_toner", k), attribution: STAMEN_ATTRIBUTION, maxZoom: 20, bulkDownload: true }),
+    // No keyless toner, so the OSM style is pushed to greyscale + contrast in CSS
+    free: {
+      url: "https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png",
+      attribution: OSM_ATTRIBUTION,
+      maxZoom: 19,
+      className: "basemap-contrast",
+    },
+  },
+];
+
+export const DEFAULT_BASEMAP = "light";
+
+// Everything <TileLayer> needs for one basemap: { key, label, dark, url,
+// attribution, maxZoom, subdomains, className, bulkDownload }
+export function resolveBasemap(key, stadiaKey) {
+  const base = BASEMAPS.find((b) => b.key === key) ?? BASEMAPS.find((b) => b.key === DEFAULT_BASEMAP);
+  const source = stadiaKey && base.keyed ? base.keyed(stadiaKey) : base.free;
+  return {
+    key: base.key,
+    label: base.label,
+    dark: base.dark,
+    subdomains: "abc",
+    className: base.className ?? "",
+    bulkDownload: false,
+    ...source,
+  };
+}
@@ -0,0 +1,116 @@
+// crawl.js — an ordered multi-stop food crawl: distances, ordering and exports
+//
+// A crawl is just an ordered list of place ids; `stops` below are the places
+// themselves. Distances are straight lines, not walking routes.
+
+import { escapeXml } from "./exportFormats.js";
+import { hasCoords, haversineMiles } from "./geo.js";
+
+// Google's directions link takes an origin, a destination and up to 9 waypoints
+export const MAX_CRAWL_STOPS = 10;
+
+function point(p) {
+  return [Number(p.lat), Number(p.lon)];
+}
+
+// "Name address" — what Maps searches for; shared with the single-spot link
+export function mapsQuery(place) {
+  return `${place.name} ${place.address || ""}`.trim();
+}
+
+// One entry per consecutive pair; `miles` is null when either end has no pin
+export function crawlLegs(stops) {
+  const legs = [];
+  for (let i = 1; i < stops.length; i++) {
+    const a = stops[i - 1];
+    const b = stops[i];
+    legs.push({
+      from: a.id,
+      to: b.id,
+      miles: hasCoords(a) && hasCoords(b) ? haversineMiles(...point(a), ...point(b)) : null,
+    });
+  }
+  return legs;
+}
+
+export function crawlDistance(stops) {
+  return crawlLegs(stops).reduce((sum, l) => sum + (l.miles ?? 0), 0);
+}
+
+// Nearest-neighbour tour from the first stop. Stops without a pin keep their
+// relative order at the end.
+export function optimizeCrawl(stops) {
+  if (stops.length < 3) return stops;
+  const pinned = stops.filter(hasCoords);
+  const rest = stops.filter((p) => !hasCoords(p));
+  if (!pinned.length) return stops;
+
+  const out = [pinned[0]];
+  const left = pinned.slice(1);
+  while (left.length) {
+    const here = point(out[out.length - 1]);
+    let best = 0;
+    let bestMiles = Infinity;
+    left.forEach((p, i) => {
+      const d = haversineMiles(...here, ...point(p));
+      if (d < bestMiles) {
+        bestMiles = d;
+        best = i;
+      }
+    });
+    out.push(left.splice(best, 1)[0]);
+  }
+  return [...out, ...rest];
+}
+
+// Swap a stop with its neighbour; `delta` is -1 (earlier) or 1 (later)
+export function moveStop(ids, id, delta) {
+  const i = ids.indexOf(id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= ids.length) return ids;
+  const next = [...ids];
+  [next[i], next[j]] = [next[j], next[i]];
+  return next;
+}
+
+// Multi-stop directions link (walking)
+export function crawlMapsLink(stops) {
+  const list = stops.slice(0, MAX_CRAWL_STOPS);
+  if (!list.length) return "";
+  const enc = (p) => encodeURIComponent(mapsQuery(p));
+  const origin = list[0];
+  const destination = list[list.length - 1];
+  const waypoints = list.slice(1, -1).map(enc).join("|");
+  return (
+    `https://www.google.com/maps/dir/?api=1&origin=${enc(origin)}&destination=${enc(destination)}` +
+    (waypoints ? `&waypoints=${waypoints}` : "") +
+    "&travelmode=walking"
+  );
+}
+
+// GPX 1.1: each stop as a waypoint, plus a route through them in order
+export function crawlGpx(stops, name = "Food crawl") {
+  const pinned = stops.filter(hasCoords);
+  const pt = (tag, p) => {
+    const [lat, lon] = point(p);
+    const desc = [p.address, (p.cuisine || []).join(", ")].filter(Boolean).join(" — ");
+    return (
+      `  <${tag} lat="${lat}" lon="${lon}">\n` +
+      `    <name>${escapeXml(p.name)}</name>\n` +
+      (desc ? `    <desc>${escapeXml(desc)}</desc>\n` : "") +
+      `  </${tag}>`
+    );
+  };
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="aleks-food-map" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...pinned.map((p) => pt("wpt", p)),
+    `  <rte>`,
+    `    <name>${escapeXml(name)}</name>`,
+    ...pinned.map((p) => pt("rtept", p).replace(/^/gm, "  ")),
+    `  </rte>`,
+    `</gpx>`,
+    "",
+  ].join("\n");
+}
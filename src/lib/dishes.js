@@ -0,0 +1,45 @@
+// dishes.js — structured "what to order" data per place
+//
+// Dish: { name, rating: 1–10 | null, pricePaid: number | null, mustOrder: boolean, photo: string | null }
+
+export function makeDish(fields = {}) {
+  return {
+    name: String(fields.name || "").trim(),
+    rating: fields.rating ?? null,
+    pricePaid: fields.pricePaid ?? null,
+    mustOrder: !!fields.mustOrder,
+    photo: fields.photo || null,
+  };
+}
+
+function byRating(a, b) {
+  return (Number(b.rating) || 0) - (Number(a.rating) || 0);
+}
+
+// Must-order dishes first, best rated first
+export function topDishes(place, limit = 3) {
+  const list = Array.isArray(place.dishes) ? place.dishes : [];
+  return list
+    .filter((d) => d.mustOrder)
+    .sort(byRating)
+    .slice(0, limit);
+}
+
+// Best rated dishes across every place, each tagged with where it's from
+export function bestDishes(places, limit = 10) {
+  const all = [];
+  for (const p of places) {
+    for (const d of p.dishes || []) {
+      if (typeof d.rating === "number" && d.rating > 0) {
+        all.push({ ...d, placeId: p.id, placeName: p.name });
+      }
+    }
+  }
+  return all
+    .sort((a, b) => byRating(a, b) || Number(b.mustOrder) - Number(a.mustOrder))
+    .slice(0, limit);
+}
+
+export function dishNames(place) {
+  return (place.dishes || []).map((d) => d.name).filter(Boolean);
+}
@@ -0,0 +1,154 @@
+// exportFormats.js — write a list of places as places.json, GeoJSON, KML, GPX or CSV
+//
+// GeoJSON and CSV use the Places.json field names, so importPlaces.js reads
+// them straight back. KML carries the fields as ExtendedData, which Google My
+// Maps shows as columns; GPX gets one waypoint per spot.
+
+import { hasCoords } from "./geo.js";
+
+export const EXPORT_FORMATS = [
+  { key: "json", label: "places.json", ext: "json", type: "application/json" },
+  { key: "geojson", label: "GeoJSON", ext: "geojson", type: "application/geo+json" },
+  { key: "kml", label: "KML (Google My Maps)", ext: "kml", type: "application/vnd.google-earth.kml+xml" },
+  { key: "gpx", label: "GPX waypoints", ext: "gpx", type: "application/gpx+xml" },
+  { key: "csv", label: "CSV", ext: "csv", type: "text/csv" },
+];
+
+// Flat columns for CSV and KML, in Places.json order
+export const FLAT_FIELDS = [
+  "id",
+  "name",
+  "address",
+  "lat",
+  "lon",
+  "city",
+  "neighborhood",
+  "cuisine",
+  "tags",
+  "visitedAt",
+  "rating",
+  "price",
+  "wouldReturn",
+  "notes",
+  "website",
+  "phone",
+  "photo",
+];
+
+export function escapeXml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// One field as a single cell of text; lists are "; "-joined so commas in names survive
+function flat(v) {
+  if (v == null) return "";
+  if (Array.isArray(v)) return v.join("; ");
+  return String(v);
+}
+
+function summary(p) {
+  const lines = [
+    [p.rating != null ? `${p.rating}/10` : "New", p.price ? "$".repeat(p.price) : null].filter(Boolean).join(" · "),
+    (p.cuisine || []).join(", "),
+    p.address,
+    p.notes,
+    p.website,
+  ];
+  return lines.filter(Boolean).join("\n");
+}
+
+// -------------------- formats --------------------
+
+export function toGeoJSON(places) {
+  return {
+    type: "FeatureCollection",
+    features: places.filter(hasCoords).map((p) => {
+      const { lat, lon, ...properties } = p;
+      return {
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [Number(lon), Number(lat)] },
+        properties,
+      };
+    }),
+  };
+}
+
+export function toKml(places, name = "Food map") {
+  const placemark = (p) =>
+    [
+      `    <Placemark>`,
+      `      <name>${escapeXml(p.name)}</name>`,
+      `      <description>${escapeXml(summary(p))}</description>`,
+      `      <ExtendedData>`,
+      ...FLAT_FIELDS.filter((f) => f !== "lat" && f !== "lon" && flat(p[f]) !== "").map(
+        (f) => `        <Data name="${f}"><value>${escapeXml(flat(p[f]))}</value></Data>`
+      ),
+      `      </ExtendedData>`,
+      `      <Point><coordinates>${Number(p.lon)},${Number(p.lat)},0</coordinates></Point>`,
+      `    </Placemark>`,
+    ].join("\n");
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<kml xmlns="http://www.opengis.net/kml/2.2">`,
+    `  <Document>`,
+    `    <name>${escapeXml(name)}</name>`,
+    ...places.filter(hasCoords).map(placemark),
+    `  </Document>`,
+    `</kml>`,
+    "",
+  ].join("\n");
+}
+
+// GPX 1.1 waypoints; `type` carries the first cuisine so GPS apps can group them
+export function toGpx(places, name = "Food map") {
+  const wpt = (p) =>
+    [
+      `  <wpt lat="${Number(p.lat)}" lon="${Number(p.lon)}">`,
+      p.visitedAt ? `    <time>${escapeXml(p.visitedAt)}T00:00:00Z</time>` : null,
+      `    <name>${escapeXml(p.name)}</name>`,
+      `    <desc>${escapeXml(summary(p))}</desc>`,
+      p.website ? `    <link href="${escapeXml(p.website)}"><text>Website</text></link>` : null,
+      p.cuisine?.length ? `    <type>${escapeXml(p.cuisine[0])}</type>` : null,
+      `  </wpt>`,
+    ]
+      .filter(Boolean)
+      .join("\n");
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<gpx version="1.1" creator="aleks-food-map" xmlns="http://www.topografix.com/GPX/1/1">`,
+    `  <metadata><name>${escapeXml(name)}</name></metadata>`,
+    ...places.filter(hasCoords).map(wpt),
+    `</gpx>`,
+    "",
+  ].join("\n");
+}
+
+// Quoted where needed; text that a spreadsheet would run as a formula gets a leading '
+function csvCell(v) {
+  let s = flat(v);
+  if (/^[=+\-@]/.test(s) && !Number.isFinite(Number(s))) s = `'${s}`;
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function toCsv(places) {
+  const rows = [FLAT_FIELDS, ...places.map((p) => FLAT_FIELDS.map((f) => p[f]))];
+  return rows.map((r) => r.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+// { text, type, ext } for one of EXPORT_FORMATS
+export function serializePlaces(format, places, name) {
+  const f = EXPORT_FORMATS.find((x) => x.key === format) ?? EXPORT_FORMATS[0];
+  let text;
+  if (f.key === "geojson") text = JSON.stringify(toGeoJSON(places), null, 2);
+  else if (f.key === "kml") text = toKml(places, name);
+  else if (f.key === "gpx") text = toGpx(places, name);
+  else if (f.key === "csv") text = toCsv(places);
+  else text = JSON.stringify(places, null, 2);
+  return { text, type: f.type, ext: f.ext };
+}
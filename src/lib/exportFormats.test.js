@@ -0,0 +1,102 @@
+import { XMLParser } from "fast-xml-parser";
+import { describe, expect, it } from "vitest";
+
+import placesData from "../data/Places.json";
+import { FLAT_FIELDS, serializePlaces } from "./exportFormats.js";
+import { guessMapping, parseImport, planImport } from "./importPlaces.js";
+
+const places = placesData;
+const xml = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@", parseTagValue: false });
+
+// Empty values come back as null, "" or [] depending on the format
+function norm(v) {
+  if (v == null || v === "" || (Array.isArray(v) && v.length === 0)) return null;
+  return v;
+}
+
+function flat(v) {
+  return norm(v) == null ? "" : Array.isArray(v) ? v.join("; ") : String(v);
+}
+
+// serialize → parseImport → planImport against an empty map
+function roundTrip(format, list) {
+  const { text, ext } = serializePlaces(format, list);
+  const parsed = parseImport(text, `food-map-all.${ext}`);
+  return planImport([], parsed.records, guessMapping(parsed.columns));
+}
+
+function expectSamePlaces(got, want) {
+  expect(got.map((p) => p.id)).toEqual(want.map((p) => p.id));
+  got.forEach((p, i) => {
+    for (const field of FLAT_FIELDS) expect(norm(p[field]), `${p.id}.${field}`).toEqual(norm(want[i][field]));
+  });
+}
+
+describe("importer round trips", () => {
+  for (const format of ["json", "geojson", "csv"]) {
+    it(`reads back everything in ${format}`, () => {
+      const plan = roundTrip(format, places);
+      expect(plan.invalid).toEqual([]);
+      expect(plan.conflicts).toEqual([]);
+      expectSamePlaces(plan.fresh, places);
+    });
+  }
+
+  it("keeps visits and dishes in places.json", () => {
+    const place = {
+      ...places[0],
+      visits: [{ date: "2026-01-02", rating: 8 }],
+      dishes: [{ name: "Tajarin", verdict: "order" }],
+    };
+    const [back] = roundTrip("json", [place]).fresh;
+    expect(back.visits).toEqual(place.visits);
+    expect(back.dishes).toEqual(place.dishes);
+  });
+
+  it("undoes the CSV formula guard", () => {
+    const place = { ...places[0], name: "=HYPERLINK(\"x\")", notes: "+1 for the bread, \"really\"" };
+    const { text } = serializePlaces("csv", [place]);
+    expect(text).toContain("'=HYPERLINK");
+    const [back] = roundTrip("csv", [place]).fresh;
+    expect(back.name).toBe(place.name);
+    expect(back.notes).toBe(place.notes);
+  });
+});
+
+// The importer doesn't read KML or GPX; check them with an XML parser instead
+describe("XML formats", () => {
+  const mapped = places.filter((p) => Number.isFinite(p.lat) && Number.isFinite(p.lon));
+
+  it("writes one KML placemark per spot with its fields as ExtendedData", () => {
+    const doc = xml.parse(serializePlaces("kml", places, "Food & drink <test>").text);
+    expect(doc.kml.Document.name).toBe("Food & drink <test>");
+    const marks = [doc.kml.Document.Placemark].flat();
+    expect(marks).toHaveLength(mapped.length);
+
+    marks.forEach((mark, i) => {
+      const p = mapped[i];
+      expect(mark.name).toBe(p.name);
+      const [lon, lat] = mark.Point.coordinates.split(",").map(Number);
+      expect([lat, lon]).toEqual([p.lat, p.lon]);
+      const data = Object.fromEntries([mark.ExtendedData.Data].flat().map((d) => [d["@name"], d.value]));
+      for (const field of FLAT_FIELDS.filter((f) => f !== "lat" && f !== "lon")) {
+        expect(data[field] ?? "", `${p.id}.${field}`).toBe(flat(p[field]));
+      }
+    });
+  });
+
+  it("writes one GPX waypoint per spot", () => {
+    const doc = xml.parse(serializePlaces("gpx", places).text);
+    expect(doc.gpx["@version"]).toBe("1.1");
+    const wpts = [doc.gpx.wpt].flat();
+    expect(wpts).toHaveLength(mapped.length);
+
+    wpts.forEach((w, i) => {
+      const p = mapped[i];
+      expect(w.name).toBe(p.name);
+      expect([Number(w["@lat"]), Number(w["@lon"])]).toEqual([p.lat, p.lon]);
+      if (p.visitedAt) expect(w.time).toBe(`${p.visitedAt}T00:00:00Z`);
+      if (p.website) expect(w.link["@href"]).toBe(p.website);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+// filters.js — sidebar filters and sorts, kept pure so scripts/benchMarkers.mjs can time them
+
+import { compileQuery, parseQuery } from "./query.js";
+
+export function filterPlaces(places, { q = "", locationQ = "", prices = [], minRating = 0, index = null }) {
+  // q is a query-language string; invalid terms are skipped (see query.js)
+  const matches = compileQuery(parseQuery(q), index);
+  const lq = locationQ.trim().toLowerCase();
+  return places.filter((p) => {
+    // Location fuzzy filter
+    if (lq) {
+      const locHay = [p.city, p.neighborhood, p.address].filter(Boolean).join(" ").toLowerCase();
+      if (!locHay.includes(lq)) return false;
+    }
+
+    // Price multi-select
+    if (prices.length > 0 && !prices.includes(Number(p.price || 0))) return false;
+
+    const r = typeof p.rating === "number" ? p.rating : 0;
+    if (minRating > 0 && r < minRating) return false;
+
+    return matches(p);
+  });
+}
+
+// `distances` (id → miles from the user, see distancesFrom) drives "Nearest";
+// `scores` (id → relevance, from scoreQuery) drives the "Best match" sort
+export function sortPlaces(list, sort, distances = null, scores = null) {
+  const arr = [...list];
+  if (sort === "relevance" && scores?.size) {
+    arr.sort(
+      (a, b) =>
+        (scores.get(b.id) || 0) - (scores.get(a.id) || 0) ||
+        (Number(b.rating) || -1) - (Number(a.rating) || -1)
+    );
+    return arr;
+  }
+  if (sort === "name") {
+    arr.sort((a, b) => (a.name || "").localeCompare(b.name || ""));
+    return arr;
+  }
+  if (sort === "recent") {
+    // visitedAt is derived from the latest visit
+    arr.sort((a, b) => (b.visitedAt || "").localeCompare(a.visitedAt || ""));
+    return arr;
+  }
+  if (sort === "nearest") {
+    if (!distances?.size) return arr;
+    // Unpinned places sort last
+    arr.sort((a, b) => (distances.get(a.id) ?? Infinity) - (distances.get(b.id) ?? Infinity));
+    return arr;
+  }
+  if (sort === "lowest") {
+    arr.sort((a, b) => (Number(a.rating) || 0) - (Number(b.rating) || 0));
+    return arr;
+  }
+  arr.sort((a, b) => (Number(b.rating) || -1) - (Number(a.rating) || -1));
+  return arr;
+}
@@ -0,0 +1,39 @@
+// geo.js — small geometry helpers shared across the app and scripts
+
+export function haversineMiles(lat1, lon1, lat2, lon2) {
+  const R = 3958.8; // miles
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLon / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(a));
+}
+
+export function hasCoords(p) {
+  return Number.isFinite(Number(p.lat)) && Number.isFinite(Number(p.lon));
+}
+
+// id → miles from `loc`, computed once so sorts and filters can look it up.
+// Places without coordinates are left out.
+export function distancesFrom(places, loc) {
+  const out = new Map();
+  if (!loc) return out;
+  for (const p of places) {
+    if (hasCoords(p)) out.set(p.id, haversineMiles(loc.lat, loc.lon, Number(p.lat), Number(p.lon)));
+  }
+  return out;
+}
+
+// Initial compass bearing from a to b, degrees clockwise from north
+export function bearingDegrees(lat1, lon1, lat2, lon2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const y = Math.sin(toRad(lon2 - lon1)) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lon2 - lon1));
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
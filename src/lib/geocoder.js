@@ -0,0 +1,298 @@
+// geocoder.js — provider interface shared by the in-app "Add spot" drawer and scripts/addPlace.mjs
+//
+// A provider is a plain object:
+//   search(text)       → Promise<Candidate[]>
+//   reverse(lat, lon)  → Promise<Candidate | null>
+//   enrich(candidate)  → Promise<Candidate>   (adds cuisine/tags/website/phone when it can)
+//
+// Candidate: { name, address, lat, lon, city, neighborhood, categories, website, phone }
+// plus, after enrich(), `inferName`: the matched POI's own name, which cuisine
+// and tags are guessed from before the search result's name.
+
+import { makeVisit } from "./visits.js";
+
+export function todayISO() {
+  return new Date().toISOString().slice(0, 10); // YYYY-MM-DD
+}
+
+export function slugify(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)/g, "");
+}
+
+export function pickCity(p) {
+  return (
+    p.city ||
+    p.town ||
+    p.village ||
+    p.hamlet ||
+    p.municipality ||
+    p.locality ||
+    null
+  );
+}
+
+export function pickNeighborhood(p) {
+  return (
+    p.neighbourhood || // Geoapify often uses this spelling
+    p.neighborhood ||
+    p.suburb ||
+    p.district ||
+    p.quarter ||
+    p.borough ||
+    p.city_district ||
+    null
+  );
+}
+
+const CATEGORY_TAG_MAP = [
+  ["catering.restaurant", "restaurant"],
+  ["catering.cafe", "cafe"],
+  ["catering.fast_food", "fast-food"],
+  ["catering.bar", "bar"],
+  ["catering.pub", "pub"],
+  ["catering.ice_cream", "ice-cream"],
+  ["catering.bakery", "bakery"],
+  ["catering.food_court", "food-court"],
+];
+
+const CUISINE_KEYWORDS = {
+  italian: "Italian",
+  mexican: "Mexican",
+  thai: "Thai",
+  korean: "Korean",
+  chinese: "Chinese",
+  japanese: "Japanese",
+  vietnamese: "Vietnamese",
+  indian: "Indian",
+  greek: "Greek",
+  mediterranean: "Mediterranean",
+  turkish: "Turkish",
+  lebanese: "Lebanese",
+  ethiopian: "Ethiopian",
+  french: "French",
+  spanish: "Spanish",
+  ramen: "Ramen",
+  sushi: "Sushi",
+  pizza: "Pizza",
+  taco: "Tacos",
+  tacos: "Tacos",
+  burger: "Burgers",
+  bbq: "BBQ",
+  seafood: "Seafood",
+  steak: "Steakhouse",
+};
+
+export function deriveTagsAndCuisine(pick) {
+  const categories = Array.isArray(pick.categories) ? pick.categories : [];
+  const tags = new Set();
+  const cuisines = new Set();
+
+  // Broad tags from categories
+  for (const [prefix, tag] of CATEGORY_TAG_MAP) {
+    if (categories.some((c) => String(c).startsWith(prefix))) tags.add(tag);
+  }
+
+  // Try to infer cuisine from categories + name
+  const hay = `${categories.join(" ")} ${(pick.inferName || pick.name || pick.formatted || "")}`.toLowerCase();
+  for (const [k, label] of Object.entries(CUISINE_KEYWORDS)) {
+    if (hay.includes(k)) {
+      cuisines.add(label);
+      tags.add(k === "tacos" ? "tacos" : k);
+    }
+  }
+
+  return {
+    tags: Array.from(tags).sort(),
+    cuisine: Array.from(cuisines).sort(),
+  };
+}
+
+// Raw Geoapify result → Candidate
+function toCandidate(r) {
+  return {
+    name: r.name || r.address_line1 || r.formatted || "",
+    address: r.formatted || "",
+    lat: Number(r.lat),
+    lon: Number(r.lon),
+    city: pickCity(r),
+    neighborhood: pickNeighborhood(r),
+    categories: Array.isArray(r.categories) ? r.categories : [],
+    website: r.website ?? null,
+    phone: r.contact?.phone ?? r.phone ?? null,
+  };
+}
+
+// Candidate + the user's own fields → a record in the Places.json shape
+export function candidateToPlace(candidate, fields = {}) {
+  const { tags, cuisine } = deriveTagsAndCuisine(candidate);
+  const name = fields.name || candidate.name || candidate.address;
+  const visitedAt = fields.visitedAt || todayISO();
+  const rating = fields.rating ?? null;
+
+  return {
+    // slugify keeps only a-z0-9, so a name like "すきやばし次郎" needs the fallback
+    id: `${slugify(name) || "spot"}-${Date.now()}`,
+    name,
+    address: candidate.address || null,
+    lat: candidate.lat,
+    lon: candidate.lon,
+
+    // Auto-filled extras
+    city: candidate.city ?? null,
+    neighborhood: candidate.neighborhood ?? null,
+    cuisine: fields.cuisine ?? cuisine,
+    tags: fields.tags ?? tags,
+    visitedAt,
+
+    // Your fields
+    price: fields.price ?? null,
+    rating,
+    wouldReturn: fields.wouldReturn ?? null,
+    notes: fields.notes ?? "",
+
+    website: candidate.website ?? null,
+    phone: candidate.phone ?? null,
+    photo: fields.photo ?? null,
+    visits: [makeVisit({ date: visitedAt, rating })],
+  };
+}
+
+// "us,ca, JP" → ["us", "ca", "jp"]; "", "any" or "*" → [] (no filter)
+export function parseCountryCodes(raw) {
+  const list = Array.isArray(raw) ? raw : String(raw ?? "").split(",");
+  const codes = list.map((c) => String(c).trim().toLowerCase()).filter(Boolean);
+  if (codes.some((c) => c === "any" || c === "*")) return [];
+  return codes.filter((c) => /^[a-z]{2}$/.test(c));
+}
+
+// -------------------- Geoapify (live) --------------------
+
+// `countryCode` limits search results: one code, a comma list or an array; empty/"any" searches everywhere
+export function createGeoapifyGeocoder({
+  apiKey,
+  countryCode = "us",
+  fetchImpl = (...args) => globalThis.fetch(...args),
+} = {}) {
+  if (!apiKey) throw new Error("Missing Geoapify API key");
+  const countries = parseCountryCodes(countryCode);
+
+  async function getJSON(url) {
+    const res = await fetchImpl(url);
+    if (!res.ok) throw new Error(`Geoapify error: ${res.status} ${await res.text()}`);
+    return res.json();
+  }
+
+  return {
+    name: "geoapify",
+
+    async search(text, { limit = 5 } = {}) {
+      const params = {
+        text,
+        limit: String(limit),
+        format: "json",
+        apiKey,
+      };
+      if (countries.length) params.filter = `countrycode:${countries.join(",")}`;
+
+      const json = await getJSON(
+        "https://api.geoapify.com/v1/geocode/autocomplete?" + new URLSearchParams(params)
+      );
+      return (json.results || []).map(toCandidate);
+    },
+
+    async reverse(lat, lon) {
+      const json = await getJSON(
+        "https://api.geoapify.com/v1/geocode/reverse?" +
+          new URLSearchParams({ lat: String(lat), lon: String(lon), format: "json", apiKey })
+      );
+      const r = json.results?.[0];
+      return r ? { ...toCandidate(r), lat, lon } : null;
+    },
+
+    // Richer POI lookup for categories/website/phone
+    async enrich(candidate) {
+      const { lat, lon } = candidate;
+      // Geoapify Places uses lon,lat order in filters/bias
+      const url =
+        "https://api.geoapify.com/v2/places?" +
+        new URLSearchParams({
+          categories: "catering",
+          filter: `circle:${lon},${lat},80`, // radius meters
+          bias: `proximity:${lon},${lat}`,
+          limit: "10",
+          apiKey,
+        });
+
+      let features = [];
+      try {
+        features = (await getJSON(url)).features || [];
+      } catch {
+        return candidate;
+      }
+      if (!features.length) return candidate;
+
+      // Prefer closest by 'distance' if present
+      features.sort(
+        (a, b) => (a.properties?.distance ?? Number.POSITIVE_INFINITY) -
+                  (b.properties?.distance ?? Number.POSITIVE_INFINITY)
+      );
+
+      const poi = features[0]?.properties;
+      if (!poi) return candidate;
+
+      return {
+        ...candidate,
+        name: candidate.name || poi.name,
+        inferName: poi.name || candidate.name,
+        categories: poi.categories?.length ? poi.categories : candidate.categories,
+        website: poi.website ?? candidate.website,
+        phone: poi.contact?.phone ?? candidate.phone,
+      };
+    },
+  };
+}
+
+// -------------------- Local stand-in --------------------
+
+// Answers from an in-memory list of Candidates. Used when no API key is set,
+// and by anything that should not touch the network.
+export function createStaticGeocoder(entries = []) {
+  const list = entries.map((e) => ({
+    categories: [],
+    website: null,
+    phone: null,
+    city: null,
+    neighborhood: null,
+    ...e,
+  }));
+
+  return {
+    name: "static",
+
+    async search(text, { limit = 5 } = {}) {
+      const qq = String(text || "").trim().toLowerCase();
+      if (!qq) return [];
+      return list
+        .filter((e) => `${e.name} ${e.address || ""}`.toLowerCase().includes(qq))
+        .slice(0, limit);
+    },
+
+    async reverse(lat, lon) {
+      let best = null;
+      let bestD = Infinity;
+      for (const e of list) {
+        const d = Math.abs(e.lat - lat) + Math.abs(e.lon - lon);
+        if (d < bestD) { best = e; bestD = d; }
+      }
+      // ~100m in degrees; anything farther is not "this spot"
+      return best && bestD < 0.002 ? { ...best, lat, lon } : null;
+    },
+
+    async enrich(candidate) {
+      return candidate;
+    },
+  };
+}
@@ -0,0 +1,138 @@
+import { describe, expect, it } from "vitest";
+
+import {
+  candidateToPlace,
+  createGeoapifyGeocoder,
+  createStaticGeocoder,
+  deriveTagsAndCuisine,
+  parseCountryCodes,
+} from "./geocoder.js";
+import { validatePlace } from "./placeSchema.js";
+
+const KASHIBA = {
+  name: "Kashiba",
+  address: "86 Pine St, Seattle, WA 98101",
+  lat: 47.6097,
+  lon: -122.3422,
+  city: "Seattle",
+  neighborhood: "Downtown",
+  categories: ["catering.restaurant"],
+};
+
+// Geoapify stand-in: records the URLs asked for and answers by endpoint
+function fakeFetch(answers) {
+  const urls = [];
+  const fetchImpl = async (url) => {
+    urls.push(new URL(url));
+    const body = Object.entries(answers).find(([path]) => url.includes(path))?.[1] ?? {};
+    return { ok: true, json: async () => body, text: async () => "" };
+  };
+  return { urls, fetchImpl };
+}
+
+describe("candidateToPlace", () => {
+  it("builds a valid Places.json record with a first visit", () => {
+    const place = candidateToPlace(KASHIBA, { rating: 9, visitedAt: "2026-03-01" });
+    expect(validatePlace(place).filter((x) => x.severity === "error")).toEqual([]);
+    expect(place.id).toMatch(/^kashiba-\d+$/);
+    expect(place.visits).toEqual([
+      { date: "2026-03-01", rating: 9, dishes: [], partySize: null, notes: "" },
+    ]);
+    expect(place.wouldReturn).toBeNull();
+  });
+
+  it("falls back to a spot- id when the name has no Latin letters", () => {
+    const place = candidateToPlace({ ...KASHIBA, name: "すきやばし次郎" });
+    expect(place.id).toMatch(/^spot-\d+$/);
+    expect(place.name).toBe("すきやばし次郎");
+    expect(validatePlace(place).filter((x) => x.severity === "error")).toEqual([]);
+  });
+
+  it("lets the user's fields win over guesses", () => {
+    const place = candidateToPlace({ ...KASHIBA, name: "Sushi Kashiba" }, { name: "Kashiba", cuisine: ["Omakase"], tags: [] });
+    expect(place.name).toBe("Kashiba");
+    expect(place.cuisine).toEqual(["Omakase"]);
+    expect(place.tags).toEqual([]);
+  });
+
+  it("guesses cuisine and tags from the POI name before the search name", () => {
+    const place = candidateToPlace({ ...KASHIBA, inferName: "Sushi Kashiba" });
+    expect(place.name).toBe("Kashiba");
+    expect(place.cuisine).toEqual(["Sushi"]);
+    expect(place.tags).toEqual(["restaurant", "sushi"]);
+  });
+});
+
+describe("deriveTagsAndCuisine", () => {
+  it("uses categories and the name", () => {
+    expect(deriveTagsAndCuisine({ name: "Thai Tom", categories: ["catering.restaurant.thai"] })).toEqual({
+      tags: ["restaurant", "thai"],
+      cuisine: ["Thai"],
+    });
+  });
+});
+
+describe("parseCountryCodes", () => {
+  it("normalizes lists and drops junk", () => {
+    expect(parseCountryCodes("us,ca, JP")).toEqual(["us", "ca", "jp"]);
+    expect(parseCountryCodes(["US", "usa", ""])).toEqual(["us"]);
+  });
+
+  it("treats empty, any and * as no filter", () => {
+    expect(parseCountryCodes("")).toEqual([]);
+    expect(parseCountryCodes("any")).toEqual([]);
+    expect(parseCountryCodes("us,*")).toEqual([]);
+  });
+});
+
+describe("createGeoapifyGeocoder", () => {
+  it("filters search by country code", async () => {
+    const { urls, fetchImpl } = fakeFetch({ autocomplete: { results: [] } });
+    await createGeoapifyGeocoder({ apiKey: "k", countryCode: "jp,us", fetchImpl }).search("ramen");
+    await createGeoapifyGeocoder({ apiKey: "k", countryCode: "any", fetchImpl }).search("ramen");
+    expect(urls[0].searchParams.get("filter")).toBe("countrycode:jp,us");
+    expect(urls[1].searchParams.has("filter")).toBe(false);
+  });
+
+  it("keeps the search name but carries the POI name for guessing", async () => {
+    const { fetchImpl } = fakeFetch({
+      "v2/places": {
+        features: [
+          { properties: { name: "Far Away Tacos", distance: 70 } },
+          { properties: { name: "Sushi Kashiba", distance: 5, categories: ["catering.restaurant"], website: "https://sushikashiba.com" } },
+        ],
+      },
+    });
+    const enriched = await createGeoapifyGeocoder({ apiKey: "k", fetchImpl }).enrich({ ...KASHIBA, categories: [] });
+    expect(enriched.name).toBe("Kashiba");
+    expect(enriched.inferName).toBe("Sushi Kashiba");
+    expect(enriched.website).toBe("https://sushikashiba.com");
+    expect(candidateToPlace(enriched).cuisine).toEqual(["Sushi"]);
+  });
+
+  it("returns the candidate untouched when the POI lookup fails", async () => {
+    const fetchImpl = async () => ({ ok: false, status: 500, text: async () => "down" });
+    const geo = createGeoapifyGeocoder({ apiKey: "k", fetchImpl });
+    expect(await geo.enrich(KASHIBA)).toBe(KASHIBA);
+  });
+});
+
+describe("createStaticGeocoder", () => {
+  const geo = createStaticGeocoder([KASHIBA, { name: "Spinasse", address: "1531 14th Ave", lat: 47.6148, lon: -122.3141 }]);
+
+  it("searches names and addresses", async () => {
+    expect((await geo.search("pine st")).map((c) => c.name)).toEqual(["Kashiba"]);
+    expect(await geo.search("  ")).toEqual([]);
+  });
+
+  it("reverse-geocodes only nearby spots", async () => {
+    expect((await geo.reverse(47.6149, -122.3142))?.name).toBe("Spinasse");
+    expect(await geo.reverse(47.7, -122.3)).toBeNull();
+  });
+
+  it("fills defaults so candidateToPlace gets a full candidate", async () => {
+    const [spinasse] = await geo.search("spinasse");
+    const place = candidateToPlace(await geo.enrich(spinasse));
+    expect(place).toMatchObject({ website: null, phone: null, city: null, cuisine: [], tags: [] });
+  });
+});
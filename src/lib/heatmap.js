@@ -0,0 +1,74 @@
+// heatmap.js — point weights and the color ramp for the density overlay
+//
+// The overlay is drawn by components/HeatmapLayer.jsx: each place stamps a
+// soft dot whose opacity is its weight, the overlaps add up, and the summed
+// alpha is looked up in a palette built from the marker color stops.
+
+import { hasCoords } from "./geo.js";
+
+export const HEAT_WEIGHTS = [
+  { value: "rating", label: "Rating" },
+  { value: "visits", label: "Visits" },
+  { value: "wouldReturn", label: "Return" },
+];
+
+export const HEAT_RADIUS_RANGE = { min: 10, max: 60 }; // px
+export const HEAT_INTENSITY_RANGE = { min: 0.2, max: 3 };
+
+export const DEFAULT_HEATMAP = { on: false, by: "rating", radius: 28, intensity: 1 };
+
+// Coerce stored settings back into range
+export function normalizeHeatmap(value) {
+  const v = value && typeof value === "object" ? value : {};
+  const clamp = (n, { min, max }, fallback) => (Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : fallback);
+  return {
+    on: v.on === true,
+    by: HEAT_WEIGHTS.some((w) => w.value === v.by) ? v.by : DEFAULT_HEATMAP.by,
+    radius: clamp(Number(v.radius), HEAT_RADIUS_RANGE, DEFAULT_HEATMAP.radius),
+    intensity: clamp(Number(v.intensity), HEAT_INTENSITY_RANGE, DEFAULT_HEATMAP.intensity),
+  };
+}
+
+function visitCount(p) {
+  return Array.isArray(p.visits) && p.visits.length ? p.visits.length : p.visitedAt ? 1 : 0;
+}
+
+// [{ lat, lon, w }] with w in 0–1; places that weigh nothing are left out.
+// Visits are scaled to the busiest place in `places`, so the filtered set sets the scale.
+export function heatPoints(places, by) {
+  const maxVisits = by === "visits" ? Math.max(1, ...places.map(visitCount)) : 1;
+  const out = [];
+  for (const p of places) {
+    if (!hasCoords(p)) continue;
+    let w = 0;
+    if (by === "visits") w = visitCount(p) / maxVisits;
+    else if (by === "wouldReturn") w = p.wouldReturn === true ? 1 : 0;
+    else {
+      const r = Number(p.rating);
+      w = Number.isFinite(r) && r > 0 ? Math.max(0, Math.min(1, (r - 1) / 9)) : 0;
+    }
+    if (w > 0) out.push({ lat: p.lat, lon: p.lon, w });
+  }
+  return out;
+}
+
+// 256 RGBA entries along `stops` ([{ at, hex }], as in App's COLOR_STOPS).
+// Alpha ramps in over the first third so thin coverage fades out instead of ending in a hard edge.
+export function heatPalette(stops) {
+  const out = new Uint8ClampedArray(256 * 4);
+  for (let i = 0; i < 256; i++) {
+    const t = i / 255;
+    let j = 0;
+    while (j < stops.length - 2 && t > stops[j + 1].at) j++;
+    const a = stops[j], b = stops[j + 1];
+    const local = b.at === a.at ? 1 : Math.max(0, Math.min(1, (t - a.at) / (b.at - a.at)));
+    for (let c = 0; c < 3; c++) {
+      const shift = 16 - c * 8;
+      const from = (a.hex >> shift) & 0xff;
+      const to = (b.hex >> shift) & 0xff;
+      out[i * 4 + c] = Math.round(from + (to - from) * local);
+    }
+    out[i * 4 + 3] = Math.round(255 * Math.min(1, t * 3));
+  }
+  return out;
+}
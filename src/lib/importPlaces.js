@@ -0,0 +1,337 @@
+// importPlaces.js — read someone else's list (places.json, CSV or GeoJSON) and
+// plan how it merges into ours
+//
+// parseImport() turns file text into flat records plus their column names.
+// A mapping ({ field: column }) says which column fills which place field;
+// guessMapping() fills it from common header names. planImport() then splits
+// the mapped places into new spots, conflicts with spots we already have
+// (same name-plus-proximity rule as isNearDuplicate) and rows that can't be used.
+
+import { slugify } from "./geocoder.js";
+import { findNearDuplicate } from "./places.js";
+import { validatePlace } from "./placeSchema.js";
+import { makeVisit } from "./visits.js";
+
+// Fields an imported column can fill, in dialog order
+export const IMPORT_FIELDS = [
+  "name",
+  "lat",
+  "lon",
+  "address",
+  "city",
+  "neighborhood",
+  "cuisine",
+  "tags",
+  "visitedAt",
+  "rating",
+  "price",
+  "wouldReturn",
+  "notes",
+  "website",
+  "phone",
+  "photo",
+];
+
+// Fields compared side by side when an import matches a spot we already have
+export const MERGE_FIELDS = IMPORT_FIELDS.filter((f) => f !== "lat" && f !== "lon");
+
+// Header names (lowercased, non-alphanumerics dropped) that map to a field
+const SYNONYMS = {
+  name: ["name", "title", "place", "restaurant", "spot"],
+  lat: ["lat", "latitude", "y"],
+  lon: ["lon", "lng", "long", "longitude", "x"],
+  address: ["address", "addr", "street", "location"],
+  city: ["city", "town"],
+  neighborhood: ["neighborhood", "neighbourhood", "area", "district"],
+  cuisine: ["cuisine", "cuisines", "category", "categories", "type"],
+  tags: ["tags", "labels", "tag"],
+  visitedAt: ["visitedat", "visited", "date", "lastvisit", "visitdate"],
+  rating: ["rating", "score", "stars"],
+  price: ["price", "pricelevel", "cost"],
+  wouldReturn: ["wouldreturn", "return", "revisit"],
+  notes: ["notes", "note", "comment", "comments", "description", "review"],
+  website: ["website", "url", "link", "web"],
+  phone: ["phone", "tel", "telephone"],
+  photo: ["photo", "image", "picture", "img"],
+};
+
+function normHeader(s) {
+  return String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+// -------------------- parsing --------------------
+
+// RFC 4180-ish: quoted cells, "" escapes, commas and newlines inside quotes
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+function columnsOf(records) {
+  const seen = new Set();
+  for (const r of records) for (const k of Object.keys(r)) seen.add(k);
+  return [...seen];
+}
+
+function fromFeatureCollection(fc) {
+  const records = [];
+  for (const f of fc.features || []) {
+    const coords = f?.geometry?.type === "Point" ? f.geometry.coordinates : null;
+    const props = f?.properties && typeof f.properties === "object" ? f.properties : {};
+    records.push({ ...props, ...(coords ? { lon: coords[0], lat: coords[1] } : {}) });
+  }
+  return records;
+}
+
+// File text → { format: "json" | "geojson" | "csv", columns, records }.
+// Throws with a readable message when the file isn't one of the three.
+export function parseImport(text, filename = "") {
+  const trimmed = String(text || "").trim();
+  if (!trimmed) throw new Error("The file is empty.");
+
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+    let data;
+    try {
+      data = JSON.parse(trimmed);
+    } catch {
+      throw new Error("The file looks like JSON but couldn't be parsed.");
+    }
+    if (data?.type === "FeatureCollection") {
+      const records = fromFeatureCollection(data);
+      return { format: "geojson", columns: columnsOf(records), records };
+    }
+    const list = Array.isArray(data) ? data : Array.isArray(data?.places) ? data.places : null;
+    if (!list) throw new Error("Expected an array of places or a GeoJSON FeatureCollection.");
+    const records = list.filter((r) => r && typeof r === "object" && !Array.isArray(r));
+    return { format: "json", columns: columnsOf(records), records };
+  }
+
+  if (/\.(json|geojson)$/i.test(filename)) throw new Error("The file looks like JSON but couldn't be parsed.");
+
+  const rows = parseCsv(trimmed);
+  if (rows.length < 2) throw new Error("The CSV needs a header row and at least one place.");
+  const headers = rows[0].map((h, i) => h.trim() || `Column ${i + 1}`);
+  const records = rows.slice(1).map((r) => Object.fromEntries(headers.map((h, i) => [h, r[i] ?? ""])));
+  return { format: "csv", columns: headers, records };
+}
+
+// { field: column | "" } from header names
+export function guessMapping(columns) {
+  const byNorm = new Map(columns.map((c) => [normHeader(c), c]));
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const hit = [normHeader(field), ...SYNONYMS[field]].find((s) => byNorm.has(s));
+    mapping[field] = hit ? byNorm.get(hit) : "";
+  }
+  return mapping;
+}
+
+// -------------------- records → places --------------------
+
+function text(v) {
+  if (v == null) return null;
+  // Our CSV export guards formula-like text with a leading '
+  const s = String(v).trim().replace(/^'(?=[=+\-@])/, "");
+  return s || null;
+}
+
+function number(v) {
+  if (typeof v === "number") return Number.isFinite(v) ? v : null;
+  const s = text(v);
+  if (s == null) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function list(v) {
+  if (Array.isArray(v)) return v.map(text).filter(Boolean);
+  const s = text(v);
+  return s ? s.split(/[;|,]/).map((x) => x.trim()).filter(Boolean) : [];
+}
+
+function bool(v) {
+  if (typeof v === "boolean") return v;
+  const s = text(v)?.toLowerCase();
+  if (s == null) return null;
+  if (["true", "yes", "y", "1"].includes(s)) return true;
+  if (["false", "no", "n", "0"].includes(s)) return false;
+  return null;
+}
+
+// 2, "2" or "$$" → 2
+function price(v) {
+  const s = text(v);
+  if (s == null) return null;
+  const n = /^\$+$/.test(s) ? s.length : Math.round(Number(s));
+  return Number.isInteger(n) && n >= 1 && n <= 4 ? n : null;
+}
+
+// ISO dates pass through; anything Date can read becomes YYYY-MM-DD. Date.parse
+// reads "3/10/2026" as local midnight, so format from local parts, not toISOString()
+function date(v) {
+  const s = text(v);
+  if (s == null) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s)) return s;
+  const t = Date.parse(s);
+  if (!Number.isFinite(t)) return s;
+  const d = new Date(t);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+const COERCE = {
+  lat: number,
+  lon: number,
+  cuisine: list,
+  tags: (v) => list(v).map((t) => t.toLowerCase()),
+  visitedAt: date,
+  rating: number,
+  price,
+  wouldReturn: bool,
+  notes: (v) => text(v) ?? "",
+};
+
+// One mapped record in the Places.json shape (id left to planImport)
+export function recordToPlace(record, mapping) {
+  const place = {};
+  for (const field of IMPORT_FIELDS) {
+    const column = mapping[field];
+    const raw = column ? record[column] : undefined;
+    place[field] = (COERCE[field] || text)(raw);
+  }
+  // A places.json export carries the full history; keep it
+  if (Array.isArray(record.visits)) place.visits = record.visits;
+  else if (place.visitedAt) place.visits = [makeVisit({ date: place.visitedAt, rating: place.rating })];
+  if (Array.isArray(record.dishes)) place.dishes = record.dishes;
+  place.id = text(record.id);
+  return place;
+}
+
+function uniqueId(place, taken) {
+  const wanted = place.id && /^[a-z0-9][a-z0-9-]*$/.test(place.id) ? place.id : slugify(place.name) || "spot";
+  let id = wanted;
+  for (let n = 2; taken.has(id); n++) id = `${wanted}-${n}`;
+  taken.add(id);
+  return id;
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function isEmpty(v) {
+  return v == null || v === "" || (Array.isArray(v) && v.length === 0);
+}
+
+// Fields where theirs has a value and it differs from mine
+export function conflictFields(mine, theirs) {
+  return MERGE_FIELDS.filter((f) => !isEmpty(theirs[f]) && !same(mine[f], theirs[f]));
+}
+
+// Schema error that taking theirs[field] would put on mine, if any
+function fieldProblem(mine, theirs, field) {
+  const at = `$.${field}`;
+  return validatePlace({ ...mine, [field]: theirs[field] }).find(
+    (x) => x.severity === "error" && (x.path === at || x.path.startsWith(`${at}.`) || x.path.startsWith(`${at}[`))
+  );
+}
+
+// {
+//   fresh:     places to add,
+//   conflicts: [{ mine, theirs, fields }] — same spot, some fields differ,
+//   unchanged: imported spots we already have as-is,
+//   invalid:   [{ row, name, reason }] (row is 1-based, after the CSV header)
+// }
+// A conflicting value that fails the schema never becomes a choice: it is
+// reported in `invalid` and mine is kept for that field.
+export function planImport(existing, records, mapping) {
+  const taken = new Set(existing.map((p) => p.id));
+  const fresh = [];
+  const conflicts = [];
+  const unchanged = [];
+  const invalid = [];
+
+  records.forEach((record, i) => {
+    const place = recordToPlace(record, mapping);
+    const row = i + 1;
+    if (!place.name || place.lat == null || place.lon == null) {
+      invalid.push({ row, name: place.name, reason: "needs a name, latitude and longitude" });
+      return;
+    }
+
+    const mine = findNearDuplicate(existing, place);
+    if (mine) {
+      const fields = [];
+      for (const field of conflictFields(mine, place)) {
+        const problem = fieldProblem(mine, place, field);
+        if (problem) invalid.push({ row, name: place.name, reason: `${field} ${problem.message} (kept yours)` });
+        else fields.push(field);
+      }
+      if (fields.length) conflicts.push({ mine, theirs: place, fields });
+      else unchanged.push(mine);
+      return;
+    }
+    // Same rule inside the file itself: the first copy wins
+    if (findNearDuplicate(fresh, place)) return;
+
+    const candidate = Object.fromEntries(Object.entries(place).filter(([, v]) => v != null));
+    candidate.id = uniqueId(place, taken);
+    const problem = validatePlace(candidate).find((x) => x.severity === "error");
+    if (problem) {
+      invalid.push({ row, name: place.name, reason: `${problem.path.replace(/^\$\./, "")} ${problem.message}` });
+      taken.delete(candidate.id);
+      return;
+    }
+    fresh.push(candidate);
+  });
+
+  return { fresh, conflicts, unchanged, invalid };
+}
+
+// Patch for a resolved conflict: `choices` is { field: "mine" | "theirs" }
+export function resolveConflict(conflict, choices) {
+  const patch = {};
+  for (const field of conflict.fields) {
+    if (choices[field] === "theirs") patch[field] = conflict.theirs[field];
+  }
+  return patch;
+}
+
+export function defaultChoices(conflict, side = "mine") {
+  return Object.fromEntries(conflict.fields.map((f) => [f, side]));
+}
@@ -0,0 +1,60 @@
+import { afterAll, beforeAll, describe, expect, it } from "vitest";
+
+import { guessMapping, parseImport, planImport, recordToPlace } from "./importPlaces.js";
+
+// Tests run in their own process, so the zone change stays in this file
+const realTZ = process.env.TZ;
+
+describe("dates east of UTC", () => {
+  beforeAll(() => {
+    process.env.TZ = "Asia/Tokyo";
+  });
+  afterAll(() => {
+    if (realTZ === undefined) delete process.env.TZ;
+    else process.env.TZ = realTZ;
+  });
+
+  it("runs in Tokyo time", () => {
+    expect(new Date(2026, 2, 10).getTimezoneOffset()).toBe(-540);
+  });
+
+  it("keeps the calendar day of a non-ISO date", () => {
+    const mapping = { name: "name", visitedAt: "date" };
+    for (const raw of ["3/10/2026", "March 10, 2026", "10 Mar 2026"]) {
+      const place = recordToPlace({ name: "Spinasse", date: raw }, mapping);
+      expect(place.visitedAt, raw).toBe("2026-03-10");
+      expect(place.visits[0].date, raw).toBe("2026-03-10");
+    }
+  });
+
+  it("passes ISO dates through untouched", () => {
+    const place = recordToPlace({ name: "Spinasse", date: "2026-03-10" }, { name: "name", visitedAt: "date" });
+    expect(place.visitedAt).toBe("2026-03-10");
+  });
+});
+
+describe("conflicts", () => {
+  const mine = {
+    id: "spinasse",
+    name: "Spinasse",
+    lat: 47.6148,
+    lon: -122.3141,
+    cuisine: ["Italian"],
+    tags: [],
+    notes: "",
+    website: "https://www.spinasse.com",
+    visitedAt: "2026-03-10",
+  };
+
+  it("reports values that fail the schema instead of offering them", () => {
+    const csv = `name,lat,lon,website,visitedAt,notes\nSpinasse,47.6148,-122.3141,javascript:alert(1),sometime,new note\n`;
+    const parsed = parseImport(csv, "x.csv");
+    const plan = planImport([mine], parsed.records, guessMapping(parsed.columns));
+
+    expect(plan.conflicts.map((c) => c.fields)).toEqual([["notes"]]);
+    expect(plan.invalid.map((x) => x.reason)).toEqual([
+      expect.stringMatching(/^visitedAt .* \(kept yours\)$/),
+      expect.stringMatching(/^website .* \(kept yours\)$/),
+    ]);
+  });
+});
@@ -0,0 +1,138 @@
+// journal.js — undo/redo history for the local overlay, and the pending-changes diff
+//
+// The overlay is { edits, additions } (see mergePlaces). Every change is an
+// entry { at, label, changes: [{ id, before, after }] } where before/after are
+// one place's slice of the overlay, { edit, addition }. Undo writes the
+// `before` slices back, redo the `after` ones. Entries before `cursor` are
+// applied; anything past it can be redone until the next new change.
+
+import { migrateVisits, sortVisits } from "./visits.js";
+
+export const MAX_JOURNAL = 100;
+
+export function emptyJournal() {
+  return { entries: [], cursor: 0 };
+}
+
+// Coerce a stored journal back into shape
+export function normalizeJournal(value) {
+  const entries = Array.isArray(value?.entries)
+    ? value.entries.filter((e) => e && typeof e.label === "string" && Array.isArray(e.changes))
+    : [];
+  const cursor = Number.isInteger(value?.cursor) ? Math.max(0, Math.min(entries.length, value.cursor)) : entries.length;
+  return { entries, cursor };
+}
+
+// One place's slice of the overlay
+export function snapshotOf(overlay, id) {
+  return {
+    edit: overlay.edits?.[id] ?? null,
+    addition: (overlay.additions || []).find((p) => p.id === id) ?? null,
+  };
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Entry for the move from `before` to `after`; null when none of `ids` changed
+export function makeEntry(label, ids, before, after, at = new Date().toISOString()) {
+  const changes = [];
+  for (const id of new Set(ids)) {
+    const b = snapshotOf(before, id);
+    const a = snapshotOf(after, id);
+    if (!same(b, a)) changes.push({ id, before: b, after: a });
+  }
+  return changes.length ? { at, label, changes } : null;
+}
+
+// Drops the redo tail, then the oldest entries past MAX_JOURNAL
+export function recordEntry(journal, entry) {
+  const entries = [...journal.entries.slice(0, journal.cursor), entry].slice(-MAX_JOURNAL);
+  return { entries, cursor: entries.length };
+}
+
+// Overlay with `fields` merged into one place's edit patch
+export function withEdit(overlay, id, fields) {
+  return { ...overlay, edits: { ...(overlay.edits || {}), [id]: { ...(overlay.edits?.[id] || {}), ...fields } } };
+}
+
+// Write each change's `side` ("before" | "after") into the overlay
+export function applyChanges(overlay, changes, side) {
+  const edits = { ...(overlay.edits || {}) };
+  let additions = [...(overlay.additions || [])];
+  for (const change of changes) {
+    const snap = change[side];
+    if (snap.edit) edits[change.id] = snap.edit;
+    else delete edits[change.id];
+
+    const at = additions.findIndex((p) => p.id === change.id);
+    if (snap.addition && at >= 0) additions[at] = snap.addition;
+    else if (snap.addition) additions.push(snap.addition);
+    else if (at >= 0) additions = additions.filter((p) => p.id !== change.id);
+  }
+  return { edits, additions };
+}
+
+export function canUndo(journal) {
+  return journal.cursor > 0;
+}
+
+export function canRedo(journal) {
+  return journal.cursor < journal.entries.length;
+}
+
+// { entry, journal } for the step back, or null
+export function undoStep(journal) {
+  if (!canUndo(journal)) return null;
+  return { entry: journal.entries[journal.cursor - 1], journal: { ...journal, cursor: journal.cursor - 1 } };
+}
+
+export function redoStep(journal) {
+  if (!canRedo(journal)) return null;
+  return { entry: journal.entries[journal.cursor], journal: { ...journal, cursor: journal.cursor + 1 } };
+}
+
+// -------------------- pending changes --------------------
+
+// Every place the overlay touches, with field-level before/after against the base file:
+// [{ id, name, added, fields: [{ field, before, after }] }]
+export function pendingChanges(base, merged, edits) {
+  const baseById = new Map((base || []).map((p) => [p.id, p]));
+  const out = [];
+  for (const p of merged) {
+    const original = baseById.get(p.id);
+    if (!original) {
+      out.push({ id: p.id, name: p.name, added: true, fields: [] });
+      continue;
+    }
+    const patch = edits?.[p.id];
+    if (!patch) continue;
+    // Old records have no visits array until migrated; compare like with like
+    const before = migrateVisits(original);
+    const fields = Object.keys(patch)
+      .filter((f) => !same(before[f], p[f]))
+      .map((f) => ({ field: f, before: before[f] ?? null, after: p[f] ?? null }));
+    if (fields.length) out.push({ id: p.id, name: p.name, added: false, fields });
+  }
+  return out;
+}
+
+function plural(n, one, many = `${one}s`) {
+  return `${n} ${n === 1 ? one : many}`;
+}
+
+// Short display text for one side of a field diff
+export function formatDiffValue(field, v) {
+  if (v == null || v === "") return "—";
+  if (field === "visits") {
+    const latest = sortVisits(v)[0];
+    if (!latest) return "—";
+    return `${plural(v.length, "visit")}, latest ${latest.date}${latest.rating != null ? ` rated ${latest.rating}` : ""}`;
+  }
+  if (field === "dishes") return plural(v.length, "dish", "dishes");
+  if (Array.isArray(v)) return v.length ? v.join(", ") : "—";
+  if (typeof v === "boolean") return v ? "Yes" : "No";
+  if (field === "price") return "$".repeat(v);
+  return String(v);
+}
@@ -0,0 +1,182 @@
+// location.js — where the user is: the geolocation provider and live tracking
+//
+// Everything takes a provider with the navigator.geolocation shape
+// (getCurrentPosition / watchPosition / clearWatch), so tests and CI can swap in
+// createFakeGeolocation instead of a real GPS.
+//
+// Locations are { lat, lon, accuracy (metres), heading (degrees or null) }.
+
+import { bearingDegrees, haversineMiles } from "./geo.js";
+
+export const GEO_OPTIONS = { enableHighAccuracy: true, timeout: 8000 };
+const WATCH_OPTIONS = { enableHighAccuracy: true, maximumAge: 5000, timeout: 20000 };
+
+// Tracking ignores GPS jitter smaller than this…
+const MIN_MOVE_MILES = 0.006; // ~10 m
+// …and reports at most this often
+const MIN_INTERVAL_MS = 2000;
+
+export function movedMiles(a, b) {
+  if (!a || !b) return Infinity;
+  return haversineMiles(a.lat, a.lon, b.lat, b.lon);
+}
+
+// GeolocationPosition → location. Browsers only report a heading while moving
+// (and some never do), so fall back to the direction travelled since `prev`.
+export function toLocation(pos, prev = null) {
+  const c = pos.coords;
+  const loc = {
+    lat: c.latitude,
+    lon: c.longitude,
+    accuracy: Number.isFinite(c.accuracy) ? c.accuracy : null,
+    heading: Number.isFinite(c.heading) ? c.heading : null,
+  };
+  if (loc.heading == null && prev) {
+    loc.heading = movedMiles(prev, loc) >= MIN_MOVE_MILES
+      ? bearingDegrees(prev.lat, prev.lon, loc.lat, loc.lon)
+      : prev.heading;
+  }
+  return loc;
+}
+
+// Wraps watchPosition: drops jitter, throttles to one update per interval (the
+// latest fix wins) and hands back a stop() that cancels everything.
+export function createLocationTracker(
+  geo,
+  { onUpdate, onError, minMoveMiles = MIN_MOVE_MILES, minIntervalMs = MIN_INTERVAL_MS } = {}
+) {
+  let last = null;
+  let lastAt = 0;
+  let pending = null;
+  let timer = null;
+  let stopped = false;
+
+  function emit(loc) {
+    // Anything still waiting is older than `loc`
+    clearTimeout(timer);
+    timer = null;
+    pending = null;
+    last = loc;
+    lastAt = Date.now();
+    onUpdate(loc);
+  }
+
+  function flush() {
+    timer = null;
+    if (pending && !stopped) emit(pending);
+    pending = null;
+  }
+
+  function handle(pos) {
+    if (stopped) return;
+    const next = toLocation(pos, last);
+    // A much better accuracy is worth reporting even without movement
+    const sharper = last?.accuracy != null && next.accuracy != null && next.accuracy < last.accuracy / 2;
+    if (last && movedMiles(last, next) < minMoveMiles && !sharper) return;
+
+    const wait = minIntervalMs - (Date.now() - lastAt);
+    if (wait <= 0) {
+      emit(next);
+      return;
+    }
+    pending = next;
+    if (!timer) timer = setTimeout(flush, wait);
+  }
+
+  const id = geo.watchPosition(handle, (err) => !stopped && onError?.(err), WATCH_OPTIONS);
+
+  return {
+    stop() {
+      stopped = true;
+      geo.clearWatch(id);
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+    },
+  };
+}
+
+// -------------------- fake provider --------------------
+
+// A short walk through Capitol Hill, used when VITE_FAKE_GEOLOCATION=demo
+const DEMO_TRACK = [
+  [47.6142, -122.3206],
+  [47.6148, -122.3192],
+  [47.6153, -122.3178],
+  [47.6160, -122.3166],
+  [47.6169, -122.3160],
+  [47.6178, -122.3156],
+  [47.6187, -122.3152],
+  [47.6196, -122.3149],
+];
+
+function fakePosition([lat, lon, accuracy = 12]) {
+  return {
+    coords: { latitude: lat, longitude: lon, accuracy, heading: null, speed: null, altitude: null, altitudeAccuracy: null },
+    timestamp: Date.now(),
+  };
+}
+
+// Each watch replays `track` ([[lat, lon, accuracy?], …]) from the start, one
+// point per `intervalMs`, then stays on the last point; getCurrentPosition
+// reports wherever the latest watch got to. `denied: true` fails every request
+// like a blocked prompt.
+export function createFakeGeolocation(track = DEMO_TRACK, { intervalMs = 1500, denied = false } = {}) {
+  let latest = 0;
+  const watches = new Map();
+  let nextId = 1;
+
+  const at = (step) => fakePosition(track[Math.min(step, track.length - 1)]);
+  const deny = (error) => setTimeout(() => error?.({ code: 1, message: "User denied Geolocation" }), 0);
+
+  return {
+    getCurrentPosition(success, error) {
+      if (denied) return deny(error);
+      setTimeout(() => success(at(latest)), 0);
+    },
+    watchPosition(success, error) {
+      const id = nextId++;
+      if (denied) {
+        deny(error);
+        return id;
+      }
+      let step = 0;
+      latest = 0;
+      setTimeout(() => watches.has(id) && success(at(step)), 0);
+      const timer = setInterval(() => {
+        if (step < track.length - 1) step += 1;
+        latest = step;
+        success(at(step));
+      }, intervalMs);
+      watches.set(id, timer);
+      return id;
+    },
+    clearWatch(id) {
+      clearInterval(watches.get(id));
+      watches.delete(id);
+    },
+    // For tests: how many watches are still running
+    get activeWatches() {
+      return watches.size;
+    },
+  };
+}
+
+// The real provider, or a fake one when the build (VITE_FAKE_GEOLOCATION=demo
+// or a JSON track) or the page asks for it: a browser test can set
+// window.__FAKE_GEOLOCATION__ to a track before the app loads.
+export function pickGeolocation(setting) {
+  const injected = typeof window !== "undefined" ? window.__FAKE_GEOLOCATION__ : null;
+  if (Array.isArray(injected)) return createFakeGeolocation(injected);
+  if (setting === "denied") return createFakeGeolocation(DEMO_TRACK, { denied: true });
+  if (setting === "demo" || setting === "1") return createFakeGeolocation();
+  if (setting) {
+    try {
+      const track = JSON.parse(setting);
+      if (Array.isArray(track) && track.length) return createFakeGeolocation(track);
+    } catch {
+      // fall through to the real thing
+    }
+  }
+  return typeof navigator !== "undefined" ? navigator.geolocation ?? null : null;
+}
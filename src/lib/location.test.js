@@ -0,0 +1,116 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+import { createFakeGeolocation, createLocationTracker, movedMiles } from "./location.js";
+
+// Northward steps of ~0.07 mi, well past the jitter threshold
+const WALK = Array.from({ length: 10 }, (_, i) => [47.6142 + i * 0.001, -122.3206]);
+// Fixes a metre or two apart, i.e. standing still
+const JITTER = Array.from({ length: 6 }, (_, i) => [47.6142 + (i % 2) * 0.00001, -122.3206]);
+
+const T0 = 1_000_000;
+
+function track(geo, options) {
+  const updates = [];
+  const tracker = createLocationTracker(geo, {
+    onUpdate: (loc) => updates.push({ ...loc, at: Date.now() - T0 }),
+    ...options,
+  });
+  return { updates, tracker };
+}
+
+describe("createLocationTracker with the fake provider", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(T0);
+  });
+  afterEach(() => vi.useRealTimers());
+
+  it("throttles to one update per interval and keeps the latest fix", () => {
+    const geo = createFakeGeolocation(WALK, { intervalMs: 500 });
+    const { updates, tracker } = track(geo, { minIntervalMs: 2000 });
+
+    vi.advanceTimersByTime(4000);
+    tracker.stop();
+
+    expect(updates.map((u) => u.at)).toEqual([0, 2000, 4000]);
+    expect(updates.map((u) => u.lat)).toEqual([WALK[0][0], WALK[4][0], WALK[8][0]]);
+  });
+
+  it("ignores jitter below the movement threshold", () => {
+    const geo = createFakeGeolocation(JITTER, { intervalMs: 100 });
+    const { updates, tracker } = track(geo, { minIntervalMs: 0 });
+
+    vi.advanceTimersByTime(1000);
+    tracker.stop();
+
+    expect(updates).toHaveLength(1);
+    expect(movedMiles(updates[0], { lat: JITTER[1][0], lon: JITTER[1][1] })).toBeLessThan(0.006);
+  });
+
+  it("reports a much sharper fix even without movement", () => {
+    const geo = createFakeGeolocation(
+      [
+        [47.6142, -122.3206, 80],
+        [47.6142, -122.3206, 10],
+      ],
+      { intervalMs: 100 }
+    );
+    const { updates, tracker } = track(geo, { minIntervalMs: 0 });
+
+    vi.advanceTimersByTime(300);
+    tracker.stop();
+
+    expect(updates.map((u) => u.accuracy)).toEqual([80, 10]);
+  });
+
+  it("derives a heading from the direction travelled", () => {
+    const geo = createFakeGeolocation(WALK, { intervalMs: 100 });
+    const { updates, tracker } = track(geo, { minIntervalMs: 0 });
+
+    vi.advanceTimersByTime(200);
+    tracker.stop();
+
+    expect(updates[0].heading).toBeNull();
+    expect(updates[1].heading).toBeCloseTo(0, 0); // due north
+  });
+
+  it("clears the watch and drops a pending update on stop()", () => {
+    const geo = createFakeGeolocation(WALK, { intervalMs: 500 });
+    const { updates, tracker } = track(geo, { minIntervalMs: 2000 });
+
+    vi.advanceTimersByTime(600); // one fix sent, one waiting for the interval
+    expect(geo.activeWatches).toBe(1);
+    tracker.stop();
+
+    expect(geo.activeWatches).toBe(0);
+    vi.advanceTimersByTime(5000);
+    expect(updates).toHaveLength(1);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+
+  it("starts the track over when tracking is turned back on", () => {
+    const geo = createFakeGeolocation(WALK, { intervalMs: 100 });
+    const first = track(geo, { minIntervalMs: 0 });
+    vi.advanceTimersByTime(2000);
+    first.tracker.stop();
+
+    const second = track(geo, { minIntervalMs: 0 });
+    vi.advanceTimersByTime(0);
+    second.tracker.stop();
+
+    expect(first.updates.at(-1).lat).toBe(WALK.at(-1)[0]);
+    expect(second.updates[0].lat).toBe(WALK[0][0]);
+  });
+
+  it("fails every request when denied", () => {
+    const geo = createFakeGeolocation(WALK, { denied: true });
+    const onError = vi.fn();
+    const { updates, tracker } = track(geo, { onError });
+
+    vi.advanceTimersByTime(100);
+    tracker.stop();
+
+    expect(updates).toEqual([]);
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ code: 1 }));
+  });
+});
@@ -0,0 +1,32 @@
+// markers.js — which places get a map marker, and a cache so icons are built once
+
+import { hasCoords } from "./geo.js";
+
+// Places with coordinates that survived the filters, in dataset order.
+// Set membership keeps this O(n) instead of a nested scan per marker.
+export function visibleMarkers(placesWithCoords, shown) {
+  const ids = new Set();
+  for (const p of shown) ids.add(p.id);
+  return placesWithCoords.filter((p) => ids.has(p.id) && hasCoords(p));
+}
+
+// Icons only depend on (rating, selected, price); each combination is built once
+// and the same object is handed back, so react-leaflet skips setIcon on re-render.
+export function createIconCache(factory) {
+  const cache = new Map();
+  return {
+    get(rating, selected, price) {
+      const r = Number(rating);
+      const key = `${Number.isFinite(r) ? r : ""}|${selected ? 1 : 0}|${Number(price) || 0}`;
+      let icon = cache.get(key);
+      if (!icon) {
+        icon = factory(rating, selected, price);
+        cache.set(key, icon);
+      }
+      return icon;
+    },
+    get size() {
+      return cache.size;
+    },
+  };
+}
@@ -0,0 +1,149 @@
+// metros.js — the city/metro switcher, derived from where the pins actually are
+//
+// Pins are grouped greedily: a pin joins the first metro whose centre is within
+// METRO_RADIUS_MILES, otherwise it starts a new one. A group whose centre falls
+// inside a metro from the region config (regions.json → properties.metros) takes
+// that metro's key, label, bounds and region chips; any other group becomes an
+// ad-hoc metro named after its most common city, framed by its own pins.
+//
+// "World" is the overview across every metro.
+
+import { slugify } from "./geocoder.js";
+import { hasCoords, haversineMiles } from "./geo.js";
+
+export const WORLD = "world";
+
+const METRO_RADIUS_MILES = 60;
+// Ad-hoc metros get at least this much room around their pins (degrees)
+const MIN_PAD_DEG = 0.05;
+
+function contains(bounds, lat, lon) {
+  const [[s, w], [n, e]] = bounds;
+  return lat >= s && lat <= n && lon >= w && lon <= e;
+}
+
+function extent(points) {
+  let s = Infinity, w = Infinity, n = -Infinity, e = -Infinity;
+  for (const [lat, lon] of points) {
+    s = Math.min(s, lat); n = Math.max(n, lat);
+    w = Math.min(w, lon); e = Math.max(e, lon);
+  }
+  return Number.isFinite(s) ? [[s, w], [n, e]] : null;
+}
+
+function padBounds(bounds, ratio = 0.25) {
+  if (!bounds) return null;
+  const [[s, w], [n, e]] = bounds;
+  const dLat = Math.max((n - s) * ratio, MIN_PAD_DEG);
+  const dLon = Math.max((e - w) * ratio, MIN_PAD_DEG);
+  return [[s - dLat, w - dLon], [n + dLat, e + dLon]];
+}
+
+function union(a, b) {
+  if (!a || !b) return a || b;
+  return [
+    [Math.min(a[0][0], b[0][0]), Math.min(a[0][1], b[0][1])],
+    [Math.max(a[1][0], b[1][0]), Math.max(a[1][1], b[1][1])],
+  ];
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) if (v) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  for (const [v, n] of counts) if (!best || n > best[1]) best = [v, n];
+  return best?.[0] ?? null;
+}
+
+function groupPins(places) {
+  const groups = [];
+  for (const p of places) {
+    if (!hasCoords(p)) continue;
+    const lat = Number(p.lat);
+    const lon = Number(p.lon);
+    let g = groups.find((x) => haversineMiles(x.lat, x.lon, lat, lon) <= METRO_RADIUS_MILES);
+    if (!g) {
+      g = { lat, lon, places: [] };
+      groups.push(g);
+    }
+    g.places.push(p);
+    // Running mean keeps the centre honest as the group grows
+    g.lat += (lat - g.lat) / g.places.length;
+    g.lon += (lon - g.lon) / g.places.length;
+  }
+  return groups;
+}
+
+// `configured` is regions.metros: [{ key, label, bounds, maxZoom }]
+export function deriveMetros(places, configured = []) {
+  const byKey = new Map();
+
+  for (const g of groupPins(places)) {
+    const known = configured.find((m) => m.bounds && contains(m.bounds, g.lat, g.lon));
+    const city = mostCommon(g.places.map((p) => p.city));
+    let key = known?.key ?? (slugify(city || "") || `metro-${byKey.size + 1}`);
+    // Two far-apart groups named after the same city stay separate
+    if (!known && byKey.has(key)) key = `${key}-${byKey.size + 1}`;
+
+    const metro = byKey.get(key) ?? {
+      key,
+      label: known?.label ?? city ?? "Unnamed",
+      bounds: known?.bounds ?? null,
+      maxZoom: known?.maxZoom ?? 13,
+      configured: Boolean(known),
+      ids: new Set(),
+      cities: new Set(),
+      points: [],
+    };
+    for (const p of g.places) {
+      metro.ids.add(p.id);
+      if (p.city) metro.cities.add(p.city.toLowerCase());
+      metro.points.push([Number(p.lat), Number(p.lon)]);
+    }
+    byKey.set(key, metro);
+  }
+
+  // No pins yet: still offer the configured metros
+  if (!byKey.size) {
+    for (const m of configured) {
+      byKey.set(m.key, { ...m, configured: true, ids: new Set(), cities: new Set(), points: [] });
+    }
+  }
+
+  const metros = [...byKey.values()].map((m) => {
+    const pins = padBounds(extent(m.points), 0.1);
+    return {
+      ...m,
+      bounds: m.bounds ?? padBounds(extent(m.points)),
+      // Panning limit: the configured view plus any pins that spill past it
+      maxBounds: union(m.bounds ?? padBounds(extent(m.points)), pins),
+      count: m.ids.size,
+    };
+  });
+  metros.sort((a, b) => b.count - a.count);
+
+  // Places without coordinates go to the metro that knows their city, else the biggest one
+  for (const p of places) {
+    if (hasCoords(p) || !metros.length) continue;
+    const city = (p.city || "").toLowerCase();
+    const home = metros.find((m) => city && m.cities.has(city)) ?? metros[0];
+    home.ids.add(p.id);
+    home.count = home.ids.size;
+  }
+
+  return metros;
+}
+
+// The overview: every pin, no panning limits
+export function worldView(places) {
+  const points = places.filter(hasCoords).map((p) => [Number(p.lat), Number(p.lon)]);
+  return { key: WORLD, label: "World", bounds: padBounds(extent(points), 0.1), maxBounds: null, maxZoom: 13 };
+}
+
+// Metro whose bounds contain a point (e.g. the user's location)
+export function metroAt(metros, lat, lon) {
+  return metros.find((m) => {
+    const b = m.maxBounds ?? m.bounds;
+    return b && contains(b, lat, lon);
+  }) ?? null;
+}
@@ -0,0 +1,62 @@
+// offline.js — the page side of public/sw.js: registration and tile pre-caching
+//
+// Requests go to the active worker over a MessageChannel, so each call gets its
+// own replies ({ type: "progress" | "done" | "error", … }).
+
+export function registerServiceWorker() {
+  if (!("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch(() => {
+      // No worker just means no offline mode
+    });
+  });
+}
+
+export function offlineSupported() {
+  return typeof navigator !== "undefined" && "serviceWorker" in navigator && typeof caches !== "undefined";
+}
+
+async function send(message, onReply) {
+  // getRegistration (unlike .ready) settles even when no worker was registered, e.g. in dev
+  const reg = await navigator.serviceWorker.getRegistration();
+  const worker = reg?.active;
+  if (!worker) throw new Error("Offline support isn't ready yet — reload and try again.");
+
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = (e) => {
+      const reply = e.data || {};
+      if (reply.type === "error") {
+        channel.port1.close();
+        reject(new Error(reply.message || "Offline request failed."));
+      } else if (reply.type === "done") {
+        channel.port1.close();
+        resolve(reply);
+      } else {
+        onReply?.(reply);
+      }
+    };
+    worker.postMessage(message, [channel.port2]);
+  });
+}
+
+// Resolves with { done, failed, total }; `onProgress` gets the same shape as it goes.
+// Returns { promise, cancel }.
+export function cacheTiles(urls, onProgress) {
+  const id = `tiles-${Date.now()}`;
+  const promise = send({ type: "cache-tiles", id, urls }, onProgress);
+  return {
+    promise,
+    cancel: () => send({ type: "cancel-tiles", id }).catch(() => {}),
+  };
+}
+
+export function clearTiles() {
+  return send({ type: "clear-tiles" });
+}
+
+// Resolves with { count, downloaded, viewed } — tiles currently stored; viewed
+// ones are capped and the oldest make way for new ones
+export function cachedTileCount() {
+  return send({ type: "count-tiles" });
+}
@@ -0,0 +1,121 @@
+// placeDraft.js — the edit form's working copy of a place
+//
+// A draft holds form values (strings for text and number inputs, arrays for
+// chips). fromDraft() turns it back into place fields, draftErrors() checks each
+// field against PLACE_SCHEMA for inline messages, and draftPatch() keeps only
+// what actually changed so local edits stay small overlays.
+
+import { PLACE_SCHEMA } from "./placeSchema.js";
+
+// Everything the form edits, in form order
+export const EDIT_FIELDS = [
+  "name",
+  "address",
+  "lat",
+  "lon",
+  "city",
+  "neighborhood",
+  "cuisine",
+  "tags",
+  "visitedAt",
+  "rating",
+  "price",
+  "wouldReturn",
+  "website",
+  "photo",
+  "notes",
+];
+
+function asInput(v) {
+  return v == null ? "" : String(v);
+}
+
+export function toDraft(p) {
+  return {
+    name: asInput(p.name),
+    address: asInput(p.address),
+    lat: asInput(p.lat),
+    lon: asInput(p.lon),
+    city: asInput(p.city),
+    neighborhood: asInput(p.neighborhood),
+    cuisine: [...(p.cuisine || [])],
+    tags: [...(p.tags || [])],
+    visitedAt: asInput(p.visitedAt),
+    rating: asInput(p.rating),
+    price: p.price ?? null,
+    wouldReturn: p.wouldReturn ?? false,
+    website: asInput(p.website),
+    photo: asInput(p.photo),
+    notes: asInput(p.notes),
+  };
+}
+
+function text(v) {
+  const s = String(v ?? "").trim();
+  return s || null;
+}
+
+// Blank → null; anything unparseable → NaN so the schema check flags it
+function num(v) {
+  if (v == null || String(v).trim() === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+// Form values → place fields
+export function fromDraft(d) {
+  return {
+    name: text(d.name),
+    address: text(d.address),
+    lat: num(d.lat),
+    lon: num(d.lon),
+    city: text(d.city),
+    neighborhood: text(d.neighborhood),
+    cuisine: d.cuisine,
+    tags: d.tags,
+    visitedAt: text(d.visitedAt),
+    rating: num(d.rating),
+    price: d.price ?? null,
+    wouldReturn: !!d.wouldReturn,
+    website: text(d.website),
+    photo: text(d.photo),
+    notes: d.notes || "",
+  };
+}
+
+// { field: message } for every field that wouldn't pass validatePlace.
+// Spots with logged visits keep a date, since visitedAt comes from the newest visit.
+export function draftErrors(d, { hasVisits = false } = {}) {
+  const values = fromDraft(d);
+  const out = {};
+  for (const field of EDIT_FIELDS) {
+    const rule = PLACE_SCHEMA[field];
+    const v = values[field];
+    if (v == null) {
+      if (rule.required || !rule.nullable) out[field] = "Required";
+    } else if (!rule.check(v)) {
+      out[field] = `Must be ${rule.expect}`;
+    }
+  }
+  if (hasVisits && !values.visitedAt && !out.visitedAt) out.visitedAt = "Spots with logged visits need a date";
+  return out;
+}
+
+function same(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+// Fields whose draft value differs from the place: { field: newValue }
+export function draftPatch(d, place) {
+  const values = fromDraft(d);
+  const base = fromDraft(toDraft(place));
+  const patch = {};
+  for (const field of EDIT_FIELDS) {
+    if (!same(values[field], base[field])) patch[field] = values[field];
+  }
+  return patch;
+}
+
+export function isDraftDirty(d, place) {
+  return Object.keys(draftPatch(d, place)).length > 0;
+}
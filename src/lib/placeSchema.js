@@ -0,0 +1,157 @@
+// placeSchema.js — the shape of one Places.json record, plus a validator that
+// reports every violation with the place id and a JSON path.
+//
+// Used by `npm run validate:places`, the in-app quick-edit save and scripts/addPlace.mjs.
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function isISODate(v) {
+  if (typeof v !== "string" || !ISO_DATE.test(v)) return false;
+  const d = new Date(`${v}T00:00:00Z`);
+  return !Number.isNaN(d.getTime()) && d.toISOString().slice(0, 10) === v;
+}
+
+function isHttpUrl(v) {
+  if (typeof v !== "string") return false;
+  try {
+    const u = new URL(v);
+    return u.protocol === "http:" || u.protocol === "https:";
+  } catch {
+    return false;
+  }
+}
+
+function isNonEmptyString(v) {
+  return typeof v === "string" && v.trim().length > 0;
+}
+
+function inRange(min, max) {
+  return (v) => typeof v === "number" && Number.isFinite(v) && v >= min && v <= max;
+}
+
+function stringList(v) {
+  return Array.isArray(v) && v.every(isNonEmptyString);
+}
+
+// field → { required, nullable, check, expect, items? }
+export const PLACE_SCHEMA = {
+  id:           { required: true,  nullable: false, check: (v) => isNonEmptyString(v) && /^[a-z0-9][a-z0-9-]*$/.test(v), expect: "a lowercase slug (a-z, 0-9, -)" },
+  name:         { required: true,  nullable: false, check: isNonEmptyString, expect: "a non-empty string" },
+  address:      { required: false, nullable: true,  check: (v) => typeof v === "string", expect: "a string" },
+  lat:          { required: true,  nullable: false, check: inRange(-90, 90), expect: "a number between -90 and 90" },
+  lon:          { required: true,  nullable: false, check: inRange(-180, 180), expect: "a number between -180 and 180" },
+  city:         { required: false, nullable: true,  check: isNonEmptyString, expect: "a non-empty string" },
+  neighborhood: { required: false, nullable: true,  check: isNonEmptyString, expect: "a non-empty string" },
+  cuisine:      { required: false, nullable: false, check: stringList, expect: "an array of non-empty strings" },
+  tags:         { required: false, nullable: false, check: stringList, expect: "an array of non-empty strings" },
+  visitedAt:    { required: false, nullable: true,  check: isISODate, expect: "a YYYY-MM-DD date" },
+  price:        { required: false, nullable: true,  check: (v) => Number.isInteger(v) && v >= 1 && v <= 4, expect: "an integer 1–4" },
+  rating:       { required: false, nullable: true,  check: inRange(1, 10), expect: "a number 1–10" },
+  wouldReturn:  { required: false, nullable: true,  check: (v) => typeof v === "boolean", expect: "true or false" },
+  notes:        { required: false, nullable: true,  check: (v) => typeof v === "string", expect: "a string" },
+  website:      { required: false, nullable: true,  check: isHttpUrl, expect: "an http(s) URL" },
+  phone:        { required: false, nullable: true,  check: (v) => typeof v === "string", expect: "a string" },
+  photo:        { required: false, nullable: true,  check: (v) => isNonEmptyString(v), expect: "an image URL or path" },
+  visits:       { required: false, nullable: false, check: Array.isArray, expect: "an array of visits", items: "visit" },
+  dishes:       { required: false, nullable: false, check: Array.isArray, expect: "an array of dishes", items: "dish" },
+};
+
+// One entry of place.visits
+export const VISIT_SCHEMA = {
+  date:      { required: true,  nullable: false, check: isISODate, expect: "a YYYY-MM-DD date" },
+  rating:    { required: false, nullable: true,  check: inRange(1, 10), expect: "a number 1–10" },
+  dishes:    { required: false, nullable: false, check: stringList, expect: "an array of non-empty strings" },
+  partySize: { required: false, nullable: true,  check: (v) => Number.isInteger(v) && v >= 1, expect: "a whole number ≥ 1" },
+  notes:     { required: false, nullable: true,  check: (v) => typeof v === "string", expect: "a string" },
+};
+
+// One entry of place.dishes
+export const DISH_SCHEMA = {
+  name:      { required: true,  nullable: false, check: isNonEmptyString, expect: "a non-empty string" },
+  rating:    { required: false, nullable: true,  check: inRange(1, 10), expect: "a number 1–10" },
+  pricePaid: { required: false, nullable: true,  check: (v) => typeof v === "number" && Number.isFinite(v) && v >= 0, expect: "a non-negative number" },
+  mustOrder: { required: false, nullable: false, check: (v) => typeof v === "boolean", expect: "true or false" },
+  photo:     { required: false, nullable: true,  check: isNonEmptyString, expect: "an image URL or path" },
+};
+
+const ITEM_SCHEMAS = {
+  visit: VISIT_SCHEMA,
+  dish: DISH_SCHEMA,
+};
+
+function issue(severity, id, path, message) {
+  return { severity, id: id ?? null, path, message };
+}
+
+function checkObject(obj, schema, path, id, out) {
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) {
+    out.push(issue("error", id, path, "expected an object"));
+    return;
+  }
+
+  for (const [field, rule] of Object.entries(schema)) {
+    const fieldPath = `${path}.${field}`;
+    const has = Object.prototype.hasOwnProperty.call(obj, field);
+    const v = obj[field];
+
+    if (!has || v === undefined) {
+      if (rule.required) out.push(issue("error", id, fieldPath, "is required"));
+      continue;
+    }
+    if (v === null) {
+      if (!rule.nullable) out.push(issue("error", id, fieldPath, `must be ${rule.expect}, got null`));
+      continue;
+    }
+    if (!rule.check(v)) {
+      out.push(issue("error", id, fieldPath, `must be ${rule.expect}, got ${JSON.stringify(v)}`));
+      continue;
+    }
+    if (rule.items) {
+      v.forEach((item, j) => checkObject(item, ITEM_SCHEMAS[rule.items], `${fieldPath}[${j}]`, id, out));
+    }
+  }
+
+  for (const field of Object.keys(obj)) {
+    if (!schema[field]) {
+      out.push(issue("warning", id, `${path}.${field}`, "is not a known field"));
+    }
+  }
+}
+
+// Validate one place. `path` is the JSON path of the record itself (e.g. "$[3]").
+export function validatePlace(place, path = "$") {
+  const out = [];
+  const id = typeof place?.id === "string" ? place.id : null;
+  checkObject(place, PLACE_SCHEMA, path, id, out);
+  return out;
+}
+
+// Validate the whole dataset, including cross-record rules (unique ids).
+export function validatePlaces(list) {
+  if (!Array.isArray(list)) return [issue("error", null, "$", "expected an array of places")];
+
+  const out = [];
+  const seen = new Map(); // id → first index
+
+  list.forEach((p, i) => {
+    out.push(...validatePlace(p, `$[${i}]`));
+
+    const id = p?.id;
+    if (typeof id !== "string") return;
+    if (seen.has(id)) {
+      out.push(issue("error", id, `$[${i}].id`, `duplicates the id at $[${seen.get(id)}]`));
+    } else {
+      seen.set(id, i);
+    }
+  });
+
+  return out;
+}
+
+export function hasErrors(issues) {
+  return issues.some((x) => x.severity === "error");
+}
+
+export function formatIssue(x) {
+  return `${x.severity.toUpperCase()} ${x.id ?? "(no id)"} ${x.path} ${x.message}`;
+}
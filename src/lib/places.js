@@ -0,0 +1,63 @@
+// places.js — shared place-data rules for the app and the node scripts:
+// canonical file location, merging local overlays and de-duplication.
+// File IO for node lives in scripts/lib/placesFile.mjs.
+
+// The one dataset path (relative to the repo root). App.jsx imports this file.
+export const PLACES_FILE = "src/data/Places.json";
+
+// Same name + within ~60m counts as the same spot
+const NEAR_DEGREES = 0.0006;
+
+function normName(s) {
+  return String(s || "").toLowerCase().trim();
+}
+
+export function isSamePlace(a, b) {
+  const nameA = normName(a.name);
+  const nameB = normName(b.name);
+  if (!nameA || !nameB || nameA !== nameB) return false;
+  return (
+    typeof a.lat === "number" &&
+    typeof a.lon === "number" &&
+    typeof b.lat === "number" &&
+    typeof b.lon === "number" &&
+    Math.abs(a.lat - b.lat) < NEAR_DEGREES &&
+    Math.abs(a.lon - b.lon) < NEAR_DEGREES
+  );
+}
+
+export function isNearDuplicate(existing, candidate) {
+  return existing.some((p) => isSamePlace(p, candidate));
+}
+
+export function findNearDuplicate(existing, candidate) {
+  return existing.find((p) => isSamePlace(p, candidate)) ?? null;
+}
+
+// Drop repeated ids and near-duplicates; the first occurrence wins.
+export function dedupePlaces(list) {
+  const ids = new Set();
+  const kept = [];
+  for (const p of list) {
+    if (!p || ids.has(p.id) || isNearDuplicate(kept, p)) continue;
+    ids.add(p.id);
+    kept.push(p);
+  }
+  return kept;
+}
+
+// Base dataset + locally added spots, with per-id edit patches applied on top.
+export function mergePlaces(base, additions = [], edits = {}) {
+  const all = dedupePlaces([...(base || []), ...(additions || [])]);
+  return all.map((p) => {
+    const patch = edits?.[p.id];
+    return patch ? { ...p, ...patch } : p;
+  });
+}
+
+// Append one place unless it is already there. Returns the new list and the clash, if any.
+export function appendPlace(list, place) {
+  const clash = list.find((p) => p.id === place.id) || findNearDuplicate(list, place);
+  if (clash) return { list, added: false, duplicateOf: clash };
+  return { list: [...list, place], added: true, duplicateOf: null };
+}
@@ -0,0 +1,286 @@
+// query.js — the search box query language
+//
+//   thai                     plain word, matched anywhere (name, cuisine, tags, notes, dishes…)
+//   "exact phrase"           quoted phrase, matched anywhere
+//   cuisine:thai tag:patio   field filters (cuisine, tag, hood, city, name, dish, notes)
+//   hood:"capitol hill"      quoted field value; \" and \\ inside quotes stand for " and \
+//   rating>=8 price<=2       numeric comparisons (>=, <=, >, <, =); rating:8 means 8+, price:2 means exactly $$
+//   -tag:loud                negation
+//   a b OR c                 terms are ANDed; OR splits alternatives ((a AND b) OR c)
+//
+// parseQuery() never throws: bad terms are dropped and reported with their
+// character range so the UI can highlight them.
+//
+// Plain words also go through the fuzzy search index when one is passed in,
+// so "spinase" still finds spinach.
+
+import { dishNames } from "./dishes.js";
+import { searchIndex } from "./searchIndex.js";
+
+const TEXT_FIELDS = {
+  cuisine: "cuisine",
+  tag: "tag",
+  tags: "tag",
+  hood: "hood",
+  neighborhood: "hood",
+  city: "city",
+  name: "name",
+  dish: "dish",
+  dishes: "dish",
+  note: "notes",
+  notes: "notes",
+};
+
+const NUMBER_FIELDS = {
+  rating: "rating",
+  score: "rating",
+  price: "price",
+};
+
+const FIELD_RE = /^([a-zA-Z]+)(>=|<=|>|<|=|:)/;
+
+function isSpace(ch) {
+  return ch === " " || ch === "\t" || ch === "\n";
+}
+
+function norm(s) {
+  return String(s || "").toLowerCase();
+}
+
+function tagNorm(s) {
+  return norm(s).trim().replace(/\s+/g, "-");
+}
+
+// Reads a "quoted" value starting at i (which points at the opening quote),
+// undoing the \" and \\ escapes that quote() writes
+function readQuoted(s, i) {
+  let value = "";
+  for (let j = i + 1; j < s.length; j++) {
+    if (s[j] === '"') return { value, end: j + 1, unterminated: false };
+    if (s[j] === "\\" && (s[j + 1] === '"' || s[j + 1] === "\\")) j++;
+    value += s[j];
+  }
+  return { value, end: s.length, unterminated: true };
+}
+
+function readWord(s, i) {
+  let j = i;
+  while (j < s.length && !isSpace(s[j])) j++;
+  return { value: s.slice(i, j), end: j };
+}
+
+// -------------------- parse --------------------
+
+export function parseQuery(input) {
+  const s = String(input || "");
+  const errors = [];
+  const groups = [[]];
+  let pendingOr = null; // position of an OR still waiting for a right-hand term
+
+  let i = 0;
+  while (i < s.length) {
+    if (isSpace(s[i])) { i++; continue; }
+
+    const start = i;
+    let neg = false;
+    if (s[i] === "-" && i + 1 < s.length && !isSpace(s[i + 1])) {
+      neg = true;
+      i++;
+    }
+
+    let term = null;
+
+    if (s[i] === '"') {
+      const q = readQuoted(s, i);
+      i = q.end;
+      if (q.unterminated) errors.push({ message: "Missing closing quote", start, end: i });
+      else if (!q.value.trim()) errors.push({ message: "Empty phrase", start, end: i });
+      else term = { kind: "text", value: q.value, phrase: true, neg };
+    } else {
+      const m = FIELD_RE.exec(s.slice(i));
+      if (m) {
+        const rawField = m[1].toLowerCase();
+        const op = m[2];
+        i += m[0].length;
+
+        let value;
+        if (s[i] === '"') {
+          const q = readQuoted(s, i);
+          i = q.end;
+          if (q.unterminated) errors.push({ message: "Missing closing quote", start, end: i });
+          value = q.unterminated ? null : q.value;
+        } else {
+          const w = readWord(s, i);
+          i = w.end;
+          value = w.value;
+        }
+
+        if (value == null) {
+          // already reported
+        } else if (!value.trim()) {
+          errors.push({ message: `${m[1]}${op} needs a value`, start, end: i });
+        } else if (NUMBER_FIELDS[rawField]) {
+          const n = Number(value);
+          if (!Number.isFinite(n)) {
+            errors.push({ message: `${m[1]} needs a number, got "${value}"`, start, end: i });
+          } else {
+            term = { kind: "number", field: NUMBER_FIELDS[rawField], op: op === ":" ? (rawField === "price" ? "=" : ">=") : op, value: n, neg };
+          }
+        } else if (TEXT_FIELDS[rawField]) {
+          if (op !== ":" && op !== "=") {
+            errors.push({ message: `${m[1]} can't be compared with ${op}`, start, end: i });
+          } else {
+            term = { kind: "field", field: TEXT_FIELDS[rawField], value, neg };
+          }
+        } else {
+          errors.push({ message: `Unknown field "${m[1]}"`, start, end: i });
+        }
+      } else {
+        const w = readWord(s, i);
+        i = w.end;
+        if (w.value === "OR" && !neg) {
+          if (!groups[groups.length - 1].length) {
+            errors.push({ message: "OR needs a term before it", start, end: i });
+          } else {
+            groups.push([]);
+            pendingOr = { start, end: i };
+          }
+          continue;
+        }
+        term = { kind: "text", value: w.value, phrase: false, neg };
+      }
+    }
+
+    if (term) {
+      groups[groups.length - 1].push({ ...term, start, end: i });
+      pendingOr = null;
+    }
+  }
+
+  if (pendingOr) {
+    errors.push({ message: "OR needs a term after it", ...pendingOr });
+    groups.pop();
+  }
+
+  return { groups: groups.filter((g) => g.length), errors };
+}
+
+// -------------------- format --------------------
+
+function quote(v) {
+  return `"${v.replace(/["\\]/g, "\\$&")}"`;
+}
+
+function quoteIfNeeded(v) {
+  return /[\s"]/.test(v) ? quote(v) : v;
+}
+
+function formatTerm(t) {
+  const neg = t.neg ? "-" : "";
+  if (t.kind === "text") return `${neg}${t.phrase ? quote(t.value) : t.value}`;
+  if (t.kind === "field") return `${neg}${t.field}:${quoteIfNeeded(t.value)}`;
+  return `${neg}${t.field}${t.op}${t.value}`;
+}
+
+// Canonical text for a parsed query (what goes in the URL)
+export function formatQuery(parsed) {
+  return parsed.groups.map((g) => g.map(formatTerm).join(" ")).join(" OR ");
+}
+
+// -------------------- match --------------------
+
+function haystack(p) {
+  return [
+    p.name,
+    p.address,
+    p.city,
+    p.neighborhood,
+    ...(p.cuisine || []),
+    ...(p.tags || []),
+    ...dishNames(p),
+    p.notes,
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+}
+
+function compare(a, op, b) {
+  if (op === ">=") return a >= b;
+  if (op === "<=") return a <= b;
+  if (op === ">") return a > b;
+  if (op === "<") return a < b;
+  return a === b;
+}
+
+function testTerm(t, p, hay, fuzzy) {
+  const v = norm(t.value);
+  switch (t.kind) {
+    case "text":
+      return hay().includes(v) || Boolean(fuzzy?.get(t)?.has(p.id));
+    case "number": {
+      const n = Number(p[t.field]);
+      if (p[t.field] == null || !Number.isFinite(n)) return false;
+      return compare(n, t.op, t.value);
+    }
+    default:
+      switch (t.field) {
+        case "cuisine": return (p.cuisine || []).some((c) => norm(c).includes(v));
+        case "tag":     return (p.tags || []).some((x) => tagNorm(x) === tagNorm(v));
+        case "hood":    return norm(p.neighborhood).includes(v);
+        case "city":    return norm(p.city).includes(v);
+        case "name":    return norm(p.name).includes(v);
+        case "dish":    return dishNames(p).some((d) => norm(d).includes(v));
+        case "notes":   return norm(p.notes).includes(v);
+        default:        return false;
+      }
+  }
+}
+
+function fuzzyMatches(parsed, index) {
+  if (!index) return null;
+  const out = new Map(); // plain-word term → Map<id, score>
+  for (const g of parsed.groups) {
+    for (const t of g) {
+      if (t.kind === "text" && !t.phrase) out.set(t, searchIndex(index, t.value));
+    }
+  }
+  return out;
+}
+
+// Parsed query → (place) => boolean. `index` (see searchIndex.js) enables typo tolerance.
+export function compileQuery(parsed, index = null) {
+  if (!parsed.groups.length) return () => true;
+  const fuzzy = fuzzyMatches(parsed, index);
+  return (p) => {
+    let cached = null;
+    const hay = () => (cached ??= haystack(p));
+    return parsed.groups.some((g) => g.every((t) => testTerm(t, p, hay, fuzzy) !== t.neg));
+  };
+}
+
+// Relevance for the "Best match" sort: Map<id, score>. Alternatives (OR) take the best group.
+export function scoreQuery(parsed, index) {
+  const scores = new Map();
+  if (!index) return scores;
+  for (const g of parsed.groups) {
+    const groupScores = new Map();
+    for (const t of g) {
+      if (t.neg || t.kind === "number") continue;
+      for (const [id, s] of searchIndex(index, t.value)) {
+        groupScores.set(id, (groupScores.get(id) || 0) + s);
+      }
+    }
+    for (const [id, s] of groupScores) {
+      if ((scores.get(id) || 0) < s) scores.set(id, s);
+    }
+  }
+  return scores;
+}
+
+// Words worth highlighting in results: everything the user asked for, minus negations
+export function highlightTerms(parsed) {
+  return parsed.groups.flatMap((g) =>
+    g.filter((t) => !t.neg && t.kind !== "number").map((t) => t.value)
+  );
+}
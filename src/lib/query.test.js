@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+
+import { compileQuery, formatQuery, parseQuery } from "./query.js";
+
+// Terms without their character ranges, which move when the text is reformatted
+function terms(parsed) {
+  return parsed.groups.map((g) =>
+    g.map((t) => {
+      const copy = { ...t };
+      delete copy.start;
+      delete copy.end;
+      return copy;
+    })
+  );
+}
+
+describe("formatQuery", () => {
+  const queries = [
+    'name:ab"c',
+    'name:"ab\\"c"',
+    '"say \\"hi\\""',
+    'hood:"capitol hill" -tag:loud OR rating>=8',
+    'dish:"6\\" sub" notes:"back\\\\slash here"',
+    'name:"trailing \\\\"',
+    "notes:a\\b",
+  ];
+
+  for (const q of queries) {
+    it(`round-trips ${q}`, () => {
+      const parsed = parseQuery(q);
+      expect(parsed.errors).toEqual([]);
+      const again = parseQuery(formatQuery(parsed));
+      expect(again.errors).toEqual([]);
+      expect(terms(again)).toEqual(terms(parsed));
+      expect(formatQuery(again)).toBe(formatQuery(parsed));
+    });
+  }
+
+  it("escapes quotes instead of dropping them", () => {
+    expect(formatQuery(parseQuery('name:ab"c'))).toBe('name:"ab\\"c"');
+    expect(terms(parseQuery('name:"ab\\"c"'))).toEqual([[{ kind: "field", field: "name", value: 'ab"c', neg: false }]]);
+  });
+
+  it("still matches the unescaped value", () => {
+    const match = compileQuery(parseQuery(formatQuery(parseQuery('name:ab"c'))));
+    expect(match({ name: 'Ab"c Diner' })).toBe(true);
+    expect(match({ name: "Abc Diner" })).toBe(false);
+  });
+
+  it("reports an escaped closing quote as unterminated", () => {
+    expect(parseQuery('"abc\\"').errors).toEqual([{ message: "Missing closing quote", start: 0, end: 6 }]);
+  });
+});
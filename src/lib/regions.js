@@ -0,0 +1,191 @@
+// regions.js — region chips, fly-to views and membership, all from a GeoJSON config
+//
+// src/data/regions.json is a FeatureCollection. Each feature is one chip:
+//   id / properties.key   chip key (also what goes in the URL)
+//   properties.label      chip text
+//   properties.parent     key of the enclosing region (nests chips: Seattle → Fremont)
+//   properties.metro      metro the chip belongs to (top-level chips; children inherit it)
+//   properties.maxZoom    cap for the fly-to
+//   properties.match      { cities, neighborhoods } — string fallback, see below
+//   bbox                  fly-to bounds [west, south, east, north]; defaults to the geometry's extent
+//   geometry              Polygon / MultiPolygon used for membership
+// The collection's properties hold the "All" chip label and the known metros
+// ({ key, label, bbox, maxZoom }), see metros.js.
+//
+// A place belongs to a region when its lat/lon falls inside the polygon. Places
+// without coordinates (or regions without geometry) fall back to the `match`
+// strings, compared loosely so "U-District" and "Capitol Hill/Pike" still count.
+
+export const ALL_REGION = "all";
+
+// Key of the implicit "All <parent>" chip shown first in a sub-region row
+export function allChildKey(parentKey) {
+  return `all-${parentKey}`;
+}
+
+function normName(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// "Capitol Hill/Pike" → ["capitol hill", "pike", "capitol hill pike"]
+function nameParts(s) {
+  const parts = String(s || "").split(/[/,;&|]+/).map(normName).filter(Boolean);
+  const whole = normName(s);
+  return whole && !parts.includes(whole) ? [...parts, whole] : parts;
+}
+
+function geometryExtent(geometry) {
+  const polys = geometry?.type === "MultiPolygon" ? geometry.coordinates : geometry ? [geometry.coordinates] : [];
+  let w = Infinity, s = Infinity, e = -Infinity, n = -Infinity;
+  for (const poly of polys) {
+    for (const [lon, lat] of poly[0] || []) {
+      w = Math.min(w, lon); e = Math.max(e, lon);
+      s = Math.min(s, lat); n = Math.max(n, lat);
+    }
+  }
+  return Number.isFinite(w) ? [w, s, e, n] : null;
+}
+
+// GeoJSON bbox → Leaflet [[south, west], [north, east]]
+function toBounds(bbox) {
+  return bbox ? [[bbox[1], bbox[0]], [bbox[3], bbox[2]]] : null;
+}
+
+export function loadRegions(collection) {
+  const list = (collection?.features || []).map((f) => {
+    const p = f.properties || {};
+    const match = p.match || {};
+    return {
+      key: p.key ?? String(f.id),
+      label: p.label ?? String(f.id),
+      parent: p.parent ?? null,
+      metro: p.metro ?? null,
+      maxZoom: p.maxZoom ?? 18,
+      bounds: toBounds(f.bbox ?? geometryExtent(f.geometry)),
+      geometry: f.geometry || null,
+      cities: (match.cities || []).map(normName),
+      neighborhoods: (match.neighborhoods || []).map(normName),
+    };
+  });
+
+  const byKey = new Map(list.map((r) => [r.key, r]));
+  // Children inherit their metro from the top-level chip above them
+  for (const r of list) {
+    let top = r;
+    while (top.parent && byKey.has(top.parent)) top = byKey.get(top.parent);
+    r.metro = top.metro;
+  }
+
+  const meta = collection?.properties || {};
+  return {
+    list,
+    byKey,
+    allLabel: meta.allLabel ?? "All",
+    metros: (meta.metros || []).map((m) => ({
+      key: m.key,
+      label: m.label ?? m.key,
+      bounds: toBounds(m.bbox),
+      maxZoom: m.maxZoom ?? 13,
+    })),
+  };
+}
+
+// Top-level chips; pass a metro key to get just that metro's
+export function topLevelRegions(regions, metroKey = null) {
+  return regions.list.filter((r) => !r.parent && (!metroKey || r.metro === metroKey));
+}
+
+export function childRegions(regions, parentKey) {
+  return regions.list.filter((r) => r.parent === parentKey);
+}
+
+// The sub-region key if it really is a child of `regionKey`, else null
+export function activeChild(regions, regionKey, subRegionKey) {
+  const sub = regions.byKey.get(subRegionKey);
+  return sub && sub.parent === regionKey ? sub : null;
+}
+
+// Every key a link may carry
+export function regionKeys(regions) {
+  return {
+    regions: [ALL_REGION, ...topLevelRegions(regions).map((r) => r.key)],
+    subRegions: regions.list.filter((r) => r.parent).map((r) => r.key),
+  };
+}
+
+// -------------------- geometry --------------------
+
+// Ray casting on one ring of [lon, lat] pairs
+function inRing(lat, lon, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// First ring is the outline, the rest are holes
+function inPolygon(lat, lon, rings) {
+  if (!rings?.length || !inRing(lat, lon, rings[0])) return false;
+  return !rings.slice(1).some((hole) => inRing(lat, lon, hole));
+}
+
+export function pointInGeometry(lat, lon, geometry) {
+  if (!geometry) return false;
+  if (geometry.type === "Polygon") return inPolygon(lat, lon, geometry.coordinates);
+  if (geometry.type === "MultiPolygon") return geometry.coordinates.some((rings) => inPolygon(lat, lon, rings));
+  return false;
+}
+
+// -------------------- membership --------------------
+
+function matchesStrings(place, region) {
+  if (!region.cities.length && !region.neighborhoods.length) return false;
+
+  if (region.cities.length) {
+    const city = normName(place.city);
+    const ok = city
+      ? region.cities.includes(city)
+      : region.cities.some((c) => normName(place.address).includes(c));
+    if (!ok) return false;
+  }
+
+  if (region.neighborhoods.length) {
+    const parts = nameParts(place.neighborhood);
+    if (!parts.some((h) => region.neighborhoods.includes(h))) return false;
+  }
+
+  return true;
+}
+
+function inRegion(place, region, regions) {
+  const lat = Number(place.lat);
+  const lon = Number(place.lon);
+  const hasPoint = place.lat != null && place.lon != null && Number.isFinite(lat) && Number.isFinite(lon);
+
+  const own = region.geometry && hasPoint
+    ? pointInGeometry(lat, lon, region.geometry)
+    : matchesStrings(place, region);
+  if (!own) return false;
+
+  const parent = region.parent ? regions.byKey.get(region.parent) : null;
+  return parent ? inRegion(place, parent, regions) : true;
+}
+
+export function placeInRegion(place, regions, regionKey, subRegionKey = null) {
+  if (!regionKey || regionKey === ALL_REGION) return true;
+  const region = activeChild(regions, regionKey, subRegionKey) || regions.byKey.get(regionKey);
+  return region ? inRegion(place, region, regions) : false;
+}
+
+// Fly-to target for the current chips: { key, bounds, maxZoom }. `fallback` is
+// the view for the "All" chip (the active metro).
+export function regionView(regions, regionKey, subRegionKey, fallback) {
+  const region = activeChild(regions, regionKey, subRegionKey) || regions.byKey.get(regionKey);
+  return region?.bounds ? region : fallback;
+}
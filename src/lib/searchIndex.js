@@ -0,0 +1,180 @@
+// searchIndex.js — in-browser fuzzy search over places
+//
+// Every place is split into tokens per field; a query word matches a token
+// exactly, as a prefix ("spin" → spinach) or within a small edit distance
+// ("spinase" → spinach, "carpentar" → carpenter). Scores are the match quality
+// times the weight of the best field the token appeared in.
+
+import { dishNames } from "./dishes.js";
+
+export const FIELD_WEIGHTS = {
+  name: 5,
+  dish: 3,
+  cuisine: 3,
+  tags: 2,
+  neighborhood: 2,
+  notes: 1,
+};
+
+const EXACT = 1;
+const PREFIX = 0.8;
+const ONE_EDIT = 0.6;
+const TWO_EDITS = 0.4;
+
+// Lowercase, accent-free words: "Café Presse" → ["cafe", "presse"]
+export function tokenize(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function maxEdits(term) {
+  if (term.length <= 4) return 0;
+  if (term.length <= 6) return 1;
+  return 2;
+}
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let d = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1);
+      }
+      cur.push(d);
+      if (d < rowMin) rowMin = d;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// How well one query word matches one indexed token (0 = no match)
+export function similarity(term, token) {
+  if (term === token) return EXACT;
+  if (term.length >= 2 && token.startsWith(term)) return PREFIX;
+  const max = maxEdits(term);
+  if (!max) return 0;
+  const d = editDistance(term, token, max);
+  if (d > max) return 0;
+  return d === 1 ? ONE_EDIT : TWO_EDITS;
+}
+
+function placeFields(p) {
+  return {
+    name: [p.name],
+    dish: dishNames(p),
+    cuisine: p.cuisine || [],
+    tags: p.tags || [],
+    neighborhood: [p.neighborhood],
+    notes: [p.notes],
+  };
+}
+
+export function buildSearchIndex(places) {
+  const postings = new Map(); // token → Map<id, best field weight>
+  for (const p of places) {
+    for (const [field, values] of Object.entries(placeFields(p))) {
+      const weight = FIELD_WEIGHTS[field];
+      for (const token of tokenize(values.filter(Boolean).join(" "))) {
+        let ids = postings.get(token);
+        if (!ids) postings.set(token, (ids = new Map()));
+        if ((ids.get(p.id) || 0) < weight) ids.set(p.id, weight);
+      }
+    }
+  }
+  return { postings, cache: new Map() };
+}
+
+// One query word → Map<id, score>
+function matchWord(index, term) {
+  const hit = index.cache.get(term);
+  if (hit) return hit;
+
+  const scores = new Map();
+  for (const [token, ids] of index.postings) {
+    const s = similarity(term, token);
+    if (!s) continue;
+    for (const [id, weight] of ids) {
+      const score = s * weight;
+      if ((scores.get(id) || 0) < score) scores.set(id, score);
+    }
+  }
+
+  index.cache.set(term, scores);
+  return scores;
+}
+
+// Free text → Map<id, score>; every word has to match somewhere
+export function searchIndex(index, text) {
+  const words = tokenize(text);
+  if (!words.length) return new Map();
+
+  let result = null;
+  for (const w of words) {
+    const scores = matchWord(index, w);
+    if (!result) {
+      result = new Map(scores);
+      continue;
+    }
+    for (const [id, s] of result) {
+      const add = scores.get(id);
+      if (add) result.set(id, s + add);
+      else result.delete(id);
+    }
+  }
+  return result;
+}
+
+// Character ranges of `text` that match any of `terms`, merged and sorted
+export function highlightRanges(text, terms) {
+  const str = String(text || "");
+  const words = terms.flatMap(tokenize);
+  if (!str || !words.length) return [];
+
+  const ranges = [];
+  const lower = str.toLowerCase();
+  const re = /[\p{L}\p{N}]+/gu;
+  let m;
+  while ((m = re.exec(str))) {
+    const [token] = tokenize(m[0]);
+    if (!token) continue;
+    let best = 0;
+    for (const w of words) {
+      const s = similarity(w, token);
+      if (s === PREFIX) best = Math.max(best, Math.min(w.length, m[0].length));
+      else if (s) best = m[0].length;
+    }
+    if (best) ranges.push({ start: m.index, end: m.index + best });
+  }
+
+  // Literal hits too, so "date-night" lights up across the hyphen
+  for (const t of terms) {
+    const needle = String(t).toLowerCase();
+    if (!needle.trim()) continue;
+    for (let i = lower.indexOf(needle); i !== -1; i = lower.indexOf(needle, i + needle.length)) {
+      ranges.push({ start: i, end: i + needle.length });
+    }
+  }
+
+  ranges.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r.start <= last.end) last.end = Math.max(last.end, r.end);
+    else merged.push({ ...r });
+  }
+  return merged;
+}
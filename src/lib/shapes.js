@@ -0,0 +1,108 @@
+// shapes.js — hand-drawn filter areas (rectangle, freehand polygon, circle)
+//
+//   { type: "rect", bounds: [[south, west], [north, east]] }
+//   { type: "polygon", points: [[lat, lon], …] }
+//   { type: "circle", center: [lat, lon], radiusMiles }
+//
+// URL form (the `area` param): "r:s,w,n,e" | "c:lat,lon,miles" | "p:lat,lon;lat,lon;…"
+
+import { haversineMiles } from "./geo.js";
+import { pointInGeometry } from "./regions.js";
+
+// Long lassos are thinned to this many points so links stay short
+const MAX_POLYGON_POINTS = 60;
+const MAX_RADIUS_MILES = 100;
+
+function round5(n) {
+  return Math.round(n * 1e5) / 1e5;
+}
+
+function isLat(n) {
+  return Number.isFinite(n) && n >= -90 && n <= 90;
+}
+
+function isLon(n) {
+  return Number.isFinite(n) && n >= -180 && n <= 180;
+}
+
+export function shapeContains(shape, lat, lon) {
+  if (!shape) return true;
+  if (shape.type === "rect") {
+    const [[s, w], [n, e]] = shape.bounds;
+    return lat >= s && lat <= n && lon >= w && lon <= e;
+  }
+  if (shape.type === "circle") {
+    const [clat, clon] = shape.center;
+    return haversineMiles(clat, clon, lat, lon) <= shape.radiusMiles;
+  }
+  if (shape.type === "polygon") {
+    const ring = shape.points.map(([la, lo]) => [lo, la]);
+    return pointInGeometry(lat, lon, { type: "Polygon", coordinates: [[...ring, ring[0]]] });
+  }
+  return true;
+}
+
+// Keep evenly spaced points, always the first and the last, until the lasso
+// fits MAX_POLYGON_POINTS
+export function thinPoints(points, max = MAX_POLYGON_POINTS) {
+  if (points.length <= max) return points;
+  const step = (points.length - 1) / (max - 1);
+  const out = [];
+  for (let i = 0; i < max - 1; i++) out.push(points[Math.floor(i * step)]);
+  out.push(points.at(-1));
+  return out;
+}
+
+export function encodeShape(shape) {
+  if (!shape) return "";
+  if (shape.type === "rect") {
+    const [[s, w], [n, e]] = shape.bounds;
+    return `r:${[s, w, n, e].map(round5).join(",")}`;
+  }
+  if (shape.type === "circle") {
+    const [lat, lon] = shape.center;
+    return `c:${round5(lat)},${round5(lon)},${Math.round(shape.radiusMiles * 1000) / 1000}`;
+  }
+  if (shape.type === "polygon") {
+    return `p:${thinPoints(shape.points).map(([la, lo]) => `${round5(la)},${round5(lo)}`).join(";")}`;
+  }
+  return "";
+}
+
+// Anything malformed decodes to null (no area filter)
+export function decodeShape(raw) {
+  if (!raw || raw[1] !== ":") return null;
+  const body = raw.slice(2);
+
+  if (raw[0] === "r") {
+    const [a, b, c, d] = body.split(",").map(Number);
+    if (![a, c].every(isLat) || ![b, d].every(isLon)) return null;
+    const bounds = [[Math.min(a, c), Math.min(b, d)], [Math.max(a, c), Math.max(b, d)]];
+    return { type: "rect", bounds };
+  }
+
+  if (raw[0] === "c") {
+    const [lat, lon, r] = body.split(",").map(Number);
+    if (!isLat(lat) || !isLon(lon) || !Number.isFinite(r) || r <= 0) return null;
+    return { type: "circle", center: [lat, lon], radiusMiles: Math.min(r, MAX_RADIUS_MILES) };
+  }
+
+  if (raw[0] === "p") {
+    const points = body.split(";").map((pair) => pair.split(",").map(Number));
+    if (points.length < 3 || !points.every(([la, lo]) => isLat(la) && isLon(lo))) return null;
+    return { type: "polygon", points: thinPoints(points) };
+  }
+
+  return null;
+}
+
+// Pill text for activeFilters
+export function describeShape(shape) {
+  if (!shape) return "";
+  if (shape.type === "circle") {
+    const r = shape.radiusMiles;
+    return `Within ${r < 10 ? r.toFixed(1) : Math.round(r)} mi circle`;
+  }
+  if (shape.type === "rect") return "Drawn rectangle";
+  return "Drawn area";
+}
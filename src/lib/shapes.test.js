@@ -0,0 +1,39 @@
+import { describe, expect, it } from "vitest";
+
+import { decodeShape, encodeShape, thinPoints } from "./shapes.js";
+
+// A lasso drawn as a slow circle, one point per degree
+const LASSO = Array.from({ length: 361 }, (_, i) => {
+  const a = (i * Math.PI) / 180;
+  return [47.6 + 0.01 * Math.sin(a), -122.33 + 0.01 * Math.cos(a)];
+});
+
+describe("thinPoints", () => {
+  it("leaves short lassos alone", () => {
+    const short = LASSO.slice(0, 60);
+    expect(thinPoints(short)).toBe(short);
+  });
+
+  it("keeps the first and last points within max", () => {
+    for (const n of [61, 100, 119, 361]) {
+      const out = thinPoints(LASSO.slice(0, n));
+      expect(out).toHaveLength(60);
+      expect(out[0]).toBe(LASSO[0]);
+      expect(out.at(-1)).toBe(LASSO[n - 1]);
+      expect(new Set(out).size).toBe(60);
+    }
+  });
+
+  it("honours a smaller max", () => {
+    expect(thinPoints(LASSO.slice(0, 10), 3)).toEqual([LASSO[0], LASSO[4], LASSO[9]]);
+  });
+});
+
+describe("polygon URL form", () => {
+  it("round-trips a long lasso through encode and decode", () => {
+    const shape = decodeShape(encodeShape({ type: "polygon", points: LASSO }));
+    expect(shape.points).toHaveLength(60);
+    expect(shape.points.at(-1)[0]).toBeCloseTo(LASSO.at(-1)[0], 5);
+    expect(shape.points.at(-1)[1]).toBeCloseTo(LASSO.at(-1)[1], 5);
+  });
+});
@@ -0,0 +1,235 @@
+// storage.js — versioned, migrating persistence for the local overlay (edits,
+// additions, the journal)
+//
+// A store keeps one envelope { version, savedAt, data } under
+// `aleks-food-map:<name>`. `migrations` is an ordered list: migrations[0]
+// turns version 1 data into version 2, and so on, so the current version is
+// migrations.length + 1. The old `:v1` keys held bare data and load as version 1.
+//
+// Nothing is thrown away quietly: the raw value is copied to
+// `<key>:backup:v<n>` before a migration runs, and a value that can't be read
+// is moved to `<key>:unreadable` before the store falls back to empty.
+//
+// Data lives in localStorage until it outgrows it (over LOCAL_LIMIT or a quota
+// error), then moves to IndexedDB; localStorage keeps a pointer envelope
+// { version, backend: "idb" }. IndexedDB is async, so load() hands back a
+// `pending` promise for that case.
+
+const PREFIX = "aleks-food-map";
+const DB_NAME = "aleks-food-map";
+const DB_STORE = "stores";
+
+// Serialized size (in UTF-16 chars, as localStorage counts) above which a store
+// goes straight to IndexedDB; most browsers give an origin about 5M chars
+export const LOCAL_LIMIT = 1_000_000;
+
+export const QUOTA_MESSAGE =
+  "This browser's storage is full, so your latest changes aren't saved. Export them to keep a copy.";
+
+export function isQuotaError(err) {
+  return (
+    err?.name === "QuotaExceededError" ||
+    err?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    err?.code === 22 ||
+    err?.code === 1014
+  );
+}
+
+// -------------------- IndexedDB --------------------
+
+let dbPromise = null;
+
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.reject(new Error("IndexedDB isn't available."));
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  }).catch((err) => {
+    dbPromise = null;
+    throw err;
+  });
+  return dbPromise;
+}
+
+async function idb(mode, run) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(DB_STORE, mode);
+    const req = run(tx.objectStore(DB_STORE));
+    tx.oncomplete = () => resolve(req.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const idbGet = (key) => idb("readonly", (s) => s.get(key));
+const idbSet = (key, value) => idb("readwrite", (s) => s.put(value, key));
+const idbDelete = (key) => idb("readwrite", (s) => s.delete(key));
+
+// -------------------- localStorage --------------------
+
+function readLocal(key) {
+  try {
+    return localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+function removeLocal(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch {
+    // ignore
+  }
+}
+
+// Copies that must survive even when localStorage is full fall back to IndexedDB
+function keepCopy(key, raw) {
+  try {
+    localStorage.setItem(key, raw);
+  } catch {
+    idbSet(key, raw).catch(() => {
+      // nowhere left to put it
+    });
+  }
+}
+
+// -------------------- stores --------------------
+
+// createStore(name, {
+//   fallback:   () => empty value,
+//   migrations: [(v1Data) => v2Data, …],
+//   validate:   (data) => boolean — false counts as unreadable,
+//   label:      plural noun for error messages ("edits"),
+// })
+//
+// load() → { data, pending, error }: `pending` is null, or a promise of
+// { data, error } when the data is in IndexedDB. save(data) → promise of
+// { ok, backend, error }; saves run one at a time, in call order.
+export function createStore(name, { fallback, migrations = [], validate = () => true, label = name }) {
+  const key = `${PREFIX}:${name}`;
+  const legacyKey = `${key}:v1`;
+  const version = migrations.length + 1;
+
+  // Set when the stored data couldn't be brought up to date (e.g. it was written
+  // by a newer version of the app): saving would overwrite it, so don't.
+  let readOnly = false;
+  let legacyPending = false;
+  let backend = "local";
+  let queue = Promise.resolve();
+
+  function unreadable(raw) {
+    keepCopy(`${key}:unreadable`, raw);
+    return {
+      data: fallback(),
+      error: `Saved ${label} couldn't be read. A copy was kept in this browser under ${key}:unreadable.`,
+    };
+  }
+
+  // Envelope → { data, error }, migrating and backing up as needed
+  function open(envelope, raw) {
+    if (!envelope || typeof envelope !== "object" || !Number.isInteger(envelope.version)) return unreadable(raw);
+
+    if (envelope.version > version) {
+      readOnly = true;
+      return {
+        data: fallback(),
+        error: `Saved ${label} come from a newer version of this map — reload to get it. Until then nothing here overwrites them.`,
+      };
+    }
+
+    let data = envelope.data;
+    if (envelope.version < version) {
+      keepCopy(`${key}:backup:v${envelope.version}`, raw);
+      try {
+        for (let v = envelope.version; v < version; v++) data = migrations[v - 1](data);
+      } catch {
+        readOnly = true;
+        return {
+          data: fallback(),
+          error: `Saved ${label} couldn't be updated to this version. A backup is kept under ${key}:backup:v${envelope.version}.`,
+        };
+      }
+    }
+
+    return validate(data) ? { data, error: null } : unreadable(raw);
+  }
+
+  function load() {
+    let raw = readLocal(key);
+    if (raw == null) {
+      raw = readLocal(legacyKey);
+      if (raw == null) return { data: fallback(), pending: null, error: null };
+      legacyPending = true;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      return { ...unreadable(raw), pending: null };
+    }
+    const envelope = legacyPending ? { version: 1, data: parsed } : parsed;
+
+    if (envelope?.backend === "idb") {
+      backend = "idb";
+      const pending = idbGet(key).then(
+        (stored) => (stored == null ? { data: fallback(), error: null } : open(stored, JSON.stringify(stored))),
+        () => {
+          readOnly = true;
+          return { data: fallback(), error: `Saved ${label} are in IndexedDB, which this browser won't open right now.` };
+        }
+      );
+      return { data: fallback(), pending, error: null };
+    }
+
+    return { ...open(envelope, raw), pending: null };
+  }
+
+  async function write(data) {
+    if (readOnly) return { ok: false, backend: null, error: null };
+    const envelope = { version, savedAt: new Date().toISOString(), data };
+    const json = JSON.stringify(envelope);
+
+    if (json.length <= LOCAL_LIMIT) {
+      try {
+        localStorage.setItem(key, json);
+        if (backend === "idb") idbDelete(key).catch(() => {});
+        return done("local");
+      } catch (err) {
+        if (!isQuotaError(err)) return { ok: false, backend: null, error: `Couldn't save ${label}: ${err.message}` };
+      }
+    }
+
+    try {
+      await idbSet(key, envelope);
+      // Drop the old copy first so the pointer fits even when storage is full
+      removeLocal(key);
+      localStorage.setItem(key, JSON.stringify({ version, backend: "idb" }));
+      return done("idb");
+    } catch {
+      // Too big for localStorage and IndexedDB refused it too
+      return { ok: false, backend: null, error: QUOTA_MESSAGE };
+    }
+  }
+
+  function done(to) {
+    backend = to;
+    if (legacyPending) {
+      removeLocal(legacyKey);
+      legacyPending = false;
+    }
+    return { ok: true, backend, error: null };
+  }
+
+  function save(data) {
+    const result = queue.then(() => write(data));
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  return { key, version, load, save };
+}
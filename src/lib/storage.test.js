@@ -0,0 +1,210 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+
+const KEY = "aleks-food-map:edits";
+
+// localStorage stand-in; `cap` (in chars) makes setItem throw like a full origin
+function createFakeLocalStorage(cap = Infinity) {
+  const mem = new Map();
+  return {
+    mem,
+    getItem: (k) => (mem.has(k) ? mem.get(k) : null),
+    setItem(k, v) {
+      const used = [...mem].reduce((n, [key, val]) => (key === k ? n : n + val.length), 0);
+      if (used + String(v).length > cap) {
+        const err = new Error("The quota has been exceeded.");
+        err.name = "QuotaExceededError";
+        throw err;
+      }
+      mem.set(k, String(v));
+    },
+    removeItem: (k) => mem.delete(k),
+  };
+}
+
+// Just enough of IndexedDB for storage.js: one object store, callbacks on a microtask
+function createFakeIndexedDB() {
+  const mem = new Map();
+  function request(tx, run) {
+    const req = {};
+    queueMicrotask(() => {
+      req.result = run();
+      tx.oncomplete?.();
+    });
+    return req;
+  }
+  const db = {
+    transaction() {
+      const tx = {};
+      tx.objectStore = () => ({
+        get: (k) => request(tx, () => structuredClone(mem.get(k))),
+        put: (v, k) => request(tx, () => void mem.set(k, structuredClone(v))),
+        delete: (k) => request(tx, () => void mem.delete(k)),
+      });
+      return tx;
+    },
+  };
+  return {
+    mem,
+    open() {
+      const req = {};
+      queueMicrotask(() => {
+        req.result = db;
+        req.onsuccess();
+      });
+      return req;
+    },
+  };
+}
+
+const isObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+
+// Version 2: v1 data held bare ratings, v2 wraps them as { rating }
+const OPTIONS = {
+  label: "edits",
+  fallback: () => ({}),
+  validate: isObject,
+  migrations: [(v1) => Object.fromEntries(Object.entries(v1).map(([id, rating]) => [id, { rating }]))],
+};
+
+let local;
+let idb;
+let storage;
+
+beforeEach(async () => {
+  local = createFakeLocalStorage();
+  idb = createFakeIndexedDB();
+  vi.stubGlobal("localStorage", local);
+  vi.stubGlobal("indexedDB", idb);
+  // storage.js keeps its IndexedDB connection at module level
+  vi.resetModules();
+  storage = await import("./storage.js");
+});
+
+afterEach(() => vi.unstubAllGlobals());
+
+function store(options = OPTIONS) {
+  return storage.createStore("edits", options);
+}
+
+describe("createStore load", () => {
+  it("starts empty when nothing is saved", () => {
+    expect(store().load()).toEqual({ data: {}, pending: null, error: null });
+  });
+
+  it("reads a current envelope as is", () => {
+    local.setItem(KEY, JSON.stringify({ version: 2, savedAt: "2026-01-01T00:00:00.000Z", data: { a: { rating: 9 } } }));
+    expect(store().load()).toEqual({ data: { a: { rating: 9 } }, pending: null, error: null });
+    expect(local.mem.size).toBe(1);
+  });
+
+  it("migrates an old envelope and backs up the raw value first", () => {
+    const raw = JSON.stringify({ version: 1, data: { a: 9 } });
+    local.setItem(KEY, raw);
+    expect(store().load()).toEqual({ data: { a: { rating: 9 } }, pending: null, error: null });
+    expect(local.getItem(`${KEY}:backup:v1`)).toBe(raw);
+  });
+
+  it("reads the legacy :v1 key as version 1 and drops it after the first save", async () => {
+    const raw = JSON.stringify({ a: 9 });
+    local.setItem(`${KEY}:v1`, raw);
+    const s = store();
+    const { data } = s.load();
+    expect(data).toEqual({ a: { rating: 9 } });
+    expect(local.getItem(`${KEY}:backup:v1`)).toBe(raw);
+
+    expect(await s.save(data)).toEqual({ ok: true, backend: "local", error: null });
+    expect(local.getItem(`${KEY}:v1`)).toBeNull();
+    expect(JSON.parse(local.getItem(KEY))).toMatchObject({ version: 2, data });
+  });
+
+  it("moves unparseable data to :unreadable", () => {
+    local.setItem(KEY, "{nope");
+    const { data, error } = store().load();
+    expect(data).toEqual({});
+    expect(error).toContain(`${KEY}:unreadable`);
+    expect(local.getItem(`${KEY}:unreadable`)).toBe("{nope");
+  });
+
+  it("treats data that fails validation as unreadable", () => {
+    const raw = JSON.stringify({ version: 2, data: ["not", "edits"] });
+    local.setItem(KEY, raw);
+    expect(store().load().error).toContain("couldn't be read");
+    expect(local.getItem(`${KEY}:unreadable`)).toBe(raw);
+  });
+});
+
+describe("createStore read-only mode", () => {
+  it("won't overwrite data from a newer version", async () => {
+    const raw = JSON.stringify({ version: 3, data: { a: { rating: 9, visits: [] } } });
+    local.setItem(KEY, raw);
+    const s = store();
+    const { data, error } = s.load();
+    expect(data).toEqual({});
+    expect(error).toContain("newer version");
+
+    expect(await s.save({ b: { rating: 1 } })).toEqual({ ok: false, backend: null, error: null });
+    expect(local.getItem(KEY)).toBe(raw);
+  });
+
+  it("won't overwrite data whose migration failed", async () => {
+    const raw = JSON.stringify({ version: 1, data: { a: 9 } });
+    local.setItem(KEY, raw);
+    const s = store({ ...OPTIONS, migrations: [() => { throw new Error("boom"); }] });
+    expect(s.load().error).toContain(`${KEY}:backup:v1`);
+
+    expect((await s.save({})).ok).toBe(false);
+    expect(local.getItem(KEY)).toBe(raw);
+    expect(local.getItem(`${KEY}:backup:v1`)).toBe(raw);
+  });
+});
+
+describe("createStore IndexedDB fallback", () => {
+  const big = { a: { notes: "x".repeat(1_000_000) } };
+
+  it("moves past LOCAL_LIMIT to IndexedDB and leaves a pointer", async () => {
+    expect(JSON.stringify(big).length).toBeGreaterThan(storage.LOCAL_LIMIT);
+    expect(await store().save(big)).toEqual({ ok: true, backend: "idb", error: null });
+    expect(JSON.parse(local.getItem(KEY))).toEqual({ version: 2, backend: "idb" });
+    expect(idb.mem.get(KEY)).toMatchObject({ version: 2, data: big });
+  });
+
+  it("loads from IndexedDB through `pending`", async () => {
+    await store().save(big);
+    const { data, pending, error } = store().load();
+    expect(data).toEqual({});
+    expect(error).toBeNull();
+    expect(await pending).toEqual({ data: big, error: null });
+  });
+
+  it("moves to IndexedDB on a quota error and back once the data shrinks", async () => {
+    vi.stubGlobal("localStorage", (local = createFakeLocalStorage(200)));
+    const s = store();
+    const medium = { a: { notes: "y".repeat(300) } };
+    expect((await s.save(medium)).backend).toBe("idb");
+    expect(idb.mem.get(KEY).data).toEqual(medium);
+
+    expect((await s.save({ a: { rating: 9 } })).backend).toBe("local");
+    await vi.waitFor(() => expect(idb.mem.has(KEY)).toBe(false));
+    expect(JSON.parse(local.getItem(KEY)).data).toEqual({ a: { rating: 9 } });
+  });
+
+  it("reports a full browser when IndexedDB isn't there either", async () => {
+    vi.stubGlobal("indexedDB", undefined);
+    vi.stubGlobal("localStorage", (local = createFakeLocalStorage(200)));
+    expect(await store().save({ a: { notes: "y".repeat(300) } })).toEqual({
+      ok: false,
+      backend: null,
+      error: storage.QUOTA_MESSAGE,
+    });
+  });
+
+  it("goes read-only when the pointer's IndexedDB won't open", async () => {
+    local.setItem(KEY, JSON.stringify({ version: 2, backend: "idb" }));
+    vi.stubGlobal("indexedDB", undefined);
+    const s = store();
+    const { error } = await s.load().pending;
+    expect(error).toContain("IndexedDB");
+    expect((await s.save({})).ok).toBe(false);
+    expect(JSON.parse(local.getItem(KEY))).toEqual({ version: 2, backend: "idb" });
+  });
+});
@@ -0,0 +1,72 @@
+// tiles.js — slippy-map tile math for the offline download
+//
+// Builds the exact URLs Leaflet's TileLayer will request for an area, so the
+// service worker can pre-cache them and serve them back byte-for-byte.
+
+// Rough size of one 256px raster tile from a light basemap
+export const AVG_TILE_BYTES = 18_000;
+// Keeps a download to a few tens of MB, and polite to the tile server
+export const MAX_OFFLINE_TILES = 4000;
+export const OFFLINE_ZOOM_RANGE = { min: 8, max: 17 };
+
+export function lonToTileX(lon, z) {
+  return Math.floor(((lon + 180) / 360) * 2 ** z);
+}
+
+export function latToTileY(lat, z) {
+  const rad = (lat * Math.PI) / 180;
+  return Math.floor(((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2) * 2 ** z);
+}
+
+// Inclusive x/y range covering Leaflet bounds [[south, west], [north, east]]
+export function tileRange(bounds, z) {
+  const [[s, w], [n, e]] = bounds;
+  const max = 2 ** z - 1;
+  const clampTile = (v) => Math.min(max, Math.max(0, v));
+  return {
+    minX: clampTile(lonToTileX(w, z)),
+    maxX: clampTile(lonToTileX(e, z)),
+    minY: clampTile(latToTileY(n, z)),
+    maxY: clampTile(latToTileY(s, z)),
+  };
+}
+
+export function countTiles(bounds, minZoom, maxZoom) {
+  let n = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const r = tileRange(bounds, z);
+    n += (r.maxX - r.minX + 1) * (r.maxY - r.minY + 1);
+  }
+  return n;
+}
+
+export function estimateBytes(count) {
+  return count * AVG_TILE_BYTES;
+}
+
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0)} MB`;
+}
+
+// Same substitutions as L.TileLayer.getTileUrl, including its subdomain pick
+export function tileUrl(template, { x, y, z }, { subdomains = "abc", retina = false } = {}) {
+  const subs = typeof subdomains === "string" ? subdomains.split("") : subdomains;
+  return template
+    .replace("{s}", subs[Math.abs(x + y) % subs.length])
+    .replace("{z}", String(z))
+    .replace("{x}", String(x))
+    .replace("{y}", String(y))
+    .replace("{r}", retina ? "@2x" : "");
+}
+
+export function tileUrls(template, bounds, minZoom, maxZoom, options) {
+  const urls = [];
+  for (let z = minZoom; z <= maxZoom; z++) {
+    const r = tileRange(bounds, z);
+    for (let x = r.minX; x <= r.maxX; x++) {
+      for (let y = r.minY; y <= r.maxY; y++) urls.push(tileUrl(template, { x, y, z }, options));
+    }
+  }
+  return urls;
+}
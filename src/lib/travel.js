@@ -0,0 +1,55 @@
+// travel.js — Near Me radius presets and rough travel times
+//
+// Speeds are flat averages, so "15 min walk" is a straight-line estimate, not a
+// routed isochrone. Good enough to decide between two spots.
+
+export const TRAVEL_MODES = [
+  { key: "walk", label: "Walk", minutes: 15, mph: 3 },
+  { key: "bike", label: "Bike", minutes: 15, mph: 10 },
+  { key: "drive", label: "Drive", minutes: 10, mph: 25 },
+];
+
+export const DEFAULT_TRAVEL_MODE = "walk";
+
+export function travelMode(key) {
+  return TRAVEL_MODES.find((m) => m.key === key) ?? TRAVEL_MODES[0];
+}
+
+// A preset's reach in miles, rounded the way the URL stores radii
+export function modeRadius(mode) {
+  return Math.round(((mode.mph * mode.minutes) / 60) * 10) / 10;
+}
+
+export function travelMinutes(miles, mode) {
+  return Math.max(1, Math.round((miles / mode.mph) * 60));
+}
+
+export function formatMiles(miles) {
+  if (miles < 0.1) return `${Math.round(miles * 5280)} ft`;
+  return `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
+}
+
+// "0.4 mi · 8 min walk"
+export function formatTrip(miles, mode) {
+  return `${formatMiles(miles)} · ${travelMinutes(miles, mode)} min ${mode.label.toLowerCase()}`;
+}
+
+// Three evenly spaced rings out to `radius`, labelled in minutes for the mode.
+// At a preset's own radius the labels are exact thirds of its minutes (5/10/15).
+export function radiusRings(radius, mode) {
+  const total = modeRadius(mode) === radius ? mode.minutes : (radius / mode.mph) * 60;
+  return [1, 2, 3].map((n) => ({
+    miles: (radius * n) / 3,
+    label: `${Math.max(1, Math.round((total * n) / 3))} min`,
+  }));
+}
+
+// The slider is logarithmic so short walks get as much travel as long drives
+export function sliderToRadius(value, { min, max }) {
+  const miles = min * (max / min) ** (value / 100);
+  return Math.round(miles * 10) / 10;
+}
+
+export function radiusToSlider(radius, { min, max }) {
+  return Math.round((Math.log(radius / min) / Math.log(max / min)) * 100);
+}
@@ -0,0 +1,155 @@
+// urlState.js — everything a shared link carries, encoded in the query string
+//
+//   ?v=2&q=…&loc=…&prices=1,2&minRating=8&sort=top
+//     &metro=portland&region=seattle&sub=fremont&near=1&radius=3&travel=bike&spot=<place id>&map=47.61,-122.33,13
+//     &area=c:47.61,-122.33,1.5   (a drawn filter area, see shapes.js)
+//     &crawl=<id>,<id>,<id>        (an ordered food crawl, see crawl.js)
+//
+// Version 1 links (no `v`) only had q/loc/prices/minRating/sort; everything
+// they don't mention falls back to the defaults. Every field is validated and
+// clamped on the way in, so a hand-edited link can't put the app in a bad state.
+
+import { MAX_CRAWL_STOPS } from "./crawl.js";
+import { formatQuery, parseQuery } from "./query.js";
+import { decodeShape, encodeShape } from "./shapes.js";
+import { DEFAULT_TRAVEL_MODE, TRAVEL_MODES } from "./travel.js";
+
+export const URL_STATE_VERSION = 2;
+
+export const RADIUS_RANGE = { min: 0.5, max: 50 };
+const ZOOM_RANGE = { min: 1, max: 20 };
+const MAX_QUERY_LENGTH = 500;
+const SLUG = /^[a-z0-9][a-z0-9-]*$/;
+
+export const DEFAULT_URL_STATE = {
+  q: "",
+  locationQ: "",
+  prices: [],
+  minRating: 0,
+  sort: "top",
+  metro: null, // null = the metro with the most spots
+  region: "all",
+  subRegion: null, // null = the "All <region>" chip
+  nearMe: false,
+  radius: 5,
+  travel: DEFAULT_TRAVEL_MODE, // speed for the Near Me travel-time estimates
+  selectedId: null,
+  view: null, // { lat, lon, zoom }
+  area: null, // drawn shape
+  crawl: [], // place ids in stop order
+};
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+function round(n, digits) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function numberOr(raw, fallback) {
+  if (raw == null || raw === "") return fallback;
+  const n = Number(raw);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+function oneOf(raw, allowed, fallback) {
+  return raw != null && (!allowed || allowed.includes(raw)) ? raw : fallback;
+}
+
+function parseIds(raw) {
+  if (!raw) return [];
+  const ids = raw.split(",").filter((id) => SLUG.test(id));
+  return [...new Set(ids)].slice(0, MAX_CRAWL_STOPS);
+}
+
+function parseView(raw) {
+  if (!raw) return null;
+  const [lat, lon, zoom] = raw.split(",").map(Number);
+  if (![lat, lon, zoom].every(Number.isFinite)) return null;
+  return {
+    lat: round(clamp(lat, -90, 90), 5),
+    lon: round(clamp(lon, -180, 180), 5),
+    zoom: round(clamp(zoom, ZOOM_RANGE.min, ZOOM_RANGE.max), 2),
+  };
+}
+
+// Fields shared by every version
+function decodeFilters(sp, allowed) {
+  const q = (sp.get("q") ?? "").slice(0, MAX_QUERY_LENGTH);
+  const pricesRaw = sp.get("prices") ?? "";
+  const prices = [...new Set(pricesRaw.split(",").map(Number))]
+    .filter((n) => Number.isInteger(n) && n >= 1 && n <= 4)
+    .sort();
+  return {
+    q,
+    locationQ: (sp.get("loc") ?? "").slice(0, MAX_QUERY_LENGTH),
+    prices,
+    minRating: clamp(numberOr(sp.get("minRating"), 0), 0, 10),
+    sort: oneOf(sp.get("sort"), allowed.sorts, DEFAULT_URL_STATE.sort),
+  };
+}
+
+// `allowed` lists the valid keys: { sorts, regions, subRegions }
+export function decodeUrlState(search, allowed = {}) {
+  const sp = new URLSearchParams(search);
+  const version = numberOr(sp.get("v"), 1);
+  const state = { ...DEFAULT_URL_STATE, ...decodeFilters(sp, allowed) };
+  if (version < 2) return state;
+
+  const region = oneOf(sp.get("region"), allowed.regions, DEFAULT_URL_STATE.region);
+  const spot = sp.get("spot");
+  const metro = sp.get("metro");
+  return {
+    ...state,
+    // Metros are derived from the data, so only the shape is checked here
+    metro: metro && SLUG.test(metro) ? metro : null,
+    region,
+    subRegion: oneOf(sp.get("sub"), allowed.subRegions, DEFAULT_URL_STATE.subRegion),
+    nearMe: sp.get("near") === "1",
+    radius: round(clamp(numberOr(sp.get("radius"), DEFAULT_URL_STATE.radius), RADIUS_RANGE.min, RADIUS_RANGE.max), 1),
+    travel: oneOf(sp.get("travel"), TRAVEL_MODES.map((m) => m.key), DEFAULT_URL_STATE.travel),
+    selectedId: spot && SLUG.test(spot) ? spot : null,
+    view: parseView(sp.get("map")),
+    area: decodeShape(sp.get("area")),
+    crawl: parseIds(sp.get("crawl")),
+  };
+}
+
+// State → query string (without "?"); defaults are left out to keep links short,
+// and a link with nothing to say has no query string at all
+export function encodeUrlState(state) {
+  const sp = new URLSearchParams();
+  if (state.q) {
+    // Store the canonical form of a valid query; keep half-typed ones verbatim
+    const parsed = parseQuery(state.q);
+    sp.set("q", parsed.errors.length ? state.q : formatQuery(parsed) || state.q);
+  }
+  if (state.locationQ) sp.set("loc", state.locationQ);
+  if (state.prices?.length) sp.set("prices", state.prices.join(","));
+  if (state.minRating > 0) sp.set("minRating", String(state.minRating));
+  if (state.sort && state.sort !== DEFAULT_URL_STATE.sort) sp.set("sort", state.sort);
+  if (state.metro) sp.set("metro", state.metro);
+  if (state.region && state.region !== DEFAULT_URL_STATE.region) sp.set("region", state.region);
+  if (state.subRegion) sp.set("sub", state.subRegion);
+  if (state.nearMe) sp.set("near", "1");
+  if (state.radius != null && state.radius !== DEFAULT_URL_STATE.radius) sp.set("radius", String(state.radius));
+  if (state.travel && state.travel !== DEFAULT_URL_STATE.travel) sp.set("travel", state.travel);
+  if (state.selectedId) sp.set("spot", state.selectedId);
+  if (state.view) {
+    const { lat, lon, zoom } = state.view;
+    sp.set("map", `${round(lat, 5)},${round(lon, 5)},${round(zoom, 2)}`);
+  }
+  if (state.area) sp.set("area", encodeShape(state.area));
+  if (state.crawl?.length) sp.set("crawl", state.crawl.join(","));
+  if (![...sp.keys()].length) return "";
+  return `v=${URL_STATE_VERSION}&${sp.toString()}`;
+}
+
+// Changes to these get their own history entry; everything else replaces the current one
+const NAV_FIELDS = ["metro", "region", "subRegion", "nearMe", "selectedId"];
+
+export function isNavigation(prev, next) {
+  return NAV_FIELDS.some((k) => prev[k] !== next[k]);
+}
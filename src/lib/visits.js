@@ -0,0 +1,114 @@
+// visits.js — per-place visit history and the headline rating derived from it.
+//
+// Visit: { date: "YYYY-MM-DD", rating: 1–10 | null, dishes: string[], partySize: number | null, notes: string }
+//
+// Older records only have a single `visitedAt` + `rating`; migrateVisits() turns
+// those into a one-entry `visits` array. `rating` and `visitedAt` stay on the
+// place as derived headline fields so filters, sorts and pin colors keep working.
+
+export const RATING_MODES = [
+  { value: "latest", label: "Latest" },
+  { value: "mean", label: "Average" },
+  { value: "weighted", label: "Weighted" },
+];
+
+// Weighted mode: a visit this many days older than the newest one counts half
+const HALF_LIFE_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isRated(v) {
+  return typeof v.rating === "number" && Number.isFinite(v.rating) && v.rating > 0;
+}
+
+export function makeVisit(fields = {}) {
+  return {
+    date: fields.date ?? null,
+    rating: fields.rating ?? null,
+    dishes: Array.isArray(fields.dishes) ? fields.dishes : [],
+    partySize: fields.partySize ?? null,
+    notes: fields.notes ?? "",
+  };
+}
+
+export function migrateVisits(place) {
+  if (Array.isArray(place.visits)) return place;
+  // A rating without a date stays on the place itself; visits always carry a date
+  return {
+    ...place,
+    visits: place.visitedAt ? [makeVisit({ date: place.visitedAt, rating: place.rating ?? null })] : [],
+  };
+}
+
+// Newest first; undated visits sink to the bottom
+export function sortVisits(visits) {
+  return [...(visits || [])].sort((a, b) => (b.date || "").localeCompare(a.date || ""));
+}
+
+export function latestVisitDate(visits) {
+  return sortVisits(visits).find((v) => v.date)?.date ?? null;
+}
+
+export function headlineRating(visits, mode = "latest") {
+  const rated = sortVisits(visits).filter(isRated);
+  if (!rated.length) return null;
+
+  if (mode === "mean") {
+    return rated.reduce((sum, v) => sum + v.rating, 0) / rated.length;
+  }
+
+  if (mode === "weighted") {
+    const newest = Date.parse(rated[0].date || "") || 0;
+    let sum = 0;
+    let weights = 0;
+    for (const v of rated) {
+      const t = Date.parse(v.date || "");
+      const ageDays = Number.isFinite(t) && newest ? (newest - t) / DAY_MS : HALF_LIFE_DAYS;
+      const w = 0.5 ** (ageDays / HALF_LIFE_DAYS);
+      sum += v.rating * w;
+      weights += w;
+    }
+    return sum / weights;
+  }
+
+  return rated[0].rating;
+}
+
+function roundRating(r) {
+  return r == null ? null : Math.round(r * 10) / 10;
+}
+
+// Migrated place with `rating` / `visitedAt` recomputed from its visits
+export function withVisitSummary(place, mode = "latest") {
+  const p = migrateVisits(place);
+  if (!p.visits.length) return p;
+  const rating = headlineRating(p.visits, mode);
+  return {
+    ...p,
+    rating: rating == null ? p.rating ?? null : roundRating(rating),
+    visitedAt: latestVisitDate(p.visits) ?? p.visitedAt ?? null,
+  };
+}
+
+// Overwrite fields ({ date, rating }) on the newest visit, or start a first
+// visit dated `today` — used by the edit form
+export function setLatestVisit(visits, fields, today) {
+  const list = sortVisits(visits);
+  if (!list.length) return [makeVisit({ date: today, ...fields })];
+  return sortVisits([{ ...list[0], ...fields }, ...list.slice(1)]);
+}
+
+// Replace the newest visit's rating (or start a first visit) — used by quick edits
+export function setLatestRating(visits, rating, today) {
+  return setLatestVisit(visits, { rating }, today);
+}
+
+// A patch that changes the headline rating or visitedAt also rewrites the newest
+// visit, since both are derived from visits — used by the edit form and imports
+export function patchLatestVisit(place, patch, today) {
+  const fields = {};
+  if ("rating" in patch) fields.rating = patch.rating;
+  if (patch.visitedAt) fields.date = patch.visitedAt;
+  if (!Object.keys(fields).length) return patch;
+  return { ...patch, visits: setLatestVisit(place.visits, fields, patch.visitedAt || place.visitedAt || today) };
+}
@@ -6,9 +6,13 @@ import "./index.css";
 import { StrictMode } from "react";
 import { createRoot } from "react-dom/client";
 import App from "./App.jsx";
+import { registerServiceWorker } from "./lib/offline.js";
 
 createRoot(document.getElementById("root")).render(
   <StrictMode>
     <App />
   </StrictMode>
 );
+
+// Dev builds skip the worker so HMR isn't served from cache
+if (import.meta.env.PROD) registerServiceWorker();
@@ -1,7 +1,44 @@
+import { createHash } from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Lists every bundled file for public/sw.js to pre-cache on install, and stamps
+// the copied sw.js with a hash of that list so each build gets its own shell
+// cache (and the browser sees a changed worker to install)
+function swPrecache() {
+  let outDir = 'dist'
+  let build = null
+  return {
+    name: 'sw-precache',
+    apply: 'build',
+    configResolved(config) {
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle).map((f) => `/${f}`)
+      const source = JSON.stringify(files)
+      build = createHash('sha256').update(source).digest('hex').slice(0, 12)
+      this.emitFile({ type: 'asset', fileName: 'sw-precache.json', source })
+    },
+    closeBundle() {
+      const sw = path.join(outDir, 'sw.js')
+      if (!build || !fs.existsSync(sw)) return
+      const text = fs.readFileSync(sw, 'utf8')
+      const stamped = text.replace('const BUILD = "dev";', `const BUILD = "${build}";`)
+      if (stamped === text) throw new Error('sw-precache: no BUILD constant to stamp in sw.js')
+      fs.writeFileSync(sw, stamped)
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), swPrecache()],
+  test: {
+    // scripts/lib/markerPipeline.test.mjs times against a budget; running test
+    // files side by side would measure CPU contention instead
+    fileParallelism: false,
+  },
 })